@@ -0,0 +1,76 @@
+// components/AccessibilityView.js
+import React from 'react';
+
+const Swatch = ({ hex }) => (
+  <span className="inline-flex items-center gap-1">
+    <span className="inline-block w-3 h-3 rounded border border-gray-300" style={{ background: hex }} />
+    {hex.toUpperCase()}
+  </span>
+);
+
+/** Contrast failures as a table (also printed by ExportPDF). */
+export const ContrastTable = ({ failures }) => (
+  <table className="w-full text-xs border-collapse">
+    <thead>
+      <tr className="text-left border-b">
+        <th className="py-1 pr-2">Text</th>
+        <th className="py-1 pr-2">Ratio</th>
+        <th className="py-1 pr-2">Needs</th>
+        <th className="py-1 pr-2">Colors</th>
+        <th className="py-1">Size</th>
+      </tr>
+    </thead>
+    <tbody>
+      {failures.map((f, i) => (
+        <tr key={i} className="border-b align-top">
+          <td className="py-1 pr-2">{f.text}</td>
+          <td className="py-1 pr-2 font-semibold text-red-600">{f.ratio}:1</td>
+          <td className="py-1 pr-2">{f.required}:1</td>
+          <td className="py-1 pr-2 whitespace-nowrap">
+            <Swatch hex={f.fg} /> on <Swatch hex={f.bg} />
+          </td>
+          <td className="py-1">~{f.fontPx}px</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+/** WCAG AA results for the build (result.accessibility): contrast and touch-target failures. */
+const AccessibilityView = ({ accessibility }) => {
+  if (!accessibility) return null;
+  if (accessibility.error) {
+    return <p className="mb-6 text-sm text-gray-500">Accessibility checks were unavailable for this run.</p>;
+  }
+  const { contrast, touchTargets } = accessibility;
+
+  return (
+    <div className="mb-6 text-sm">
+      <p className="mb-2">
+        <strong>Accessibility (WCAG {accessibility.level}):</strong>{' '}
+        {contrast.failures.length
+          ? `${contrast.failures.length} of ${contrast.measured} text lines below the contrast minimum`
+          : `all ${contrast.measured} measured text lines pass contrast`}
+        {contrast.skipped > 0 && ` (${contrast.skipped} on images/gradients not measured)`}
+        {' • '}
+        {touchTargets.checked
+          ? touchTargets.failures.length
+            ? `${touchTargets.failures.length} of ${touchTargets.measured} touch targets smaller than 24×24px`
+            : `all ${touchTargets.measured} touch targets are at least 24×24px`
+          : `touch targets not checked: ${touchTargets.reason}`}
+      </p>
+      {contrast.failures.length > 0 && <ContrastTable failures={contrast.failures} />}
+      {touchTargets.checked && touchTargets.failures.length > 0 && (
+        <ul className="mt-2 list-disc pl-5 text-xs">
+          {touchTargets.failures.map((t, i) => (
+            <li key={i}>
+              “{t.label}” is {t.width}×{t.height}px
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AccessibilityView;
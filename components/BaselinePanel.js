@@ -0,0 +1,215 @@
+// components/BaselinePanel.js
+import React, { useCallback, useEffect, useState } from 'react';
+
+const inputCls =
+  'rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-2 py-1 text-sm';
+
+const btn = 'px-3 py-1 rounded border text-xs font-semibold border-gray-300 dark:border-gray-600 text-gray-800 dark:text-gray-200';
+
+const STATUS_STYLES = {
+  approved: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+  superseded: 'bg-gray-200 text-gray-700 dark:bg-gray-800 dark:text-gray-300',
+  rejected: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+};
+
+/**
+ * Approved baselines of the selected project (stored server-side, see /api/baselines).
+ * Pick a screen to compare the next build against its baseline, approve the current build as a
+ * baseline, and accept/reject/restore versions. `value` is { screen, url } or null.
+ */
+const BaselinePanel = ({ projectId, getFreshIdToken, buildFile, value, onChange, refreshKey }) => {
+  const [screens, setScreens] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [newScreen, setNewScreen] = useState('');
+  const [openScreen, setOpenScreen] = useState(null);
+
+  const call = useCallback(
+    async (url, init = {}) => {
+      const token = await getFreshIdToken();
+      const response = await fetch(url, { ...init, headers: { ...init.headers, Authorization: `Bearer ${token}` } });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    },
+    [getFreshIdToken]
+  );
+
+  const load = useCallback(async () => {
+    if (!projectId) return setScreens([]);
+    try {
+      const data = await call(`/api/baselines?projectId=${encodeURIComponent(projectId)}`);
+      setScreens(data.screens || []);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [projectId, call]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  // keep the chosen baseline's preview URL fresh (signed URLs expire, versions change)
+  useEffect(() => {
+    if (!value) return;
+    const s = screens.find((x) => x.name === value.screen);
+    const url = s?.versions.find((v) => v.version === s.currentVersion)?.url || null;
+    if (url !== value.url) onChange(s ? { screen: s.name, url } : null);
+  }, [screens, value, onChange]);
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError('');
+    try {
+      await fn();
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const approveBuild = (screen) =>
+    run(async () => {
+      const formData = new FormData();
+      formData.append('projectId', projectId);
+      formData.append('screen', screen);
+      formData.append('image', buildFile);
+      await call('/api/baselines', { method: 'POST', body: formData });
+      setNewScreen('');
+    });
+
+  const decide = (screenId, version, decision) =>
+    run(() =>
+      call('/api/baselines/decide', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ projectId, screenId, version, decision }),
+      })
+    );
+
+  if (!projectId) {
+    return (
+      <div className="mt-6 border rounded-lg p-4 bg-gray-50 dark:bg-gray-800 text-sm text-gray-600 dark:text-gray-300">
+        <span className="font-semibold mr-2">Baselines</span>
+        Pick a project above to approve baselines and run visual regression checks.
+      </div>
+    );
+  }
+
+  const withBaseline = screens.filter((s) => s.currentVersion);
+
+  return (
+    <div className="mt-6 border rounded-lg p-4 bg-gray-50 dark:bg-gray-800 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold mr-2">Baselines</span>
+        <select
+          value={value?.screen || ''}
+          onChange={(e) => {
+            const s = screens.find((x) => x.name === e.target.value);
+            onChange(s ? { screen: s.name, url: s.versions.find((v) => v.version === s.currentVersion)?.url || null } : null);
+          }}
+          className={inputCls}
+        >
+          <option value="">Compare against an uploaded design</option>
+          {withBaseline.map((s) => (
+            <option key={s.id} value={s.name}>
+              Regression run: {s.name} (v{s.currentVersion})
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={newScreen}
+          onChange={(e) => setNewScreen(e.target.value)}
+          placeholder="Screen name, e.g. Checkout"
+          list="pp-baseline-screens"
+          className={inputCls}
+        />
+        <datalist id="pp-baseline-screens">
+          {screens.map((s) => (
+            <option key={s.id} value={s.name} />
+          ))}
+        </datalist>
+        <button
+          type="button"
+          className={`${btn} ${!buildFile || !newScreen.trim() || busy ? 'opacity-60 cursor-not-allowed' : ''}`}
+          disabled={!buildFile || !newScreen.trim() || busy}
+          onClick={() => approveBuild(newScreen.trim())}
+          title={buildFile ? '' : 'Upload or capture a build screenshot first'}
+        >
+          Approve build as baseline
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-red-600 text-xs">{error}</p>}
+
+      {screens.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {screens.map((s) => {
+            const pending = s.versions.filter((v) => v.status === 'pending');
+            return (
+              <li key={s.id}>
+                <button
+                  type="button"
+                  className="font-semibold underline"
+                  onClick={() => setOpenScreen(openScreen === s.id ? null : s.id)}
+                >
+                  {s.name}
+                </button>{' '}
+                <span className="text-xs text-gray-500">
+                  {s.currentVersion ? `baseline v${s.currentVersion}` : 'no approved baseline'}
+                  {pending.length > 0 && ` • ${pending.length} pending`}
+                </span>
+                {openScreen === s.id && (
+                  <div className="mt-2 grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {s.versions.map((v) => (
+                      <div key={v.version} className="border rounded p-2 bg-white dark:bg-gray-900">
+                        {v.url && <img src={v.url} alt={`${s.name} v${v.version}`} className="h-24 w-full object-contain" />}
+                        <div className="mt-1 flex items-center justify-between text-xs">
+                          <span>v{v.version}</span>
+                          <span className={`px-2 py-0.5 rounded ${STATUS_STYLES[v.status] || ''}`}>{v.status}</span>
+                        </div>
+                        {v.score && <p className="text-xs text-gray-500">score {v.score.score} ({v.score.grade})</p>}
+                        {v.createdAt && (
+                          <p className="text-xs text-gray-500">{new Date(v.createdAt).toLocaleString()}</p>
+                        )}
+                        <div className="mt-1 flex gap-1">
+                          {v.status === 'pending' && (
+                            <>
+                              <button type="button" className={btn} disabled={busy} onClick={() => decide(s.id, v.version, 'accept')}>
+                                Accept
+                              </button>
+                              <button
+                                type="button"
+                                className={`${btn} text-red-600`}
+                                disabled={busy}
+                                onClick={() => decide(s.id, v.version, 'reject')}
+                              >
+                                Reject
+                              </button>
+                            </>
+                          )}
+                          {(v.status === 'superseded' || v.status === 'rejected') && (
+                            <button type="button" className={btn} disabled={busy} onClick={() => decide(s.id, v.version, 'accept')}>
+                              Restore
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BaselinePanel;
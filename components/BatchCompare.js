@@ -0,0 +1,221 @@
+// components/BatchCompare.js
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import JobHeatmap from './JobHeatmap';
+import { useJobWatch } from '../hooks/useJobWatch';
+import { pairFiles, MAX_BATCH_PAIRS } from '../lib/compare/pairing';
+
+const STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+};
+
+/**
+ * Batch mode: many design/build pairs in one request to /api/compare-batch, which runs them as a job
+ * (followed here, resumed after a reload through `resumeKey`).
+ * Files are paired by name (home.design.png + home.build.png); the preview uses the same rules as the server.
+ */
+const BatchCompare = ({ getFreshIdToken, compareOptions, onError, onQuotaUsed, disabled, remaining, resumeKey }) => {
+  const [files, setFiles] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [openRow, setOpenRow] = useState(null);
+  const { job, watch, clear } = useJobWatch(getFreshIdToken, resumeKey);
+  const reported = useRef(null); // job id whose outcome was already passed on
+
+  const running = uploading || (!!job && ['queued', 'running'].includes(job.status));
+  const batch = job?.status === 'succeeded' ? job.result : null;
+  const progress = running ? job?.partial : null;
+
+  useEffect(() => {
+    if (!job || reported.current === job.id) return;
+    if (job.status === 'succeeded') {
+      reported.current = job.id;
+      if (job.result?.quotaUsed) onQuotaUsed?.(job.result.quotaUsed);
+    } else if (job.status === 'failed') {
+      reported.current = job.id;
+      const code = job.error?.code || '';
+      onError({ status: code === 'AI_DEGRADED' ? 503 : 500, code, msg: job.error?.message || 'Batch failed' });
+    }
+  }, [job, onError, onQuotaUsed]);
+
+  const { pairs, unmatched } = useMemo(() => pairFiles(files.map((f) => f.name)), [files]);
+  const overQuota = typeof remaining === 'number' && pairs.length > remaining;
+
+  const onPick = (e) => {
+    setFiles(Array.from(e.target.files || []));
+    if (!running) clear();
+  };
+
+  const run = async () => {
+    if (running || !pairs.length) return;
+    setUploading(true);
+    clear();
+    setOpenRow(null);
+    try {
+      const token = await getFreshIdToken();
+      const formData = new FormData();
+      for (const f of files) formData.append('images', f);
+      formData.append('normalize', compareOptions.normalize ? '1' : '0');
+      formData.append('cropTop', String(compareOptions.cropTop || 0));
+      formData.append('trimScrollbar', compareOptions.trimScrollbar ? '1' : '0');
+      formData.append('ocr', compareOptions.ocr === false ? '0' : '1');
+      formData.append('a11y', compareOptions.a11y === false ? '0' : '1');
+      if (compareOptions.buildDpr) formData.append('buildDpr', String(compareOptions.buildDpr));
+      if (compareOptions.templateId) {
+        formData.append('templateId', compareOptions.templateId);
+        formData.append('templateVars', JSON.stringify(compareOptions.templateVars || {}));
+      }
+      if (compareOptions.projectId) formData.append('projectId', compareOptions.projectId);
+
+      const response = await fetch('/api/compare-batch', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData,
+      });
+      const data = await response.json().catch(() => ({ error: 'Unknown server response' }));
+      if (!response.ok) {
+        onError({ status: response.status, code: data?.error_code || '', msg: data?.error || 'Server error' });
+        return;
+      }
+      watch(data.jobId);
+    } catch (err) {
+      onError({ status: 0, code: '', msg: err?.message || 'network' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="border-2 border-dashed border-purple-300 p-6 rounded-lg bg-white dark:bg-gray-700">
+      <label className="block font-semibold text-gray-800 dark:text-white mb-1">Upload screen pairs</label>
+      <p className="text-xs text-gray-600 dark:text-gray-300 mb-3">
+        Name files <code>home.design.png</code> / <code>home.build.png</code>. Up to {MAX_BATCH_PAIRS} pairs; each
+        pair that completes uses one comparison (failed pairs are refunded). Designs may also be PDF (first page) or SVG.
+      </p>
+      <input
+        type="file"
+        multiple
+        onChange={onPick}
+        accept="image/jpeg,image/png,image/webp,image/avif,image/gif,application/pdf,image/svg+xml,.avif,.pdf,.svg"
+        className="w-full cursor-pointer file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-purple-600 file:text-white hover:file:bg-purple-700"
+      />
+
+      {files.length > 0 && (
+        <div className="mt-4 text-sm">
+          <p>
+            <strong>{pairs.length}</strong> pair{pairs.length === 1 ? '' : 's'} matched
+            {unmatched.length > 0 && (
+              <span className="text-orange-600"> • {unmatched.length} unmatched: {unmatched.join(', ')}</span>
+            )}
+          </p>
+          {overQuota && (
+            <p className="text-red-600 mt-1">
+              This batch needs {pairs.length} comparisons but only {remaining} remain today.
+            </p>
+          )}
+          <ul className="mt-2 text-xs text-gray-700 dark:text-gray-300 list-disc pl-5">
+            {pairs.map((p) => (
+              <li key={p.name}>
+                {p.name}: {files[p.design].name} ↔ {files[p.build].name}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <button
+        onClick={run}
+        disabled={disabled || running || !pairs.length || pairs.length > MAX_BATCH_PAIRS || overQuota}
+        className={`mt-4 bg-purple-800 hover:bg-purple-900 text-white px-6 py-3 rounded-lg font-semibold shadow transition ${
+          disabled || running || !pairs.length || overQuota ? 'opacity-60 cursor-not-allowed' : ''
+        }`}
+      >
+        {running ? 'Comparing screens...' : 'Start Batch'}
+      </button>
+
+      {running && job?.progress && (
+        <div className="mt-4 max-w-xl">
+          <div className="flex justify-between text-xs text-gray-600 dark:text-gray-300 mb-1">
+            <span>
+              {progress?.current
+                ? `${progress.current} (${progress.done + 1} of ${progress.total}): ${job.progress.stage}`
+                : job.progress.stage}
+            </span>
+            <span>{job.progress.pct || 0}%</span>
+          </div>
+          <div className="h-2 rounded bg-gray-200 dark:bg-gray-700 overflow-hidden">
+            <div className="h-2 bg-purple-600 transition-all duration-500" style={{ width: `${Math.max(2, job.progress.pct || 0)}%` }} />
+          </div>
+          {progress?.screens?.length > 0 && (
+            <ul className="mt-2 text-xs text-gray-700 dark:text-gray-300 list-disc pl-5">
+              {progress.screens.map((s, i) => (
+                <li key={`${s.name}-${i}`}>
+                  {s.name}: {s.status === 'succeeded' ? `${s.score.score} (${s.score.grade})` : s.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {batch && (
+        <div className="mt-6">
+          <h3 className="font-bold text-purple-800 dark:text-purple-300 mb-2">
+            Batch report: {batch.succeeded}/{batch.total} succeeded
+          </h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b dark:border-gray-600">
+                <th className="py-1 pr-2">Screen</th>
+                <th className="py-1 pr-2">Status</th>
+                <th className="py-1 pr-2">Score</th>
+                <th className="py-1 pr-2">Changed</th>
+                <th className="py-1">Issues</th>
+              </tr>
+            </thead>
+            <tbody>
+              {batch.screens.map((s, i) => (
+                <React.Fragment key={`${s.name}-${i}`}>
+                  <tr
+                    className="border-b dark:border-gray-600 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-800"
+                    onClick={() => setOpenRow(openRow === i ? null : i)}
+                  >
+                    <td className="py-1 pr-2">{s.name}</td>
+                    <td className="py-1 pr-2">
+                      <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[s.status] || ''}`}>{s.status}</span>
+                    </td>
+                    <td className="py-1 pr-2">{s.status === 'succeeded' ? `${s.score.score} (${s.score.grade})` : '—'}</td>
+                    <td className="py-1 pr-2">{s.status === 'succeeded' ? `${s.changedPercent}%` : '—'}</td>
+                    <td className="py-1">
+                      {s.status === 'succeeded'
+                        ? `${s.issueCount} (${s.severity.critical} critical, ${s.severity.major} major)`
+                        : s.error}
+                    </td>
+                  </tr>
+                  {openRow === i && s.status === 'succeeded' && (
+                    <tr>
+                      <td colSpan={5} className="py-3">
+                        <JobHeatmap
+                          jobId={job.id}
+                          item={i}
+                          diff={s.diff}
+                          getFreshIdToken={getFreshIdToken}
+                          alt={`${s.name} diff`}
+                        />
+                        <div className="prose dark:prose-invert max-w-none text-sm">
+                          <ReactMarkdown>{s.result}</ReactMarkdown>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchCompare;
@@ -0,0 +1,295 @@
+// components/BreakpointMatrix.js
+import React, { useEffect, useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import UrlCapture from './UrlCapture';
+import JobHeatmap from './JobHeatmap';
+import { useJobWatch } from '../hooks/useJobWatch';
+import { BREAKPOINT_PRESETS, MAX_BREAKPOINTS, PASS_SCORE } from '../lib/compare/breakpoints';
+
+const inputCls =
+  'rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-2 py-1 text-sm';
+
+const VERDICT_STYLES = {
+  pass: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  fail: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+  error: 'bg-gray-200 text-gray-700 dark:bg-gray-800 dark:text-gray-300',
+};
+
+const verdictOf = (bp) => (bp.status !== 'succeeded' ? 'error' : bp.pass ? 'pass' : 'fail');
+
+/**
+ * Breakpoint matrix: one design frame per breakpoint + one build URL, sent to /api/compare-breakpoints.
+ * The server captures the URL at each width as a job (followed here, resumed after a reload through
+ * `resumeKey`); each breakpoint that completes uses one comparison.
+ */
+const BreakpointMatrix = ({ getFreshIdToken, compareOptions, onError, onQuotaUsed, disabled, remaining, resumeKey }) => {
+  const [rows, setRows] = useState(BREAKPOINT_PRESETS.map((bp) => ({ ...bp, file: null })));
+  const [capture, setCapture] = useState({ url: '', dpr: 1, waitUntil: 'networkidle2', fullPage: false, waitForSelector: '' });
+  const [uploading, setUploading] = useState(false);
+  const [openCol, setOpenCol] = useState(null);
+  const { job, watch, clear } = useJobWatch(getFreshIdToken, resumeKey);
+  const reported = useRef(null); // job id whose outcome was already passed on
+
+  const running = uploading || (!!job && ['queued', 'running'].includes(job.status));
+  const matrix = job?.status === 'succeeded' ? job.result : null;
+  const progress = running ? job?.partial : null;
+
+  useEffect(() => {
+    if (!job || reported.current === job.id) return;
+    if (job.status === 'succeeded') {
+      reported.current = job.id;
+      if (job.result?.quotaUsed) onQuotaUsed?.(job.result.quotaUsed);
+    } else if (job.status === 'failed') {
+      reported.current = job.id;
+      const code = job.error?.code || '';
+      onError({ status: code === 'AI_DEGRADED' ? 503 : 500, code, msg: job.error?.message || 'Breakpoint run failed' });
+    }
+  }, [job, onError, onQuotaUsed]);
+
+  const ready = rows.filter((r) => r.file);
+  const overQuota = typeof remaining === 'number' && ready.length > remaining;
+  const canRun = !disabled && !running && ready.length > 0 && !!capture.url && !overQuota;
+
+  const setRow = (i, patch) => setRows((rs) => rs.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+
+  const run = async () => {
+    if (!canRun) return;
+    setUploading(true);
+    clear();
+    setOpenCol(null);
+    try {
+      const token = await getFreshIdToken();
+      const formData = new FormData();
+      for (const r of ready) formData.append('images', r.file);
+      formData.append('breakpoints', JSON.stringify(ready.map(({ name, width }) => ({ name, width }))));
+      formData.append('buildUrl', capture.url);
+      formData.append('captureDpr', String(capture.dpr));
+      formData.append('captureWait', capture.waitUntil);
+      formData.append('captureFullPage', capture.fullPage ? '1' : '0');
+      if (capture.waitForSelector) formData.append('captureSelector', capture.waitForSelector);
+      formData.append('normalize', compareOptions.normalize ? '1' : '0');
+      formData.append('cropTop', String(compareOptions.cropTop || 0));
+      formData.append('trimScrollbar', compareOptions.trimScrollbar ? '1' : '0');
+      formData.append('ocr', compareOptions.ocr === false ? '0' : '1');
+      formData.append('a11y', compareOptions.a11y === false ? '0' : '1');
+      if (compareOptions.buildDpr) formData.append('buildDpr', String(compareOptions.buildDpr));
+      if (compareOptions.templateId) {
+        formData.append('templateId', compareOptions.templateId);
+        formData.append('templateVars', JSON.stringify(compareOptions.templateVars || {}));
+      }
+      if (compareOptions.projectId) formData.append('projectId', compareOptions.projectId);
+
+      const response = await fetch('/api/compare-breakpoints', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData,
+      });
+      const data = await response.json().catch(() => ({ error: 'Unknown server response' }));
+      if (!response.ok) {
+        onError({ status: response.status, code: data?.error_code || '', msg: data?.error || 'Server error' });
+        return;
+      }
+      watch(data.jobId);
+    } catch (err) {
+      onError({ status: 0, code: '', msg: err?.message || 'network' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const open = matrix && openCol != null ? matrix.breakpoints[openCol] : null;
+
+  return (
+    <div className="border-2 border-dashed border-purple-300 p-6 rounded-lg bg-white dark:bg-gray-700">
+      <label className="block font-semibold text-gray-800 dark:text-white mb-1">Design frames per breakpoint</label>
+      <p className="text-xs text-gray-600 dark:text-gray-300 mb-3">
+        The build URL is captured at each width. A breakpoint passes at score {PASS_SCORE}+ with no critical issues;
+        each breakpoint that completes uses one comparison (ones that cannot run are refunded).
+      </p>
+
+      <table className="w-full text-sm mb-4">
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i} className="border-b dark:border-gray-600">
+              <td className="py-1 pr-2">
+                <input
+                  type="text"
+                  value={r.name}
+                  onChange={(e) => setRow(i, { name: e.target.value })}
+                  className={`${inputCls} w-28`}
+                />
+              </td>
+              <td className="py-1 pr-2 whitespace-nowrap">
+                <input
+                  type="number"
+                  min={320}
+                  max={3840}
+                  value={r.width}
+                  onChange={(e) => setRow(i, { width: Number(e.target.value) })}
+                  className={`${inputCls} w-24`}
+                />{' '}
+                px
+              </td>
+              <td className="py-1 pr-2">
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp,image/avif,image/gif,application/pdf,image/svg+xml,.avif,.pdf,.svg"
+                  onChange={(e) => setRow(i, { file: e.target.files?.[0] || null })}
+                  className="text-xs"
+                />
+              </td>
+              <td className="py-1 text-right">
+                <button
+                  type="button"
+                  className="text-xs text-red-600"
+                  onClick={() => setRows((rs) => rs.filter((_, j) => j !== i))}
+                  disabled={rows.length <= 1}
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length < MAX_BREAKPOINTS && (
+        <button
+          type="button"
+          className="mb-4 text-xs font-semibold text-purple-700 dark:text-purple-300"
+          onClick={() => setRows((rs) => [...rs, { name: `breakpoint ${rs.length + 1}`, width: 1024, file: null }])}
+        >
+          + Add breakpoint
+        </button>
+      )}
+
+      <UrlCapture value={capture} onChange={setCapture} showWidth={false} />
+
+      {overQuota && (
+        <p className="text-red-600 text-sm mt-2">
+          This run needs {ready.length} comparisons but only {remaining} remain today.
+        </p>
+      )}
+
+      <button
+        onClick={run}
+        disabled={!canRun}
+        className={`mt-4 bg-purple-800 hover:bg-purple-900 text-white px-6 py-3 rounded-lg font-semibold shadow transition ${
+          canRun ? '' : 'opacity-60 cursor-not-allowed'
+        }`}
+      >
+        {running ? 'Capturing and comparing breakpoints...' : 'Compare breakpoints'}
+      </button>
+
+      {running && job?.progress && (
+        <div className="mt-4 max-w-xl">
+          <div className="flex justify-between text-xs text-gray-600 dark:text-gray-300 mb-1">
+            <span>
+              {progress?.current
+                ? `${progress.current} (${progress.done + 1} of ${progress.total}): ${job.progress.stage}`
+                : job.progress.stage}
+            </span>
+            <span>{job.progress.pct || 0}%</span>
+          </div>
+          <div className="h-2 rounded bg-gray-200 dark:bg-gray-700 overflow-hidden">
+            <div className="h-2 bg-purple-600 transition-all duration-500" style={{ width: `${Math.max(2, job.progress.pct || 0)}%` }} />
+          </div>
+          {progress?.breakpoints?.length > 0 && (
+            <ul className="mt-2 text-xs text-gray-700 dark:text-gray-300 list-disc pl-5">
+              {progress.breakpoints.map((bp) => (
+                <li key={bp.name}>
+                  {bp.name}: {verdictOf(bp)}
+                  {bp.status === 'succeeded' ? ` — ${bp.score.score} (${bp.score.grade})` : bp.error ? ` — ${bp.error}` : ''}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {matrix && (
+        <div className="mt-6 overflow-x-auto">
+          <h3 className="font-bold text-purple-800 dark:text-purple-300 mb-2">
+            {matrix.passed}/{matrix.total} breakpoints pass
+            {matrix.errored > 0 && <span className="text-sm font-normal"> • {matrix.errored} could not run</span>}
+          </h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b dark:border-gray-600">
+                <th className="py-1 pr-2" />
+                {matrix.breakpoints.map((bp, i) => (
+                  <th key={bp.name} className="py-1 pr-2">
+                    <button type="button" className="font-semibold underline" onClick={() => setOpenCol(openCol === i ? null : i)}>
+                      {bp.name}
+                    </button>
+                    <span className="block text-xs font-normal text-gray-500">{bp.width}px</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b dark:border-gray-600">
+                <td className="py-1 pr-2 font-semibold">Result</td>
+                {matrix.breakpoints.map((bp) => {
+                  const verdict = verdictOf(bp);
+                  return (
+                    <td key={bp.name} className="py-1 pr-2">
+                      <span className={`px-2 py-0.5 rounded text-xs uppercase ${VERDICT_STYLES[verdict]}`} title={bp.reason || bp.error}>
+                        {verdict}
+                      </span>
+                    </td>
+                  );
+                })}
+              </tr>
+              <tr className="border-b dark:border-gray-600">
+                <td className="py-1 pr-2 font-semibold">Score</td>
+                {matrix.breakpoints.map((bp) => (
+                  <td key={bp.name} className="py-1 pr-2">
+                    {bp.status === 'succeeded' ? `${bp.score.score} (${bp.score.grade})` : '—'}
+                  </td>
+                ))}
+              </tr>
+              <tr className="border-b dark:border-gray-600">
+                <td className="py-1 pr-2 font-semibold">Changed</td>
+                {matrix.breakpoints.map((bp) => (
+                  <td key={bp.name} className="py-1 pr-2">
+                    {bp.status === 'succeeded' ? `${bp.changedPercent}%` : '—'}
+                  </td>
+                ))}
+              </tr>
+              <tr className="border-b dark:border-gray-600">
+                <td className="py-1 pr-2 font-semibold">Issues</td>
+                {matrix.breakpoints.map((bp) => (
+                  <td key={bp.name} className="py-1 pr-2">
+                    {bp.status === 'succeeded'
+                      ? `${bp.issueCount} (${bp.severity.critical} critical, ${bp.severity.major} major)`
+                      : bp.error}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+
+          {open && open.status === 'succeeded' && (
+            <div className="mt-4">
+              <h4 className="font-semibold mb-2">
+                {open.name} ({open.width}px) — {open.reason}
+              </h4>
+              <JobHeatmap
+                jobId={job.id}
+                item={openCol}
+                diff={open.diff}
+                getFreshIdToken={getFreshIdToken}
+                alt={`${open.name} diff`}
+              />
+              <div className="prose dark:prose-invert max-w-none text-sm">
+                <ReactMarkdown>{open.result}</ReactMarkdown>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BreakpointMatrix;
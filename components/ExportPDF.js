@@ -2,8 +2,10 @@
 import React, { useRef } from 'react';
 import { useReactToPrint } from 'react-to-print';
 import ReactMarkdown from 'react-markdown';
+import { WordDiff } from './TextDiffView';
+import { ContrastTable } from './AccessibilityView';
 
-const ExportPDF = ({ result }) => {
+const ExportPDF = ({ result, report, score, textDiff, accessibility }) => {
   const componentRef = useRef();
 
   const handlePrint = useReactToPrint({
@@ -11,6 +13,12 @@ const ExportPDF = ({ result }) => {
     documentTitle: 'PixelProof Visual Bug Report',
   });
 
+  // AI-only findings (no pixel evidence) stay out of the exported report
+  const issues = (report?.issues || []).filter((it) => !it.aiOnly);
+  const textChanges = textDiff?.changes || [];
+  const contrastFailures = accessibility?.contrast?.failures || [];
+  const targetFailures = accessibility?.touchTargets?.failures || [];
+
   return (
     <div className="mt-4">
       <button
@@ -21,6 +29,65 @@ const ExportPDF = ({ result }) => {
       </button>
       <div ref={componentRef} className="hidden print:block text-black mt-4">
         <h2 className="text-xl font-bold mb-2">Visual Bug Report</h2>
+        {score && (
+          <p className="mb-4">
+            <strong>Match score:</strong> {score.score}/100 (grade {score.grade})
+            {typeof score.ssim === 'number' ? ` • SSIM ${score.ssim}` : ''}
+          </p>
+        )}
+        {issues.length > 0 && (
+          <table className="w-full text-sm border-collapse mb-4">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-1 pr-2">#</th>
+                <th className="py-1 pr-2">Category</th>
+                <th className="py-1 pr-2">Severity</th>
+                <th className="py-1">Description</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issues.map((it) => (
+                <tr key={it.id} className="border-b align-top">
+                  <td className="py-1 pr-2">{it.id}</td>
+                  <td className="py-1 pr-2">{it.category.replace('_', ' ')}</td>
+                  <td className="py-1 pr-2">{it.severity}</td>
+                  <td className="py-1">{it.description}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {textChanges.length > 0 && (
+          <>
+            <h3 className="font-bold mb-1">Text differences (OCR)</h3>
+            <ul className="text-sm mb-4 list-disc pl-5">
+              {textChanges.map((c, i) => (
+                <li key={i}>
+                  {c.type === 'changed' ? (
+                    <WordDiff diff={c.diff} />
+                  ) : (
+                    `${c.type === 'missing' ? 'Missing' : 'Extra'}: ${c.designText || c.buildText}`
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+        {(contrastFailures.length > 0 || targetFailures.length > 0) && (
+          <>
+            <h3 className="font-bold mb-1">Accessibility (WCAG {accessibility.level})</h3>
+            {contrastFailures.length > 0 && <ContrastTable failures={contrastFailures} />}
+            {targetFailures.length > 0 && (
+              <ul className="text-sm mt-2 mb-4 list-disc pl-5">
+                {targetFailures.map((t, i) => (
+                  <li key={i}>
+                    Touch target “{t.label}” is {t.width}×{t.height}px (needs 24×24px)
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
         <div className="prose max-w-none">
           <ReactMarkdown>{result}</ReactMarkdown>
         </div>
@@ -0,0 +1,131 @@
+// components/FollowupChat.js
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+
+const EXAMPLES = ['Is I3 caused by the font weight or the line height?', 'Ignore the footer and recheck.'];
+
+/**
+ * Follow-up questions on the report of job `jobId` (/api/jobs/[id]/followups).
+ * History is stored server-side, so it comes back after a reload or when a cached report is shown.
+ * `onAsked()` runs after each answered question (it used one follow-up from the daily quota).
+ */
+const FollowupChat = ({ jobId, getFreshIdToken, onAsked }) => {
+  const [messages, setMessages] = useState([]);
+  const [available, setAvailable] = useState(true);
+  const [question, setQuestion] = useState('');
+  const [asking, setAsking] = useState(false);
+  const [error, setError] = useState('');
+  const bottomRef = useRef(null);
+
+  const call = useCallback(
+    async (init = {}) => {
+      const token = await getFreshIdToken();
+      const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/followups`, {
+        ...init,
+        headers: { ...(init.headers || {}), Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    },
+    [jobId, getFreshIdToken]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    setMessages([]);
+    setError('');
+    call()
+      .then((data) => {
+        if (cancelled) return;
+        setMessages(data.messages);
+        setAvailable(data.available);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [call]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [messages, asking]);
+
+  const ask = async (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || asking) return;
+    setAsking(true);
+    setError('');
+    try {
+      const data = await call({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ question: text }),
+      });
+      setMessages((m) => [...m, data.question, data.answer]);
+      setQuestion('');
+      onAsked?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 border-t pt-4 dark:border-gray-600">
+      <h3 className="text-lg font-semibold text-purple-800 dark:text-purple-300 mb-1">Ask about this report</h3>
+      <p className="text-xs text-gray-600 dark:text-gray-400 mb-3">
+        Questions reuse this comparison&apos;s images and report; each answer uses one follow-up from your daily
+        allowance, not a comparison.
+      </p>
+
+      {messages.length > 0 && (
+        <div className="max-h-96 overflow-y-auto space-y-2 mb-3 text-sm">
+          {messages.map((m) => (
+            <div
+              key={m.id}
+              className={`rounded-lg px-3 py-2 whitespace-pre-wrap ${
+                m.role === 'user'
+                  ? 'ml-8 bg-purple-100 text-purple-900 dark:bg-purple-900/40 dark:text-purple-100'
+                  : 'mr-8 bg-white dark:bg-gray-700'
+              }`}
+            >
+              {m.text}
+            </div>
+          ))}
+          {asking && <div className="mr-8 rounded-lg px-3 py-2 bg-white dark:bg-gray-700 text-gray-500">Thinking…</div>}
+          <div ref={bottomRef} />
+        </div>
+      )}
+
+      {available ? (
+        <form onSubmit={ask} className="flex gap-2">
+          <input
+            type="text"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            maxLength={1000}
+            placeholder={EXAMPLES[messages.length % EXAMPLES.length]}
+            className="flex-1 border rounded px-3 py-2 text-sm dark:bg-gray-700 dark:border-gray-600"
+            disabled={asking}
+          />
+          <button
+            type="submit"
+            disabled={asking || !question.trim()}
+            className="px-4 py-2 rounded bg-purple-600 text-white text-sm font-semibold disabled:opacity-50"
+          >
+            {asking ? 'Asking…' : 'Ask'}
+          </button>
+        </form>
+      ) : (
+        <p className="text-xs text-gray-500">
+          The images of this comparison were not kept, so it can&apos;t take questions. Run it again to ask about it.
+        </p>
+      )}
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default FollowupChat;
@@ -0,0 +1,163 @@
+// components/IssueOverlayViewer.js
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+
+const SEVERITY_STYLES = {
+  critical: { border: 'border-red-600', badge: 'bg-red-600' },
+  major: { border: 'border-orange-500', badge: 'bg-orange-500' },
+  minor: { border: 'border-yellow-400', badge: 'bg-yellow-500' },
+};
+
+function issueNumber(issue) {
+  return String(issue.id || '').replace(/^I/, '');
+}
+
+/** One screenshot with its numbered issue boxes (boxes are 0..1 fractions of the image). */
+function AnnotatedImage({ src, label, issues, boxKey, activeId, onSelect, registerBox }) {
+  return (
+    <div>
+      <p className="text-xs font-semibold mb-1 text-gray-700 dark:text-gray-300">{label}</p>
+      <div className="relative inline-block w-full">
+        <img src={src} alt={label} className="block w-full h-auto rounded shadow bg-white" />
+        {issues.map((it) => {
+          const box = it[boxKey];
+          if (!box) return null;
+          const style = SEVERITY_STYLES[it.severity] || SEVERITY_STYLES.minor;
+          const active = it.id === activeId;
+          return (
+            <button
+              key={it.id}
+              type="button"
+              ref={(el) => registerBox(`${boxKey}:${it.id}`, el)}
+              onClick={() => onSelect(it.id, 'box')}
+              title={it.description}
+              className={`absolute border-2 ${style.border} transition ${
+                active ? 'bg-purple-500/25 ring-4 ring-purple-500 z-10' : 'bg-transparent hover:bg-purple-500/10'
+              }`}
+              style={{
+                left: `${box.x * 100}%`,
+                top: `${box.y * 100}%`,
+                width: `${box.width * 100}%`,
+                height: `${box.height * 100}%`,
+              }}
+            >
+              <span
+                className={`absolute -top-3 -left-3 h-6 w-6 rounded-full text-[11px] leading-6 font-bold text-white ${style.badge}`}
+              >
+                {issueNumber(it)}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Design/build screenshots with numbered issue boxes plus the issue list.
+ * Selecting an issue in the list highlights and scrolls to its box; clicking a box does the reverse.
+ */
+const IssueOverlayViewer = ({ designSrc, buildSrc, issues = [] }) => {
+  const [activeId, setActiveId] = useState(null);
+  const boxRefs = useRef(new Map());
+  const listRefs = useRef(new Map());
+  const lastSource = useRef(null);
+
+  const registerBox = useCallback((key, el) => {
+    if (el) boxRefs.current.set(key, el);
+    else boxRefs.current.delete(key);
+  }, []);
+
+  const onSelect = useCallback((id, source) => {
+    lastSource.current = source;
+    setActiveId((cur) => (cur === id ? null : id));
+  }, []);
+
+  // Scroll the counterpart of whatever was clicked into view
+  useEffect(() => {
+    if (!activeId) return;
+    const target =
+      lastSource.current === 'box'
+        ? listRefs.current.get(activeId)
+        : boxRefs.current.get(`designBox:${activeId}`) || boxRefs.current.get(`buildBox:${activeId}`);
+    target?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+  }, [activeId]);
+
+  // A new report invalidates the selection
+  useEffect(() => setActiveId(null), [issues]);
+
+  const located = issues.filter((it) => it.designBox || it.buildBox).length;
+
+  return (
+    <div className="mb-6">
+      {(designSrc || buildSrc) && (
+        <div className="grid md:grid-cols-2 gap-4 mb-4">
+          {designSrc && (
+            <AnnotatedImage
+              src={designSrc}
+              label="Design"
+              issues={issues}
+              boxKey="designBox"
+              activeId={activeId}
+              onSelect={onSelect}
+              registerBox={registerBox}
+            />
+          )}
+          {buildSrc && (
+            <AnnotatedImage
+              src={buildSrc}
+              label="Build"
+              issues={issues}
+              boxKey="buildBox"
+              activeId={activeId}
+              onSelect={onSelect}
+              registerBox={registerBox}
+            />
+          )}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-600 dark:text-gray-400 mb-2">
+        {located} of {issues.length} issue{issues.length === 1 ? '' : 's'} located on the screenshots.
+      </p>
+      <ol className="space-y-2 text-sm">
+        {issues.map((it) => {
+          const style = SEVERITY_STYLES[it.severity] || SEVERITY_STYLES.minor;
+          const active = it.id === activeId;
+          const hasBox = !!(it.designBox || it.buildBox);
+          return (
+            <li key={it.id} ref={(el) => (el ? listRefs.current.set(it.id, el) : listRefs.current.delete(it.id))}>
+              <button
+                type="button"
+                onClick={() => onSelect(it.id, 'list')}
+                className={`w-full text-left flex gap-3 items-start p-2 rounded border transition ${
+                  active
+                    ? 'border-purple-500 bg-purple-50 dark:bg-purple-900/40'
+                    : 'border-transparent hover:bg-gray-200 dark:hover:bg-gray-700'
+                }`}
+              >
+                <span
+                  className={`shrink-0 h-6 w-6 rounded-full text-[11px] leading-6 text-center font-bold text-white ${style.badge}`}
+                >
+                  {issueNumber(it)}
+                </span>
+                <span>
+                  <span className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                    {it.category.replace('_', ' ')} • {it.severity}
+                    {!hasBox && ' • no location'}
+                    {it.aiOnly && ' • AI-only'}
+                    {typeof it.confidence === 'number' && !it.aiOnly && ` • ${Math.round(it.confidence * 100)}% evidence`}
+                  </span>
+                  <br />
+                  {it.description}
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default IssueOverlayViewer;
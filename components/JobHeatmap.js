@@ -0,0 +1,39 @@
+// components/JobHeatmap.js
+import React, { useEffect, useState } from 'react';
+
+/**
+ * Diff heatmap of one screen of a batch or breakpoint job. Stored heatmaps (diff.heatmapPath) are fetched
+ * from /api/jobs/[id]/heatmap with the user's token; inline data URLs are shown as they are.
+ */
+const JobHeatmap = ({ jobId, item, diff, getFreshIdToken, alt }) => {
+  const [src, setSrc] = useState(diff?.heatmap || null);
+
+  useEffect(() => {
+    if (diff?.heatmap || !diff?.heatmapPath || !jobId) return;
+    let url = null;
+    let cancelled = false;
+    (async () => {
+      try {
+        const token = await getFreshIdToken();
+        const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/heatmap?item=${item}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        if (!res.ok || cancelled) return;
+        url = URL.createObjectURL(await res.blob());
+        if (cancelled) URL.revokeObjectURL(url);
+        else setSrc(url);
+      } catch (err) {
+        console.warn('heatmap load failed:', err);
+      }
+    })();
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [jobId, item, diff, getFreshIdToken]);
+
+  if (!src) return null;
+  return <img src={src} alt={alt} className="rounded shadow w-full mb-3 bg-white" />;
+};
+
+export default JobHeatmap;
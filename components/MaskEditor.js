@@ -0,0 +1,202 @@
+// components/MaskEditor.js
+import React, { useCallback, useRef, useState } from 'react';
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+/**
+ * Draw ignore masks on the design preview. Rect: drag. Polygon: click points, then "Close polygon".
+ * Masks are 0..1 fractions of the image, the same shape /api/compare expects in its `masks` field.
+ * Polygon points are {x, y} objects (not nested arrays) so presets can be stored in Firestore.
+ */
+const MaskEditor = ({ src, masks, onChange, presets = [], onSavePreset, onDeletePreset }) => {
+  const [mode, setMode] = useState('rect');
+  const [draft, setDraft] = useState(null); // rect in progress: { x0, y0, x1, y1 }
+  const [points, setPoints] = useState([]); // polygon in progress: [{ x, y }]
+  const [presetName, setPresetName] = useState('');
+  const [presetBusy, setPresetBusy] = useState(false);
+  const surfaceRef = useRef(null);
+
+  const toFraction = useCallback((e) => {
+    const r = surfaceRef.current.getBoundingClientRect();
+    return { x: clamp01((e.clientX - r.left) / r.width), y: clamp01((e.clientY - r.top) / r.height) };
+  }, []);
+
+  const onPointerDown = (e) => {
+    if (mode !== 'rect') return;
+    const p = toFraction(e);
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setDraft({ x0: p.x, y0: p.y, x1: p.x, y1: p.y });
+  };
+  const onPointerMove = (e) => {
+    if (!draft) return;
+    const p = toFraction(e);
+    setDraft((d) => (d ? { ...d, x1: p.x, y1: p.y } : d));
+  };
+  const onPointerUp = () => {
+    if (!draft) return;
+    const x = Math.min(draft.x0, draft.x1);
+    const y = Math.min(draft.y0, draft.y1);
+    const width = Math.abs(draft.x1 - draft.x0);
+    const height = Math.abs(draft.y1 - draft.y0);
+    setDraft(null);
+    // ignore stray clicks
+    if (width > 0.005 && height > 0.005) onChange([...masks, { type: 'rect', x, y, width, height }]);
+  };
+  const onClick = (e) => {
+    if (mode !== 'polygon') return;
+    const p = toFraction(e);
+    setPoints((pts) => [...pts, p]);
+  };
+
+  const closePolygon = () => {
+    if (points.length >= 3) onChange([...masks, { type: 'polygon', points }]);
+    setPoints([]);
+  };
+
+  const removeMask = (idx) => onChange(masks.filter((_, i) => i !== idx));
+
+  const handleSavePreset = async () => {
+    if (!presetName.trim() || !masks.length || !onSavePreset) return;
+    setPresetBusy(true);
+    try {
+      await onSavePreset(presetName, masks);
+      setPresetName('');
+    } finally {
+      setPresetBusy(false);
+    }
+  };
+
+  const shape = (m, key, extra = '') =>
+    m.type === 'polygon' ? (
+      <polygon key={key} points={m.points.map((pt) => `${pt.x},${pt.y}`).join(' ')} className={extra} />
+    ) : (
+      <rect key={key} x={m.x} y={m.y} width={m.width} height={m.height} className={extra} />
+    );
+
+  const btn = (active) =>
+    `px-3 py-1 rounded border text-xs font-semibold ${
+      active
+        ? 'bg-purple-700 text-white border-purple-700'
+        : 'border-gray-300 dark:border-gray-600 text-gray-800 dark:text-gray-200'
+    }`;
+
+  return (
+    <div className="mt-6 border rounded-lg p-4 bg-gray-50 dark:bg-gray-800">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="font-semibold text-sm mr-2">Ignore regions</span>
+        <button type="button" className={btn(mode === 'rect')} onClick={() => { setMode('rect'); setPoints([]); }}>
+          Rectangle
+        </button>
+        <button type="button" className={btn(mode === 'polygon')} onClick={() => setMode('polygon')}>
+          Polygon
+        </button>
+        {mode === 'polygon' && (
+          <button type="button" className={btn(false)} disabled={points.length < 3} onClick={closePolygon}>
+            Close polygon ({points.length})
+          </button>
+        )}
+        {masks.length > 0 && (
+          <button type="button" className={btn(false)} onClick={() => onChange([])}>
+            Clear all
+          </button>
+        )}
+      </div>
+
+      <div
+        ref={surfaceRef}
+        className="relative select-none touch-none cursor-crosshair"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onClick={onClick}
+      >
+        <img src={src} alt="Design (draw ignore regions)" className="block w-full h-auto rounded" draggable={false} />
+        <svg className="absolute inset-0 w-full h-full" viewBox="0 0 1 1" preserveAspectRatio="none">
+          <g className="fill-gray-500/60 stroke-purple-600" strokeWidth="0.003">
+            {masks.map((m, i) => shape(m, i))}
+            {draft &&
+              shape(
+                {
+                  type: 'rect',
+                  x: Math.min(draft.x0, draft.x1),
+                  y: Math.min(draft.y0, draft.y1),
+                  width: Math.abs(draft.x1 - draft.x0),
+                  height: Math.abs(draft.y1 - draft.y0),
+                },
+                'draft'
+              )}
+            {points.length > 0 && (
+              <polyline points={points.map((pt) => `${pt.x},${pt.y}`).join(' ')} className="fill-none" />
+            )}
+          </g>
+        </svg>
+      </div>
+
+      {masks.length > 0 && (
+        <ul className="mt-3 text-xs space-y-1">
+          {masks.map((m, i) => (
+            <li key={i} className="flex items-center gap-2">
+              <span>
+                #{i + 1} {m.type === 'polygon' ? `polygon (${m.points.length} points)` : 'rectangle'}
+              </span>
+              <button type="button" className="text-red-600 hover:underline" onClick={() => removeMask(i)}>
+                remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {onSavePreset && (
+        <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name (e.g. Home – header)"
+            className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-2 py-1"
+          />
+          <button
+            type="button"
+            className={btn(false)}
+            disabled={presetBusy || !presetName.trim() || !masks.length}
+            onClick={handleSavePreset}
+          >
+            Save preset
+          </button>
+          {presets.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => {
+                const p = presets.find((x) => x.id === e.target.value);
+                if (p) onChange(p.masks || []);
+              }}
+              className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-2 py-1"
+            >
+              <option value="">Load preset…</option>
+              {presets.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name} ({p.masks?.length || 0})
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+      {onDeletePreset && presets.length > 0 && (
+        <ul className="mt-2 flex flex-wrap gap-2 text-xs">
+          {presets.map((p) => (
+            <li key={p.id} className="px-2 py-1 rounded bg-gray-200 dark:bg-gray-700">
+              {p.name}{' '}
+              <button type="button" className="text-red-600" onClick={() => onDeletePreset(p.id)} title="Delete preset">
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MaskEditor;
@@ -0,0 +1,40 @@
+// components/PlanFeatures.js
+import React from 'react';
+import { FEATURE_LABELS, hasFeature, planFor } from '../lib/billing/entitlements';
+
+/** "🔒 Elite" marker next to an option the current plan does not include. */
+export const LockBadge = ({ feature }) => (
+  <span
+    className="ml-1 px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+    title={`Included from the ${planFor(feature)} plan`}
+  >
+    🔒 {planFor(feature)}
+  </span>
+);
+
+/** Analysis features of the user's plan (lib/billing/entitlements.js), locked ones marked. */
+const PlanFeatures = ({ plan }) => {
+  if (!plan) return null;
+  return (
+    <ul className="flex flex-wrap gap-2 text-xs mb-6">
+      {Object.entries(FEATURE_LABELS).map(([feature, label]) => {
+        const included = hasFeature(plan, feature);
+        return (
+          <li
+            key={feature}
+            className={`px-2 py-0.5 rounded ${
+              included
+                ? 'bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-300'
+                : 'bg-gray-200 text-gray-500 dark:bg-gray-800 dark:text-gray-400'
+            }`}
+            title={included ? 'Included in your plan' : `Included from the ${planFor(feature)} plan`}
+          >
+            {included ? '✓' : '🔒'} {label}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default PlanFeatures;
@@ -0,0 +1,99 @@
+// components/ProjectTokens.js
+import React, { useState } from 'react';
+
+const inputCls =
+  'rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-2 py-1 text-sm';
+
+const btn = 'px-3 py-1 rounded border text-xs font-semibold border-gray-300 dark:border-gray-600 text-gray-800 dark:text-gray-200';
+
+/**
+ * Choose the project whose design tokens the build's colors are checked against,
+ * and upload/replace a project's token JSON file.
+ */
+const ProjectTokens = ({ projects, projectId, onChange, onSave, onDelete }) => {
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const selected = projects.find((p) => p.id === projectId) || null;
+
+  const upload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    try {
+      const tokenJson = await file.text();
+      const id = await onSave({
+        id: selected?.id,
+        name: selected?.name || name || file.name.replace(/\.json$/i, ''),
+        tokenJson,
+      });
+      setName('');
+      onChange(id);
+    } catch (err) {
+      setError(err?.message || 'Could not read the token file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const colors = selected?.tokens?.colors || [];
+
+  return (
+    <div className="mt-6 border rounded-lg p-4 bg-gray-50 dark:bg-gray-800 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold mr-2">Design tokens</span>
+        <select value={projectId || ''} onChange={(e) => onChange(e.target.value || null)} className={inputCls}>
+          <option value="">No token check</option>
+          {projects.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        {!selected && (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="New project name"
+            className={inputCls}
+          />
+        )}
+        <label className={`${btn} cursor-pointer ${busy ? 'opacity-60' : ''}`}>
+          {busy ? 'Uploading…' : selected ? 'Replace tokens (JSON)' : 'Upload tokens (JSON)'}
+          <input type="file" accept="application/json,.json" className="hidden" disabled={busy} onChange={upload} />
+        </label>
+        {selected && onDelete && (
+          <button
+            type="button"
+            className={`${btn} text-red-600`}
+            onClick={async () => {
+              await onDelete(selected.id);
+              onChange(null);
+            }}
+          >
+            Delete project
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mt-2 text-red-600 text-xs">{error}</p>}
+
+      {colors.length > 0 && (
+        <ul className="mt-3 flex flex-wrap gap-2 text-xs">
+          {colors.map((c) => (
+            <li key={c.name} className="flex items-center gap-1" title={c.name}>
+              <span className="inline-block w-4 h-4 rounded border border-gray-300" style={{ background: c.hex }} />
+              {c.hex.toUpperCase()}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ProjectTokens;
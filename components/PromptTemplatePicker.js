@@ -0,0 +1,197 @@
+// components/PromptTemplatePicker.js
+import React, { useState } from 'react';
+import {
+  FOCUS_AREAS,
+  FOCUS_AREA_LABELS,
+  DEFAULT_TEMPLATE_ID,
+  templateVariables,
+} from '../lib/compare/prompts';
+
+const inputCls =
+  'rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-2 py-1 text-sm';
+
+const btn = (primary) =>
+  `px-3 py-1 rounded border text-xs font-semibold ${
+    primary
+      ? 'bg-purple-700 text-white border-purple-700'
+      : 'border-gray-300 dark:border-gray-600 text-gray-800 dark:text-gray-200'
+  }`;
+
+/**
+ * Pick the prompt template for the next comparison and fill its {{variables}}.
+ * `value` is { templateId, vars }; built-in templates are read-only but can be duplicated.
+ */
+const PromptTemplatePicker = ({ templates, value, onChange, onSave, onDelete }) => {
+  const [editing, setEditing] = useState(null); // { id?, name, body, focusAreas, variables }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const selected = templates.find((t) => t.id === value.templateId) || templates[0];
+  const builtins = templates.filter((t) => t.builtin);
+  const own = templates.filter((t) => !t.builtin);
+
+  const select = (templateId) => onChange({ templateId, vars: {} });
+  const setVar = (key, v) => onChange({ ...value, vars: { ...value.vars, [key]: v } });
+
+  const startEdit = (template, asCopy) => {
+    setError('');
+    setEditing({
+      id: asCopy ? undefined : template?.id,
+      name: template ? (asCopy ? `${template.name} (copy)` : template.name) : '',
+      body: template?.body || '',
+      focusAreas: template?.focusAreas || ['layout'],
+      variables: { ...(template?.variables || {}) },
+    });
+  };
+
+  const toggleArea = (area) =>
+    setEditing((e) => ({
+      ...e,
+      focusAreas: e.focusAreas.includes(area) ? e.focusAreas.filter((a) => a !== area) : [...e.focusAreas, area],
+    }));
+
+  const save = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const id = await onSave(editing, editing.id);
+      setEditing(null);
+      select(id);
+    } catch (err) {
+      setError(err?.message || 'Could not save the template');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!selected || selected.builtin) return;
+    await onDelete(selected.id);
+    select(DEFAULT_TEMPLATE_ID);
+  };
+
+  const varKeys = Object.keys(selected?.variables || {});
+
+  return (
+    <div className="mt-6 border rounded-lg p-4 bg-gray-50 dark:bg-gray-800 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold mr-2">Prompt template</span>
+        <select value={selected?.id || ''} onChange={(e) => select(e.target.value)} className={inputCls}>
+          <optgroup label="Built-in">
+            {builtins.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name}
+              </option>
+            ))}
+          </optgroup>
+          {own.length > 0 && (
+            <optgroup label="My templates">
+              {own.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.name} (v{t.version || 1})
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        {onSave && (
+          <>
+            <button type="button" className={btn(false)} onClick={() => startEdit(null)}>
+              New
+            </button>
+            {selected && (
+              <button type="button" className={btn(false)} onClick={() => startEdit(selected, selected.builtin)}>
+                {selected.builtin ? 'Duplicate' : 'Edit'}
+              </button>
+            )}
+          </>
+        )}
+        {onDelete && selected && !selected.builtin && (
+          <button type="button" className={`${btn(false)} text-red-600`} onClick={remove}>
+            Delete
+          </button>
+        )}
+      </div>
+
+      {selected && (
+        <div className="mt-2 flex flex-wrap gap-1 text-xs">
+          {selected.focusAreas.map((a) => (
+            <span key={a} className="px-2 py-0.5 rounded bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-300">
+              {FOCUS_AREA_LABELS[a] || a}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {varKeys.length > 0 && (
+        <div className="mt-3 grid gap-2 sm:grid-cols-2">
+          {varKeys.map((key) => (
+            <label key={key} className="flex flex-col gap-1 text-xs">
+              {key}
+              <input
+                type="text"
+                value={value.vars?.[key] ?? ''}
+                placeholder={selected.variables[key]}
+                onChange={(e) => setVar(key, e.target.value)}
+                className={inputCls}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {editing && (
+        <div className="mt-4 border-t pt-4 dark:border-gray-600 space-y-3">
+          <input
+            type="text"
+            value={editing.name}
+            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+            placeholder="Template name"
+            className={`${inputCls} w-full`}
+          />
+          <textarea
+            value={editing.body}
+            onChange={(e) => setEditing({ ...editing, body: e.target.value })}
+            rows={4}
+            placeholder="Compare these screenshots of {{screen}} and ..."
+            className={`${inputCls} w-full`}
+          />
+          <div className="flex flex-wrap gap-3">
+            {FOCUS_AREAS.map((area) => (
+              <label key={area} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={editing.focusAreas.includes(area)}
+                  onChange={() => toggleArea(area)}
+                />
+                {FOCUS_AREA_LABELS[area]}
+              </label>
+            ))}
+          </div>
+          {templateVariables(editing.body).map((key) => (
+            <label key={key} className="flex items-center gap-2 text-xs">
+              <span className="w-32">Default for {key}</span>
+              <input
+                type="text"
+                value={editing.variables[key] ?? ''}
+                onChange={(e) => setEditing({ ...editing, variables: { ...editing.variables, [key]: e.target.value } })}
+                className={`${inputCls} flex-1`}
+              />
+            </label>
+          ))}
+          {error && <p className="text-red-600 text-xs">{error}</p>}
+          <div className="flex gap-2">
+            <button type="button" className={btn(true)} disabled={busy} onClick={save}>
+              {busy ? 'Saving…' : editing.id ? 'Save new version' : 'Save template'}
+            </button>
+            <button type="button" className={btn(false)} onClick={() => setEditing(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromptTemplatePicker;
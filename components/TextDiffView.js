@@ -0,0 +1,61 @@
+// components/TextDiffView.js
+import React from 'react';
+
+const TYPE_LABELS = { changed: 'Changed', missing: 'Missing in build', extra: 'Extra in build' };
+const TYPE_STYLES = {
+  changed: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+  missing: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+  extra: 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300',
+};
+
+/** Inline word diff: removed words struck through in red, added words in green. */
+export const WordDiff = ({ diff }) => (
+  <span>
+    {diff.map((part, i) => (
+      <React.Fragment key={i}>
+        {i > 0 && ' '}
+        {part.op === 'delete' ? (
+          <del className="text-red-600 bg-red-50 dark:bg-red-900/30">{part.text}</del>
+        ) : part.op === 'insert' ? (
+          <ins className="text-green-700 bg-green-50 dark:bg-green-900/30 no-underline">{part.text}</ins>
+        ) : (
+          part.text
+        )}
+      </React.Fragment>
+    ))}
+  </span>
+);
+
+/** OCR text differences between design and build (result.textDiff). */
+const TextDiffView = ({ textDiff }) => {
+  if (!textDiff) return null;
+  if (textDiff.error) {
+    return <p className="mb-6 text-sm text-gray-500">Text comparison (OCR) was unavailable for this run.</p>;
+  }
+  const { summary, changes } = textDiff;
+
+  return (
+    <div className="mb-6 text-sm">
+      <p className="mb-2">
+        <strong>Text differences (OCR):</strong>{' '}
+        {changes.length
+          ? `${summary.changed} changed, ${summary.missing} missing, ${summary.extra} extra`
+          : `none found in ${textDiff.designLines} line${textDiff.designLines === 1 ? '' : 's'}`}
+      </p>
+      {changes.length > 0 && (
+        <ul className="space-y-1">
+          {changes.map((c, i) => (
+            <li key={i} className="flex items-start gap-2">
+              <span className={`px-2 py-0.5 rounded text-xs whitespace-nowrap ${TYPE_STYLES[c.type]}`}>
+                {TYPE_LABELS[c.type]}
+              </span>
+              {c.type === 'changed' ? <WordDiff diff={c.diff} /> : <span>{c.designText || c.buildText}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TextDiffView;
@@ -0,0 +1,101 @@
+// components/UrlCapture.js
+import React from 'react';
+
+const inputCls =
+  'rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-2 py-1 text-sm';
+
+const WAIT_OPTIONS = [
+  ['networkidle2', 'Network almost idle'],
+  ['networkidle0', 'Network idle'],
+  ['load', 'Load event'],
+  ['domcontentloaded', 'DOM ready'],
+];
+const VIEWPORT_PRESETS = [375, 768, 1280, 1440, 1920];
+
+/**
+ * Build side as a URL: the server opens it in headless Chromium (localhost dev servers work)
+ * and the capture becomes the build screenshot. `value` is { url, width, dpr, waitUntil, fullPage, waitForSelector }.
+ * Without `onCapture` only the settings are shown (the caller captures, e.g. once per breakpoint);
+ * `showWidth={false}` hides the width when the caller sets it.
+ */
+const UrlCapture = ({ value, onChange, onCapture, busy, disabled, showWidth = true }) => {
+  const set = (key, v) => onChange({ ...value, [key]: v });
+
+  return (
+    <div className="text-left text-sm space-y-2">
+      <input
+        type="url"
+        value={value.url}
+        onChange={(e) => set('url', e.target.value)}
+        placeholder="http://localhost:3001/checkout"
+        className={`${inputCls} w-full`}
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        {showWidth && (
+          <label className="flex items-center gap-1">
+            Width
+            <input
+              type="number"
+              min={320}
+              max={3840}
+              list="pp-viewport-presets"
+              value={value.width}
+              onChange={(e) => set('width', Number(e.target.value))}
+              className={`${inputCls} w-24`}
+            />
+            <datalist id="pp-viewport-presets">
+              {VIEWPORT_PRESETS.map((w) => (
+                <option key={w} value={w} />
+              ))}
+            </datalist>
+          </label>
+        )}
+        <label className="flex items-center gap-1">
+          DPR
+          <select value={value.dpr} onChange={(e) => set('dpr', Number(e.target.value))} className={inputCls}>
+            {[1, 2, 3].map((d) => (
+              <option key={d} value={d}>
+                {d}x
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          Wait for
+          <select value={value.waitUntil} onChange={(e) => set('waitUntil', e.target.value)} className={inputCls}>
+            {WAIT_OPTIONS.map(([v, label]) => (
+              <option key={v} value={v}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={value.fullPage} onChange={(e) => set('fullPage', e.target.checked)} />
+          Full page
+        </label>
+      </div>
+      <input
+        type="text"
+        value={value.waitForSelector}
+        onChange={(e) => set('waitForSelector', e.target.value)}
+        placeholder="Optional: wait for selector, e.g. #app .loaded"
+        className={`${inputCls} w-full`}
+      />
+      {onCapture && (
+        <button
+          type="button"
+          onClick={onCapture}
+          disabled={busy || disabled || !value.url}
+          className={`px-4 py-2 rounded text-sm font-semibold bg-purple-600 text-white hover:bg-purple-700 ${
+            busy || disabled || !value.url ? 'opacity-60 cursor-not-allowed' : ''
+          }`}
+        >
+          {busy ? 'Capturing…' : 'Capture screenshot'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default UrlCapture;
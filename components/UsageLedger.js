@@ -0,0 +1,101 @@
+// components/UsageLedger.js
+import React, { useCallback, useEffect, useState } from 'react';
+
+const STATUS_STYLES = {
+  committed: 'bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-300',
+  reserved: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+  released: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  expired: 'bg-gray-200 text-gray-700 dark:bg-gray-800 dark:text-gray-300',
+};
+
+const STATUS_LABELS = {
+  committed: 'charged',
+  reserved: 'in progress',
+  released: 'refunded',
+  expired: 'refunded (expired)',
+};
+
+/**
+ * Quota ledger from /api/billing/usage: every reservation with whether it was charged or refunded.
+ * `onUsage({ used, held })` reports today's server-side count so the page can correct its local tally.
+ */
+const UsageLedger = ({ getFreshIdToken, refreshKey, onUsage }) => {
+  const [open, setOpen] = useState(false);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const token = await getFreshIdToken();
+      const response = await fetch('/api/billing/usage', { headers: { Authorization: `Bearer ${token}` } });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Could not load usage');
+      setUsage(data.usage);
+      setError('');
+      onUsage?.({ used: data.usage.used, held: data.usage.held });
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [getFreshIdToken, onUsage]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  return (
+    <div className="mb-6 text-sm">
+      <button
+        type="button"
+        className="text-xs font-semibold text-purple-700 dark:text-purple-300 underline"
+        onClick={() => setOpen((o) => !o)}
+      >
+        {open ? 'Hide usage history' : 'Usage history'}
+      </button>
+      {open && (
+        <div className="mt-2 border rounded-lg p-3 bg-gray-50 dark:bg-gray-800">
+          <p className="text-xs text-gray-600 dark:text-gray-300 mb-2">
+            A comparison is reserved when it starts and only charged when it produces a report; failed runs are
+            refunded automatically.
+          </p>
+          {usage?.followups?.max != null && (
+            <p className="text-xs text-gray-600 dark:text-gray-300 mb-2">
+              Follow-up questions today: {usage.followups.used + usage.followups.held} of {usage.followups.max}.
+            </p>
+          )}
+          {usage?.captures?.max != null && (
+            <p className="text-xs text-gray-600 dark:text-gray-300 mb-2">
+              URL captures today: {usage.captures.used + usage.captures.held} of {usage.captures.max}.
+            </p>
+          )}
+          {error && <p className="text-red-600 text-xs">{error}</p>}
+          {usage && !usage.entries.length && <p className="text-xs text-gray-500">No comparisons yet.</p>}
+          {usage?.entries.length > 0 && (
+            <table className="w-full text-xs">
+              <tbody>
+                {usage.entries.map((e) => (
+                  <tr key={e.id} className="border-b dark:border-gray-600">
+                    <td className="py-1 pr-2 whitespace-nowrap">
+                      {e.createdAt ? new Date(e.createdAt).toLocaleString() : e.day}
+                    </td>
+                    <td className="py-1 pr-2 capitalize">{e.reason === 'followup' ? 'follow-up' : e.reason || 'compare'}</td>
+                    <td className="py-1 pr-2">
+                      {e.status === 'committed' ? `${e.committedUnits}/${e.units}` : e.units}
+                    </td>
+                    <td className="py-1 pr-2">
+                      <span className={`px-2 py-0.5 rounded ${STATUS_STYLES[e.status] || ''}`}>
+                        {STATUS_LABELS[e.status] || e.status}
+                      </span>
+                    </td>
+                    <td className="py-1 text-gray-500">{e.note}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsageLedger;
@@ -0,0 +1,106 @@
+// hooks/useJobWatch.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const TERMINAL = new Set(['succeeded', 'failed']);
+
+/**
+ * Follow a job (lib/jobs/compareJobs.js) until it finishes: its stored state first, then the SSE stream of
+ * /api/jobs/[id]/events, reconnecting when the stream drops. The running job id is kept in localStorage
+ * under `resumeKey`, so a reload picks the job up again.
+ * @returns {{ job: object|null, watch: (jobId: string) => Promise<void>, clear: () => void }}
+ *   job: serializeJob() view, updated as progress arrives; status 'gone' when it expired or is not ours
+ */
+export function useJobWatch(getFreshIdToken, resumeKey) {
+  const [job, setJob] = useState(null);
+  const stream = useRef(null);
+  const active = useRef(null); // job id being followed; stale reconnects check it
+
+  const stop = useCallback(() => {
+    if (stream.current) stream.current.close();
+    stream.current = null;
+  }, []);
+
+  const clear = useCallback(() => {
+    active.current = null;
+    stop();
+    setJob(null);
+  }, [stop]);
+
+  const watch = useCallback(
+    (jobId) => {
+      active.current = jobId;
+      try {
+        if (resumeKey) localStorage.setItem(resumeKey, jobId);
+      } catch {}
+
+      const finish = (final) => {
+        if (active.current !== jobId) return;
+        active.current = null;
+        stop();
+        try {
+          if (resumeKey) localStorage.removeItem(resumeKey);
+        } catch {}
+        setJob(final);
+      };
+
+      const connect = async () => {
+        if (active.current !== jobId) return;
+        stop();
+        let token;
+        try {
+          token = await getFreshIdToken();
+          const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`, {
+            headers: { Authorization: `Bearer ${token}` },
+          });
+          if (res.status === 404 || res.status === 401) return finish({ id: jobId, status: 'gone' });
+          const data = await res.json().catch(() => ({}));
+          if (res.ok && data.job) {
+            if (TERMINAL.has(data.job.status)) return finish(data.job);
+            if (active.current === jobId) setJob(data.job);
+          }
+        } catch (err) {
+          console.warn('job status check failed:', err);
+          setTimeout(connect, 3000);
+          return;
+        }
+        if (active.current !== jobId) return;
+
+        const es = new EventSource(`/api/jobs/${encodeURIComponent(jobId)}/events?token=${encodeURIComponent(token)}`);
+        stream.current = es;
+        es.addEventListener('progress', (e) => active.current === jobId && setJob(JSON.parse(e.data)));
+        es.addEventListener('done', (e) => finish(JSON.parse(e.data)));
+        es.addEventListener('failed', (e) => finish(JSON.parse(e.data)));
+        es.onerror = () => {
+          // CONNECTING: the browser retries on its own
+          if (es.readyState !== EventSource.CLOSED || stream.current !== es) return;
+          stream.current = null;
+          setTimeout(connect, 2000);
+        };
+      };
+
+      setJob({ id: jobId, status: 'queued', progress: { stage: 'queued', pct: 0 }, partial: null });
+      return connect();
+    },
+    [getFreshIdToken, resumeKey, stop]
+  );
+
+  // a job that was still running when the page was closed or reloaded
+  useEffect(() => {
+    if (!resumeKey || active.current) return;
+    let jobId = null;
+    try {
+      jobId = localStorage.getItem(resumeKey);
+    } catch {}
+    if (jobId) watch(jobId);
+  }, [resumeKey, watch]);
+
+  useEffect(
+    () => () => {
+      active.current = null;
+      stop();
+    },
+    [stop]
+  );
+
+  return { job, watch, clear };
+}
@@ -0,0 +1,54 @@
+// hooks/useMaskPresets.js
+import { useCallback, useEffect, useState } from 'react';
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '@/lib/firebase/config';
+
+/** Named ignore-mask presets, stored under users/{uid}/maskPresets. */
+export function useMaskPresets(uid) {
+  const [presets, setPresets] = useState([]);
+
+  useEffect(() => {
+    if (!uid) {
+      setPresets([]);
+      return;
+    }
+    const q = query(collection(db, 'users', uid, 'maskPresets'), orderBy('name'));
+    const unsub = onSnapshot(
+      q,
+      (snap) => setPresets(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      () => setPresets([])
+    );
+    return unsub;
+  }, [uid]);
+
+  const savePreset = useCallback(
+    async (name, masks) => {
+      if (!uid) throw new Error('Please sign in first.');
+      await addDoc(collection(db, 'users', uid, 'maskPresets'), {
+        name: String(name).trim(),
+        masks,
+        createdAt: serverTimestamp(),
+      });
+    },
+    [uid]
+  );
+
+  const deletePreset = useCallback(
+    async (id) => {
+      if (!uid) return;
+      await deleteDoc(doc(db, 'users', uid, 'maskPresets', id));
+    },
+    [uid]
+  );
+
+  return { presets, savePreset, deletePreset };
+}
@@ -0,0 +1,60 @@
+// hooks/useProjects.js
+import { useCallback, useEffect, useState } from 'react';
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+} from 'firebase/firestore';
+import { db } from '@/lib/firebase/config';
+import { parseDesignTokens } from '@/lib/compare/tokens';
+
+/** Projects and their design-token sets, stored under users/{uid}/projects. */
+export function useProjects(uid) {
+  const [projects, setProjects] = useState([]);
+
+  useEffect(() => {
+    if (!uid) {
+      setProjects([]);
+      return;
+    }
+    const q = query(collection(db, 'users', uid, 'projects'), orderBy('name'));
+    const unsub = onSnapshot(
+      q,
+      (snap) => setProjects(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      () => setProjects([])
+    );
+    return unsub;
+  }, [uid]);
+
+  /** Create a project (no id) or replace its tokens. `tokenJson` is the raw token file text. */
+  const saveProjectTokens = useCallback(
+    async ({ id, name, tokenJson }) => {
+      if (!uid) throw new Error('Please sign in first.');
+      const tokens = parseDesignTokens(tokenJson);
+      const data = { name: String(name).trim(), tokens, updatedAt: serverTimestamp() };
+      if (id) {
+        await setDoc(doc(db, 'users', uid, 'projects', id), data, { merge: true });
+        return id;
+      }
+      const ref = await addDoc(collection(db, 'users', uid, 'projects'), { ...data, createdAt: serverTimestamp() });
+      return ref.id;
+    },
+    [uid]
+  );
+
+  const deleteProject = useCallback(
+    async (id) => {
+      if (!uid) return;
+      await deleteDoc(doc(db, 'users', uid, 'projects', id));
+    },
+    [uid]
+  );
+
+  return { projects, saveProjectTokens, deleteProject };
+}
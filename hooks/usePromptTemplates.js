@@ -0,0 +1,68 @@
+// hooks/usePromptTemplates.js
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  collection,
+  deleteDoc,
+  doc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  writeBatch,
+} from 'firebase/firestore';
+import { db } from '@/lib/firebase/config';
+import { BUILTIN_TEMPLATES, normalizeTemplate } from '@/lib/compare/prompts';
+
+/**
+ * Prompt templates: the built-ins plus the user's own under users/{uid}/promptTemplates.
+ * Every save bumps `version` and keeps a copy in .../promptTemplates/{id}/versions/{version},
+ * so a result that records { templateId, version } can always be traced back to its text.
+ */
+export function usePromptTemplates(uid) {
+  const [userTemplates, setUserTemplates] = useState([]);
+
+  useEffect(() => {
+    if (!uid) {
+      setUserTemplates([]);
+      return;
+    }
+    const q = query(collection(db, 'users', uid, 'promptTemplates'), orderBy('name'));
+    const unsub = onSnapshot(
+      q,
+      (snap) => setUserTemplates(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      () => setUserTemplates([])
+    );
+    return unsub;
+  }, [uid]);
+
+  /** Create (no id) or update a template. Throws INVALID_TEMPLATE errors from normalizeTemplate. */
+  const saveTemplate = useCallback(
+    async (raw, id) => {
+      if (!uid) throw new Error('Please sign in first.');
+      const template = normalizeTemplate(raw);
+      const col = collection(db, 'users', uid, 'promptTemplates');
+      const ref = id ? doc(col, id) : doc(col);
+      const current = id ? userTemplates.find((t) => t.id === id) : null;
+      const version = (current?.version || 0) + 1;
+
+      const batch = writeBatch(db);
+      batch.set(ref, { ...template, version, updatedAt: serverTimestamp() }, { merge: true });
+      batch.set(doc(ref, 'versions', String(version)), { ...template, version, createdAt: serverTimestamp() });
+      await batch.commit();
+      return ref.id;
+    },
+    [uid, userTemplates]
+  );
+
+  const deleteTemplate = useCallback(
+    async (id) => {
+      if (!uid) return;
+      await deleteDoc(doc(db, 'users', uid, 'promptTemplates', id));
+    },
+    [uid]
+  );
+
+  const templates = useMemo(() => [...BUILTIN_TEMPLATES, ...userTemplates], [userTemplates]);
+
+  return { templates, saveTemplate, deleteTemplate };
+}
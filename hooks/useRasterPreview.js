@@ -0,0 +1,79 @@
+// hooks/useRasterPreview.js
+import { useEffect, useState } from 'react';
+
+// the browser can show these as-is, and the server compares them as-is
+const DIRECT_PREVIEW_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+export const VECTOR_FILE_TYPES = new Set(['application/pdf', 'image/svg+xml']);
+
+const EXTENSION_TYPES = { avif: 'image/avif', gif: 'image/gif', pdf: 'application/pdf', svg: 'image/svg+xml' };
+
+/** The file's type, guessed from its extension when the browser leaves it empty (common for AVIF). */
+export function inputFileType(file) {
+  if (!file) return '';
+  if (file.type && file.type !== 'application/octet-stream') return file.type;
+  return EXTENSION_TYPES[file.name.split('.').pop().toLowerCase()] || file.type;
+}
+
+/**
+ * Preview URL for an upload. PNG/JPEG/WEBP use an object URL; PDF/SVG/AVIF/GIF are rendered by
+ * /api/rasterize exactly as the comparison will see them (PDF page and scale included).
+ * Returns { url, pageCount, width, height, loading, error }.
+ */
+export function useRasterPreview(file, { page = 1, scale = 1 } = {}, getToken) {
+  const [state, setState] = useState({ url: null, pageCount: null, loading: false, error: null });
+  const direct = !file || DIRECT_PREVIEW_TYPES.has(inputFileType(file));
+  // scale does not change what a bitmap looks like, so only vectors re-render on it
+  const renderScale = VECTOR_FILE_TYPES.has(inputFileType(file)) ? scale : 1;
+
+  useEffect(() => {
+    if (!file) return setState({ url: null, pageCount: null, loading: false, error: null });
+    if (direct) {
+      const u = URL.createObjectURL(file);
+      setState({ url: u, pageCount: null, loading: false, error: null });
+      return () => {
+        try {
+          URL.revokeObjectURL(u);
+        } catch {}
+      };
+    }
+
+    let cancelled = false;
+    setState((s) => ({ ...s, loading: true, error: null }));
+    (async () => {
+      try {
+        const token = await getToken();
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('page', String(page));
+        formData.append('scale', String(renderScale));
+        const response = await fetch('/api/rasterize', {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${token}` },
+          body: formData,
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.ok) {
+          const e = new Error(data.error || 'Could not render a preview of this file');
+          e.code = data.error_code || null;
+          throw e;
+        }
+        if (cancelled) return;
+        setState({
+          url: data.preview,
+          pageCount: data.source?.pageCount ?? null,
+          width: data.width,
+          height: data.height,
+          loading: false,
+          error: null,
+        });
+      } catch (err) {
+        if (!cancelled) setState({ url: null, pageCount: null, loading: false, error: err });
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [file, direct, page, renderScale, getToken]);
+
+  return state;
+}
@@ -0,0 +1,100 @@
+// lib/ai/mockProvider.js
+import crypto from 'crypto';
+
+// Offline provider: canned answers, chosen by a hash of the input so the same screenshots
+// always produce the same report. Lets the app run end to end against the Firebase emulators.
+
+const CANNED_ISSUES = [
+  {
+    category: 'spacing',
+    severity: 'major',
+    description: 'Header padding is larger in the build than in the design.',
+    design_box: { x: 0, y: 0, width: 1, height: 0.1 },
+    build_box: { x: 0, y: 0, width: 1, height: 0.12 },
+  },
+  {
+    category: 'typography',
+    severity: 'minor',
+    description: 'Hero heading uses a lighter font weight than the design.',
+    design_box: { x: 0.1, y: 0.15, width: 0.8, height: 0.08 },
+    build_box: { x: 0.1, y: 0.16, width: 0.8, height: 0.08 },
+  },
+  {
+    category: 'color',
+    severity: 'major',
+    description: 'Primary button background is a different shade of purple.',
+    design_box: { x: 0.35, y: 0.45, width: 0.3, height: 0.07 },
+    build_box: { x: 0.35, y: 0.46, width: 0.3, height: 0.07 },
+  },
+  {
+    category: 'missing_element',
+    severity: 'critical',
+    description: 'Footer social links shown in the design are missing from the build.',
+    design_box: { x: 0.3, y: 0.9, width: 0.4, height: 0.06 },
+    build_box: null,
+  },
+  {
+    category: 'layout',
+    severity: 'minor',
+    description: 'Card grid is shifted a few pixels to the right.',
+    design_box: { x: 0.05, y: 0.55, width: 0.9, height: 0.3 },
+    build_box: { x: 0.06, y: 0.56, width: 0.9, height: 0.3 },
+  },
+];
+
+const CHUNK_SIZE = 48;
+
+function inputHash(messages) {
+  const h = crypto.createHash('sha1');
+  for (const m of messages) {
+    h.update(String(m.text || ''));
+    for (const img of m.images || []) h.update(img.buf);
+  }
+  return h.digest();
+}
+
+function cannedReport(hash) {
+  const count = 1 + (hash[0] % 3);
+  const start = hash[1] % CANNED_ISSUES.length;
+  const issues = Array.from({ length: count }, (_, i) => CANNED_ISSUES[(start + i) % CANNED_ISSUES.length]);
+  return JSON.stringify({ summary: `Mock report: ${count} difference(s) found.`, issues });
+}
+
+function cannedText(messages) {
+  const last = [...messages].reverse().find((m) => m.role === 'user');
+  const question = String(last?.text || '').trim().slice(0, 120);
+  return `Mock answer${question ? ` to "${question}"` : ''}: this response comes from the offline mock provider.`;
+}
+
+// rough OpenAI-style estimate so usage-based features have numbers to work with
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+export function createMockProvider({ model = 'mock-vision-1' } = {}) {
+  return {
+    name: 'mock',
+    model,
+    async complete({ messages, json = false, onDelta, model: callModel, imageDetail, signal }) {
+      const content = json ? cannedReport(inputHash(messages)) : cannedText(messages);
+
+      // stream in small chunks so progress and partial reports behave like a real provider
+      let sent = '';
+      for (let i = 0; i < content.length; i += CHUNK_SIZE) {
+        if (signal?.aborted) throw Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+        const delta = content.slice(i, i + CHUNK_SIZE);
+        sent += delta;
+        if (onDelta) await onDelta(delta, sent);
+      }
+
+      const images = messages.reduce((n, m) => n + (m.images?.length || 0), 0);
+      return {
+        content,
+        provider: 'mock',
+        model: callModel || model,
+        usage: {
+          inputTokens: messages.reduce((n, m) => n + estimateTokens(m.text), 0) + images * (imageDetail === 'low' ? 85 : 765),
+          outputTokens: estimateTokens(content),
+        },
+      };
+    },
+  };
+}
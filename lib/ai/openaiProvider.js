@@ -0,0 +1,59 @@
+// lib/ai/openaiProvider.js
+import { OpenAI } from 'openai';
+
+// OpenAI chat completions, also used for OpenAI-compatible servers (Ollama, vLLM, LM Studio...)
+// by passing their baseURL. Retries and timeouts are handled by lib/ai/resilience.js, so the
+// SDK's own retries are turned off.
+
+function toOpenAIContent(message, detail) {
+  const images = message.images || [];
+  if (!images.length) return message.text;
+  return [
+    { type: 'text', text: message.text },
+    ...images.map((img) => ({
+      type: 'image_url',
+      image_url: { url: `data:${img.mimetype};base64,${img.buf.toString('base64')}`, ...(detail ? { detail } : {}) },
+    })),
+  ];
+}
+
+/**
+ * @param {{ name: string, model: string, apiKey?: string, baseURL?: string, streamUsage?: boolean }} opts
+ *   streamUsage asks for token usage on the stream (not every compatible server supports it)
+ */
+export function createOpenAIProvider({ name, model, apiKey, baseURL, streamUsage = false }) {
+  const client = new OpenAI({ apiKey, maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    name,
+    model,
+    async complete({ messages, json = false, onDelta, model: callModel, imageDetail, signal }) {
+      const usedModel = callModel || model;
+      const stream = await client.chat.completions.create({
+        model: usedModel,
+        stream: true,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+        ...(streamUsage ? { stream_options: { include_usage: true } } : {}),
+        messages: messages.map((m) => ({ role: m.role, content: toOpenAIContent(m, imageDetail) })),
+      }, signal ? { signal } : undefined);
+
+      let content = '';
+      let usage = null;
+      for await (const chunk of stream) {
+        if (chunk?.usage) usage = chunk.usage;
+        const delta = chunk?.choices?.[0]?.delta?.content || '';
+        if (!delta) continue;
+        content += delta;
+        if (onDelta) await onDelta(delta, content);
+      }
+      return {
+        content,
+        provider: name,
+        model: usedModel,
+        usage: usage
+          ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+          : null,
+      };
+    },
+  };
+}
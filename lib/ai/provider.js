@@ -0,0 +1,80 @@
+// lib/ai/provider.js
+import { createOpenAIProvider } from '@/lib/ai/openaiProvider';
+import { createMockProvider } from '@/lib/ai/mockProvider';
+import { withResilience, circuitStatus } from '@/lib/ai/resilience';
+
+// Which AI backend runs comparisons, chosen by env:
+//   AI_PROVIDER  openai | compatible | mock
+//                (default: mock in emulator mode without OPENAI_API_KEY, otherwise openai)
+//   AI_MODEL     model name (default gpt-4o; mock-vision-1 for mock)
+//   AI_BASE_URL  OpenAI-compatible endpoint, required for `compatible` (e.g. http://localhost:11434/v1)
+//   AI_API_KEY   key for the compatible endpoint (falls back to OPENAI_API_KEY)
+//
+// Every provider implements:
+//   complete({ messages: [{ role, text, images?: [{ buf, mimetype }] }], json?, onDelta?(delta, content), model?, imageDetail? })
+//     -> Promise<{ content, provider, model, usage: { inputTokens, outputTokens } | null }>
+//   model overrides the configured model for one call; imageDetail is 'auto' | 'low' | 'high'
+//   signal (AbortSignal) cancels the request
+// getAIProvider() wraps the provider with timeouts, retries, model fallback and a circuit breaker
+// (lib/ai/resilience.js), which adds onAttempt(attempt) to complete() and may throw AI_DEGRADED.
+
+export const AI_PROVIDERS = ['openai', 'compatible', 'mock'];
+
+const isEmu = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+let _provider = null;
+
+function configError(message) {
+  const err = new Error(message);
+  err.code = 'AI_CONFIG_ERROR';
+  return err;
+}
+
+function createProvider() {
+  const openaiKey = (process.env.OPENAI_API_KEY || '').trim();
+  const name = (process.env.AI_PROVIDER || (isEmu && !openaiKey ? 'mock' : 'openai')).trim().toLowerCase();
+  const model = (process.env.AI_MODEL || '').trim();
+
+  if (name === 'mock') return createMockProvider(model ? { model } : {});
+
+  if (name === 'openai') {
+    if (!openaiKey) throw configError('OPENAI_API_KEY is not set (or set AI_PROVIDER=mock to run offline)');
+    return createOpenAIProvider({ name, model: model || 'gpt-4o', apiKey: openaiKey, streamUsage: true });
+  }
+
+  if (name === 'compatible') {
+    const baseURL = (process.env.AI_BASE_URL || '').trim();
+    if (!baseURL) throw configError('AI_BASE_URL is required when AI_PROVIDER=compatible');
+    return createOpenAIProvider({
+      name,
+      model: model || 'gpt-4o',
+      baseURL,
+      // local servers usually ignore the key, but the SDK insists on one
+      apiKey: (process.env.AI_API_KEY || '').trim() || openaiKey || 'not-needed',
+    });
+  }
+
+  throw configError(`Unknown AI_PROVIDER "${name}" (expected one of: ${AI_PROVIDERS.join(', ')})`);
+}
+
+/** The configured provider (created once per server instance). Throws AI_CONFIG_ERROR on bad config. */
+export function getAIProvider() {
+  if (!_provider) _provider = withResilience(createProvider());
+  return _provider;
+}
+
+/**
+ * Whether the configured provider is refusing calls (circuit open, or its half-open trial still out),
+ * so routes can answer "service degraded" before reserving quota or queueing work.
+ * @returns {{ degraded: boolean, retryAfterMs: number }}
+ */
+export function aiServiceStatus() {
+  let name;
+  try {
+    name = getAIProvider().name;
+  } catch {
+    return { degraded: false, retryAfterMs: 0 }; // config errors surface on the actual call
+  }
+  const { degraded, retryAfterMs } = circuitStatus(name);
+  return { degraded, retryAfterMs };
+}
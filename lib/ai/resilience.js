@@ -0,0 +1,179 @@
+// lib/ai/resilience.js
+
+// Wraps a provider so one hiccup does not fail a comparison:
+//   - every attempt is aborted after AI_TIMEOUT_MS
+//   - 429/5xx, timeouts and connection errors are retried with exponential backoff (Retry-After wins)
+//   - when a model keeps failing (or does not exist), the next one in AI_FALLBACK_MODELS is tried
+//   - after AI_CIRCUIT_THRESHOLD provider failures in a row the circuit opens: calls fail fast with
+//     AI_DEGRADED for AI_CIRCUIT_COOLDOWN_MS, then one trial call decides whether it closes again
+// Env (all optional):
+//   AI_TIMEOUT_MS (90000)  AI_MAX_RETRIES (2)  AI_RETRY_BASE_MS (1000)  AI_FALLBACK_MODELS ('' = none, e.g. "gpt-4o-mini")
+//   AI_CIRCUIT_THRESHOLD (5)  AI_CIRCUIT_COOLDOWN_MS (30000)
+
+const MAX_BACKOFF_MS = 20000;
+
+export const CIRCUIT_STATE = Object.freeze({ CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' });
+
+const envInt = (name, fallback) => {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+export function resilienceConfig() {
+  return {
+    timeoutMs: envInt('AI_TIMEOUT_MS', 90000),
+    maxRetries: envInt('AI_MAX_RETRIES', 2),
+    retryBaseMs: envInt('AI_RETRY_BASE_MS', 1000),
+    fallbackModels: (process.env.AI_FALLBACK_MODELS || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+    circuitThreshold: Math.max(1, envInt('AI_CIRCUIT_THRESHOLD', 5)),
+    circuitCooldownMs: envInt('AI_CIRCUIT_COOLDOWN_MS', 30000),
+  };
+}
+
+function aiError(code, message, extra = {}) {
+  const e = new Error(message);
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+// one breaker per provider per process (survives dev hot-reloads)
+const breakers = globalThis.__ppAIBreakers || (globalThis.__ppAIBreakers = new Map());
+
+function breakerFor(name) {
+  if (!breakers.has(name)) breakers.set(name, { failures: 0, openedAt: 0, trial: false });
+  return breakers.get(name);
+}
+
+/**
+ * Circuit state of a provider, for failing fast before work is queued.
+ * degraded: calls are refused right now (open, or half-open while the trial call is still out)
+ * @returns {{ state: 'closed'|'open'|'half_open', degraded: boolean, retryAfterMs: number }}
+ */
+export function circuitStatus(name, config = resilienceConfig()) {
+  const b = breakerFor(name);
+  if (b.failures < config.circuitThreshold) return { state: CIRCUIT_STATE.CLOSED, degraded: false, retryAfterMs: 0 };
+  const left = b.openedAt + config.circuitCooldownMs - Date.now();
+  if (left > 0) return { state: CIRCUIT_STATE.OPEN, degraded: true, retryAfterMs: left };
+  return {
+    state: CIRCUIT_STATE.HALF_OPEN,
+    degraded: b.trial,
+    // the trial's own timeout bounds how long it can stay out
+    retryAfterMs: b.trial ? Math.min(config.circuitCooldownMs, config.timeoutMs) : 0,
+  };
+}
+
+/** HTTP status of a provider error, or null (timeouts, connection errors). */
+const statusOf = (err) => Number(err?.status || err?.response?.status) || null;
+
+/**
+ * How a failed attempt should be handled.
+ * @returns {{ reason: string, retry: boolean, fallback: boolean, counts: boolean }}
+ *   counts: the failure says something about the provider's health (feeds the circuit breaker)
+ */
+function classify(err, timedOut) {
+  const status = statusOf(err);
+  if (timedOut) return { reason: 'timeout', retry: true, fallback: true, counts: true };
+  if (status === 429) return { reason: 'rate_limited', retry: true, fallback: true, counts: true };
+  if (status >= 500) return { reason: 'server_error', retry: true, fallback: true, counts: true };
+  if (status === 404) return { reason: 'model_unavailable', retry: false, fallback: true, counts: false };
+  if (!status) return { reason: 'connection_error', retry: true, fallback: true, counts: true };
+  return { reason: 'request_error', retry: false, fallback: false, counts: false };
+}
+
+function backoffMs(err, retry, config) {
+  const retryAfter = Number(err?.headers?.['retry-after'] ?? err?.headers?.get?.('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(MAX_BACKOFF_MS, retryAfter * 1000);
+  const base = config.retryBaseMs * 2 ** retry;
+  return Math.min(MAX_BACKOFF_MS, Math.round(base / 2 + Math.random() * base));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * `provider` with timeouts, retries, model fallback and a circuit breaker. Same interface, plus
+ * `onAttempt({ attempt, model, ok, reason?, status?, latencyMs, retryInMs? })` on complete(),
+ * called after every try; results also carry `attempts` (count) and `fallbackFrom` (model) when used.
+ * Throws Error with .code = 'AI_DEGRADED' (circuit open, .retryAfterMs) or the last provider error.
+ */
+export function withResilience(provider, config = resilienceConfig()) {
+  const breaker = breakerFor(provider.name);
+
+  // true when this attempt is the half-open trial (its `finally` hands the slot back)
+  const admit = () => {
+    const { state, degraded, retryAfterMs } = circuitStatus(provider.name, config);
+    if (degraded) {
+      throw aiError('AI_DEGRADED', 'The AI service is degraded right now; please try again shortly.', {
+        retryAfterMs: retryAfterMs || config.circuitCooldownMs,
+      });
+    }
+    if (state !== CIRCUIT_STATE.HALF_OPEN) return false;
+    breaker.trial = true;
+    return true;
+  };
+  const succeeded = () => {
+    breaker.failures = 0;
+  };
+  const failed = () => {
+    breaker.failures++;
+    if (breaker.failures >= config.circuitThreshold) breaker.openedAt = Date.now();
+  };
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    async complete({ onAttempt = () => {}, model, ...args }) {
+      const primary = model || provider.model;
+      const models = [primary, ...config.fallbackModels.filter((m) => m !== primary)];
+      let attempt = 0;
+      let lastErr;
+
+      for (const m of models) {
+        for (let retry = 0; retry <= config.maxRetries; retry++) {
+          const trial = admit();
+          attempt++;
+          const controller = new AbortController();
+          let timedOut = false;
+          const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, config.timeoutMs);
+          const startedAt = Date.now();
+          try {
+            const result = await provider.complete({ ...args, model: m, signal: controller.signal });
+            succeeded();
+            await onAttempt({ attempt, model: m, ok: true, latencyMs: Date.now() - startedAt });
+            return { ...result, attempts: attempt, ...(m !== primary ? { fallbackFrom: primary } : {}) };
+          } catch (err) {
+            lastErr = timedOut ? aiError('AI_TIMEOUT', `No response from the AI provider within ${config.timeoutMs} ms`) : err;
+            const c = classify(err, timedOut);
+            if (c.counts) failed();
+            const again = c.retry && retry < config.maxRetries;
+            const wait = again ? backoffMs(err, retry, config) : 0;
+            await onAttempt({
+              attempt,
+              model: m,
+              ok: false,
+              reason: c.reason,
+              status: statusOf(err),
+              message: String(lastErr?.message || lastErr).slice(0, 200),
+              latencyMs: Date.now() - startedAt,
+              ...(again ? { retryInMs: wait } : {}),
+            });
+            if (!c.fallback && !again) throw lastErr;
+            if (!again) break;
+            await sleep(wait);
+          } finally {
+            clearTimeout(timer);
+            // whatever the outcome (a 400 says nothing about the provider), the next call may try again
+            if (trial) breaker.trial = false;
+          }
+        }
+      }
+      throw lastErr;
+    },
+  };
+}
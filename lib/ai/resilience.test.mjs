@@ -0,0 +1,57 @@
+// lib/ai/resilience.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { withResilience, circuitStatus, CIRCUIT_STATE } from './resilience.js';
+
+const CONFIG = { timeoutMs: 200, maxRetries: 0, retryBaseMs: 1, fallbackModels: [], circuitThreshold: 2, circuitCooldownMs: 20 };
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// fake provider answering from a script: a status number throws that HTTP error, 'hold' answers
+// after a short wait, anything else succeeds right away
+function scripted(name, steps) {
+  return {
+    name,
+    model: 'm0',
+    async complete({ model }) {
+      const step = steps.shift();
+      if (typeof step === 'number') throw httpError(step);
+      if (step === 'hold') await sleep(30);
+      return { content: 'ok', model, usage: null };
+    },
+  };
+}
+
+async function openCircuit(provider) {
+  for (let i = 0; i < CONFIG.circuitThreshold; i++) {
+    await assert.rejects(provider.complete({ messages: [] }), { status: 503 });
+  }
+  assert.equal(circuitStatus(provider.name, CONFIG).state, CIRCUIT_STATE.OPEN);
+  await assert.rejects(provider.complete({ messages: [] }), { code: 'AI_DEGRADED' });
+  await sleep(CONFIG.circuitCooldownMs + 5);
+}
+
+test('a trial that fails with a 4xx does not leave the circuit stuck', async () => {
+  const provider = withResilience(scripted('trial-4xx', [503, 503, 400, 'ok']), CONFIG);
+  await openCircuit(provider);
+
+  assert.deepEqual(circuitStatus(provider.name, CONFIG), { state: CIRCUIT_STATE.HALF_OPEN, degraded: false, retryAfterMs: 0 });
+  await assert.rejects(provider.complete({ messages: [] }), { status: 400 });
+  assert.equal(circuitStatus(provider.name, CONFIG).degraded, false);
+
+  const result = await provider.complete({ messages: [] });
+  assert.equal(result.content, 'ok');
+  assert.equal(circuitStatus(provider.name, CONFIG).state, CIRCUIT_STATE.CLOSED);
+});
+
+test('half-open with the trial still out counts as degraded', async () => {
+  const provider = withResilience(scripted('trial-in-flight', [503, 503, 'hold']), CONFIG);
+  await openCircuit(provider);
+
+  const trial = provider.complete({ messages: [] });
+  assert.equal(circuitStatus(provider.name, CONFIG).degraded, true);
+  await assert.rejects(provider.complete({ messages: [] }), { code: 'AI_DEGRADED' });
+  await trial;
+  assert.equal(circuitStatus(provider.name, CONFIG).state, CIRCUIT_STATE.CLOSED);
+});
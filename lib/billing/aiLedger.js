@@ -0,0 +1,188 @@
+// lib/billing/aiLedger.js
+import { db, FieldValue } from '@/lib/firebase/firebaseAdminDb';
+import { todayKey } from '@/lib/billing/limit';
+
+// What every AI provider call costs us. One entry per call in aiCalls/{id}:
+//   { uid, plan, day, jobId, kind, provider, model, inputTokens, outputTokens, images, imageDetail,
+//     latencyMs, attempts, fallbackFrom, costUsd, ok, error, createdAt }
+// and running totals (increments, no reads) in aiUsage/{id}:
+//   day_{day}         { scope: 'day', day, totals, byPlan: { [plan]: totals } }
+//   user_{uid}_{day}  { scope: 'user', uid, day, plan, totals }
+// totals = { calls, failedCalls, unpricedCalls, inputTokens, outputTokens, images, latencyMs, costUsd }
+// topAIUsers() needs a composite index on aiUsage (scope, day, totals.costUsd desc).
+
+// USD per 1M tokens (image tokens are billed as input). AI_PRICES_JSON adds or overrides models:
+//   AI_PRICES_JSON='{"llava:13b":{"input":0,"output":0}}'
+const MODEL_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'mock-vision-1': { input: 0, output: 0 },
+};
+
+const MAX_DAYS = 90;
+
+let _prices = null;
+function prices() {
+  if (_prices) return _prices;
+  let extra = {};
+  try {
+    extra = JSON.parse(process.env.AI_PRICES_JSON || '{}');
+  } catch {
+    console.warn('[aiLedger] AI_PRICES_JSON is not valid JSON; using built-in prices');
+  }
+  _prices = { ...MODEL_PRICES, ...extra };
+  return _prices;
+}
+
+/**
+ * Estimated USD cost of one call, or null for a model without a price.
+ * Dated snapshots ('gpt-4o-2024-08-06') use the price of the longest matching name.
+ */
+export function estimateCostUsd(model, { inputTokens = 0, outputTokens = 0 } = {}) {
+  const table = prices();
+  const name = String(model || '').toLowerCase();
+  const key = table[name] ? name : Object.keys(table).filter((k) => name.startsWith(`${k}-`)).sort((a, b) => b.length - a.length)[0];
+  if (!key) return null;
+  const p = table[key];
+  return Number(((inputTokens * p.input + outputTokens * p.output) / 1e6).toFixed(6));
+}
+
+const usageCol = () => db.collection('aiUsage');
+
+/** One call as increments of a totals map (merged into the rollup docs). */
+function totalsIncrement(call, costUsd) {
+  const inc = (v) => FieldValue.increment(v);
+  return {
+    calls: inc(1),
+    failedCalls: inc(call.ok ? 0 : 1),
+    unpricedCalls: inc(costUsd == null ? 1 : 0),
+    inputTokens: inc(call.inputTokens || 0),
+    outputTokens: inc(call.outputTokens || 0),
+    images: inc(call.images || 0),
+    latencyMs: inc(call.latencyMs || 0),
+    costUsd: inc(costUsd || 0),
+  };
+}
+
+/**
+ * Record one AI provider call and add it to the day/user totals.
+ * @param {{ uid: string, plan?: string|null, jobId?: string|null, kind: string }} ctx
+ *   kind: what made the call ('compare' | 'batch' | 'breakpoints' | 'followup')
+ * @param {{ provider, model, inputTokens, outputTokens, images, imageDetail, latencyMs, ok, attempts?, fallbackFrom?, error? }} call
+ *   the pipeline's onAICall record (tokens are 0 when the provider did not report usage;
+ *   attempts counts retries and fallback models, latencyMs covers all of them)
+ * Best effort: never throws, so accounting trouble cannot fail a comparison.
+ */
+export async function recordAICall(ctx, call) {
+  try {
+    const day = todayKey();
+    const plan = ctx.plan || 'none';
+    const costUsd = estimateCostUsd(call.model, call);
+    const batch = db.batch();
+    batch.set(db.collection('aiCalls').doc(), {
+      uid: ctx.uid,
+      plan,
+      day,
+      jobId: ctx.jobId || null,
+      kind: ctx.kind,
+      provider: call.provider || null,
+      model: call.model || null,
+      inputTokens: call.inputTokens || 0,
+      outputTokens: call.outputTokens || 0,
+      images: call.images || 0,
+      imageDetail: call.imageDetail || 'auto',
+      latencyMs: call.latencyMs || 0,
+      attempts: call.attempts || 1,
+      fallbackFrom: call.fallbackFrom || null,
+      costUsd,
+      ok: !!call.ok,
+      error: call.error ? String(call.error).slice(0, 300) : null,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    const totals = totalsIncrement(call, costUsd);
+    batch.set(
+      usageCol().doc(`day_${day}`),
+      { scope: 'day', day, totals, byPlan: { [plan]: totals } },
+      { merge: true }
+    );
+    batch.set(usageCol().doc(`user_${ctx.uid}_${day}`), { scope: 'user', uid: ctx.uid, day, plan, totals }, { merge: true });
+    await batch.commit();
+  } catch (err) {
+    console.warn('[aiLedger] could not record AI call:', err?.message || err);
+  }
+}
+
+const EMPTY_TOTALS = Object.freeze({
+  calls: 0,
+  failedCalls: 0,
+  unpricedCalls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  images: 0,
+  latencyMs: 0,
+  costUsd: 0,
+});
+
+function addTotals(a, b = {}) {
+  const out = { ...a };
+  for (const k of Object.keys(EMPTY_TOTALS)) out[k] += Number(b[k] || 0);
+  out.costUsd = Number(out.costUsd.toFixed(6));
+  return out;
+}
+
+/** The last `days` day keys, newest first (UTC, like todayKey()). */
+function lastDays(days) {
+  const n = Math.min(MAX_DAYS, Math.max(1, days));
+  const now = Date.now();
+  return Array.from({ length: n }, (_, i) => new Date(now - i * 86400000).toISOString().slice(0, 10));
+}
+
+/**
+ * Spend per day and per plan over the last `days` days.
+ * @returns {Promise<{ totals, byPlan: { [plan]: totals }, days: Array<{ day, totals, byPlan }> }>}
+ */
+export async function aiUsageByDay({ days = 7 } = {}) {
+  const keys = lastDays(days);
+  const snaps = await db.getAll(...keys.map((d) => usageCol().doc(`day_${d}`)));
+  let totals = { ...EMPTY_TOTALS };
+  const byPlan = {};
+  const rows = snaps.map((snap, i) => {
+    const data = snap.exists ? snap.data() : {};
+    totals = addTotals(totals, data.totals);
+    for (const [plan, t] of Object.entries(data.byPlan || {})) byPlan[plan] = addTotals(byPlan[plan] || EMPTY_TOTALS, t);
+    return { day: keys[i], totals: addTotals(EMPTY_TOTALS, data.totals), byPlan: data.byPlan || {} };
+  });
+  return { totals, byPlan, days: rows };
+}
+
+/**
+ * One user's spend over the last `days` days.
+ * @returns {Promise<{ uid, totals, days: Array<{ day, plan, totals }> }>}
+ */
+export async function aiUsageForUser(uid, { days = 30 } = {}) {
+  const keys = lastDays(days);
+  const snaps = await db.getAll(...keys.map((d) => usageCol().doc(`user_${uid}_${d}`)));
+  let totals = { ...EMPTY_TOTALS };
+  const rows = snaps.map((snap, i) => {
+    const data = snap.exists ? snap.data() : {};
+    totals = addTotals(totals, data.totals);
+    return { day: keys[i], plan: data.plan || null, totals: addTotals(EMPTY_TOTALS, data.totals) };
+  });
+  return { uid, totals, days: rows };
+}
+
+/**
+ * Users who cost the most on one day, most expensive first (for spotting abusive accounts).
+ * @returns {Promise<Array<{ uid, plan, totals }>>}
+ */
+export async function topAIUsers(day = todayKey(), { limit = 20 } = {}) {
+  const snap = await usageCol()
+    .where('scope', '==', 'user')
+    .where('day', '==', day)
+    .orderBy('totals.costUsd', 'desc')
+    .limit(limit)
+    .get();
+  return snap.docs.map((d) => ({ uid: d.get('uid'), plan: d.get('plan') || null, totals: addTotals(EMPTY_TOTALS, d.get('totals')) }));
+}
@@ -0,0 +1,71 @@
+// lib/billing/entitlements.js
+
+// What a comparison includes on each plan (daily counts are in lib/billing/limit.js).
+// Enforced server-side by applyEntitlements() before the pipeline runs; the utility page reads the
+// same table to show which features are locked. Plain data: safe to import on the client.
+//   imageDetail  detail the AI gets the images at ('auto' lets the provider decide, 'high' reads small text)
+//   maxTiles     AI passes for a tall page (1 = the whole page in one downscaled pass, see lib/compare/tiling.js)
+//   ocr          OCR text diff
+//   a11y         WCAG AA contrast and touch-target checks
+// The model can differ per plan with AI_MODEL_BASIC / AI_MODEL_PRO / AI_MODEL_ELITE (default: AI_MODEL).
+
+export const PLAN_ENTITLEMENTS = {
+  basic: { imageDetail: 'auto', maxTiles: 1, ocr: false, a11y: false },
+  pro: { imageDetail: 'auto', maxTiles: 4, ocr: true, a11y: false },
+  elite: { imageDetail: 'high', maxTiles: 8, ocr: true, a11y: true },
+};
+
+const PLAN_ORDER = ['basic', 'pro', 'elite'];
+
+const FEATURE_CHECKS = {
+  highDetail: (e) => e.imageDetail === 'high',
+  tiling: (e) => e.maxTiles > 1,
+  ocr: (e) => e.ocr,
+  a11y: (e) => e.a11y,
+};
+
+export const FEATURE_LABELS = {
+  highDetail: 'High-detail images',
+  tiling: 'Tall pages in sections',
+  ocr: 'Text diff (OCR)',
+  a11y: 'Accessibility (WCAG AA)',
+};
+
+/** Entitlements of a plan; unknown plans get the Basic tier. */
+export function entitlementsFor(plan) {
+  return PLAN_ENTITLEMENTS[String(plan || '').toLowerCase()] || PLAN_ENTITLEMENTS.basic;
+}
+
+/** Whether `plan` includes a feature ('highDetail' | 'tiling' | 'ocr' | 'a11y'). */
+export function hasFeature(plan, feature) {
+  return !!FEATURE_CHECKS[feature]?.(entitlementsFor(plan));
+}
+
+/** Cheapest plan that includes a feature (for "upgrade to ..." hints), or null. */
+export function planFor(feature) {
+  return PLAN_ORDER.find((p) => hasFeature(p, feature)) || null;
+}
+
+/**
+ * Restrict pipeline options to what `plan` includes: features it lacks are turned off and the AI
+ * depth (image detail, tiles, model) is set from the table.
+ * @returns {{ options: object, entitlements: { plan, locked: string[], skipped: string[] } }}
+ *   locked: features the plan does not include; skipped: those the request asked for anyway
+ */
+export function applyEntitlements(options, plan) {
+  const key = String(plan || '').toLowerCase();
+  const ent = entitlementsFor(key);
+  const locked = Object.keys(FEATURE_CHECKS).filter((f) => !FEATURE_CHECKS[f](ent));
+  const skipped = ['ocr', 'a11y'].filter((f) => options[f] && !ent[f]);
+  return {
+    options: {
+      ...options,
+      ocr: options.ocr && ent.ocr,
+      a11y: options.a11y && ent.a11y,
+      maxTiles: ent.maxTiles,
+      imageDetail: ent.imageDetail,
+      aiModel: (process.env[`AI_MODEL_${key.toUpperCase()}`] || '').trim() || null,
+    },
+    entitlements: { plan: PLAN_ENTITLEMENTS[key] ? key : 'basic', locked, skipped },
+  };
+}
@@ -0,0 +1,61 @@
+// lib/billing/entitlements.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PLAN_ENTITLEMENTS, applyEntitlements, entitlementsFor, hasFeature, planFor } from './entitlements.js';
+
+test('unknown or missing plans get the Basic tier; names are case-insensitive', () => {
+  assert.equal(entitlementsFor(undefined), PLAN_ENTITLEMENTS.basic);
+  assert.equal(entitlementsFor('platinum'), PLAN_ENTITLEMENTS.basic);
+  assert.equal(entitlementsFor('Elite'), PLAN_ENTITLEMENTS.elite);
+});
+
+test('features follow the plan table', () => {
+  assert.equal(hasFeature('basic', 'tiling'), false);
+  assert.equal(hasFeature('pro', 'tiling'), true);
+  assert.equal(hasFeature('pro', 'a11y'), false);
+  assert.equal(hasFeature('elite', 'highDetail'), true);
+  assert.equal(hasFeature('elite', 'nope'), false);
+});
+
+test('upgrade hints name the cheapest plan with a feature', () => {
+  assert.equal(planFor('ocr'), 'pro');
+  assert.equal(planFor('a11y'), 'elite');
+  assert.equal(planFor('highDetail'), 'elite');
+  assert.equal(planFor('nope'), null);
+});
+
+test('features the plan lacks are turned off and reported as skipped', () => {
+  const { options, entitlements } = applyEntitlements({ ocr: true, a11y: true, maxTiles: 99, imageDetail: 'high', masks: [] }, 'basic');
+  assert.equal(options.ocr, false);
+  assert.equal(options.a11y, false);
+  assert.equal(options.maxTiles, 1);
+  assert.equal(options.imageDetail, 'auto');
+  assert.deepEqual(options.masks, [], 'other options pass through');
+  assert.deepEqual(entitlements, { plan: 'basic', locked: ['highDetail', 'tiling', 'ocr', 'a11y'], skipped: ['ocr', 'a11y'] });
+});
+
+test('only requested features count as skipped; included ones stay as asked', () => {
+  const pro = applyEntitlements({ ocr: true, a11y: false }, 'PRO');
+  assert.equal(pro.options.ocr, true);
+  assert.equal(pro.options.maxTiles, 4);
+  assert.deepEqual(pro.entitlements, { plan: 'pro', locked: ['highDetail', 'a11y'], skipped: [] });
+
+  const elite = applyEntitlements({ ocr: false, a11y: true }, 'elite');
+  assert.equal(elite.options.ocr, false);
+  assert.equal(elite.options.a11y, true);
+  assert.deepEqual(elite.entitlements.locked, []);
+  assert.equal(applyEntitlements({}, 'platinum').entitlements.plan, 'basic');
+});
+
+test('the AI model comes from the per-plan env override', () => {
+  const saved = process.env.AI_MODEL_ELITE;
+  try {
+    process.env.AI_MODEL_ELITE = ' gpt-4.1 ';
+    assert.equal(applyEntitlements({}, 'elite').options.aiModel, 'gpt-4.1');
+    delete process.env.AI_MODEL_ELITE;
+    assert.equal(applyEntitlements({}, 'elite').options.aiModel, null);
+  } finally {
+    if (saved === undefined) delete process.env.AI_MODEL_ELITE;
+    else process.env.AI_MODEL_ELITE = saved;
+  }
+});
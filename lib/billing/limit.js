@@ -7,6 +7,20 @@ export function limitForPlan(plan) {
   return DAILY_LIMITS[String(plan || '').toLowerCase()] ?? 0; // 0 => no access
 }
 
+// Per-day follow-up questions on finished reports, counted separately from comparisons
+export const FOLLOWUP_DAILY_LIMITS = { basic: 10, pro: 25, elite: 60 };
+
+export function followupLimitForPlan(plan) {
+  return FOLLOWUP_DAILY_LIMITS[String(plan || '').toLowerCase()] ?? 0;
+}
+
+// Per-day URL screenshots for the upload form (/api/capture); each runs a headless browser
+export const CAPTURE_DAILY_LIMITS = { basic: 20, pro: 60, elite: 150 };
+
+export function captureLimitForPlan(plan) {
+  return CAPTURE_DAILY_LIMITS[String(plan || '').toLowerCase()] ?? 0;
+}
+
 // UTC day key; daily reset
 export function todayKey() {
   return new Date().toISOString().slice(0, 10); // 'YYYY-MM-DD'
@@ -1,7 +1,8 @@
 // lib/billing/quota.js
-import { authAdmin, db, FieldValue } from '@/lib/firebase/firebaseAdmin';
+import { authAdmin } from '@/lib/firebase/firebaseAdmin';
+import { db, FieldValue, Timestamp } from '@/lib/firebase/firebaseAdminDb';
 import { stripe } from '@/lib/stripe/server';
-import { limitForPlan, todayKey } from '@/lib/billing/limit';
+import { captureLimitForPlan, followupLimitForPlan, limitForPlan, todayKey } from '@/lib/billing/limit';
 
 /** Map Stripe price -> plan label used in your app. */
 function planFromPrice(price) {
@@ -96,61 +97,305 @@ async function resolveStripeCustomerId({ uid, userRef }) {
   return created.id;
 }
 
+
+// Comparisons are paid for in two steps: reserveQuota() holds units before any work starts,
+// then commitQuota() charges them once a result exists or releaseQuota() hands them back.
+// Every reservation is an entry in users/{uid}/quotaLedger (the user's usage history):
+//   { day, meter, units, status, reason, plan, jobId, committedUnits, note, createdAt, expiresAt, settledAt }
+// users/{uid}/quota/{meter doc} keeps the committed count for the day; held units are summed from
+// the ledger. A reservation that is never settled (crashed request) stops counting at expiresAt.
+// Follow-up questions on a report have their own meter so they never eat into comparisons.
+
+export const RESERVATION_STATUS = Object.freeze({
+  RESERVED: 'reserved',
+  COMMITTED: 'committed',
+  RELEASED: 'released',
+  EXPIRED: 'expired',
+});
+
+export const QUOTA_METERS = Object.freeze({
+  compare: { doc: 'daily', limitFor: limitForPlan, noun: 'comparisons', label: 'Daily limit' },
+  followup: { doc: 'followups', limitFor: followupLimitForPlan, noun: 'follow-up questions', label: 'Daily follow-up limit' },
+  capture: { doc: 'captures', limitFor: captureLimitForPlan, noun: 'URL captures', label: 'Daily capture limit' },
+});
+
+// per reserved unit: long enough for a capture + AI report, short enough that a crash is forgiven soon
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+const ledgerCol = (uid) => db.collection('users').doc(uid).collection('quotaLedger');
+const quotaDoc = (uid, meter) =>
+  db.collection('users').doc(uid).collection('quota').doc(QUOTA_METERS[meter].doc);
+// entries written before meters existed are comparisons
+const meterOf = (entry) => entry.meter || 'compare';
+
+/** Whether a reservation was never settled and has stopped counting (its expiresAt has passed). */
+export function isLapsed(entry, now = Date.now()) {
+  return entry.status === RESERVATION_STATUS.RESERVED && (entry.expiresAt?.toMillis?.() ?? 0) <= now;
+}
+
+/** When a reservation of `units` made at `now` stops counting (ms). */
+export function reservationExpiry(units, now = Date.now()) {
+  return now + RESERVATION_TTL_MS * units;
+}
+
+/**
+ * Units still held on `day` and `meter` by open reservations (ledger entries with their `id`).
+ * Lapsed reservations and the entry `exceptId` (the one being settled) do not count.
+ */
+export function heldUnits(entries, { day, meter, exceptId = null, now = Date.now() }) {
+  return entries
+    .filter((e) => e.id !== exceptId && e.day === day && meterOf(e) === meter && !isLapsed(e, now))
+    .reduce((n, e) => n + Number(e.units || 0), 0);
+}
+
+/**
+ * Throw unless `units` more fit under the plan limit next to what is committed and held today.
+ * Throws Error with .code = 'LIMIT_EXCEEDED' and .remaining
+ */
+export function assertQuotaAvailable({ committed, held, units, max, plan, meter }) {
+  const { noun, label } = QUOTA_METERS[meter];
+  const used = committed + held;
+  const inFlight = held ? ` (${held} still running)` : '';
+
+  if (used >= max) {
+    const e = new Error(`${label} reached for your ${plan} plan (${max}/day)${inFlight}.`);
+    e.code = 'LIMIT_EXCEEDED';
+    e.remaining = 0;
+    throw e;
+  }
+  if (used + units > max) {
+    const e = new Error(
+      `This request needs ${units} ${noun} but only ${max - used} of ${max} remain today on your ${plan} plan${inFlight}.`
+    );
+    e.code = 'LIMIT_EXCEEDED';
+    e.remaining = max - used;
+    throw e;
+  }
+}
+
+/** How many of `charged` units an expired reservation may still bill: only what fits under the limit now. */
+export function billableUnits({ charged, max, committed, held }) {
+  return Math.max(0, Math.min(charged, max - committed - held));
+}
+
+/** The user's current Stripe plan ('basic' | 'pro' | 'elite'), or null without a usable subscription. */
+export async function getUserPlan(uid) {
+  const userRef = db.collection('users').doc(uid);
+  const stripeCustomerId = await resolveStripeCustomerId({ uid, userRef });
+  return getPlanFromStripeCustomer(stripeCustomerId);
+}
+
 /**
- * Stripe-first daily quota.
+ * Hold `units` of today's Stripe-plan quota on `meter` ('compare' | 'followup' | 'capture') before starting work.
+ * `units` > 1 reserves several comparisons at once (batch jobs); it is all-or-nothing.
+ * `reason` labels the ledger entry ('compare' | 'batch' | 'breakpoints' | 'followup' | 'capture').
+ * `plan` skips the Stripe lookup when the caller already has it from getUserPlan() in this request.
+ * @returns {Promise<{ id: string, uid: string, meter: string, plan: string, max: number, units: number, day: string }>}
  * Throws Error with .code = 'NO_PLAN' | 'LIMIT_EXCEEDED'
  */
-export async function checkAndConsumeQuota({ uid }) {
+export async function reserveQuota({ uid, units = 1, reason = 'compare', meter = 'compare', plan: knownPlan }) {
   if (!uid) {
     const e = new Error('Missing uid');
     e.code = 'NO_PLAN';
     throw e;
   }
 
-  const userRef = db.collection('users').doc(uid);
-  const stripeCustomerId = await resolveStripeCustomerId({ uid, userRef });
-  const plan = await getPlanFromStripeCustomer(stripeCustomerId);
-
+  const plan = knownPlan === undefined ? await getUserPlan(uid) : knownPlan;
   if (!plan) {
     const e = new Error('No active subscription found on Stripe.');
     e.code = 'NO_PLAN';
     throw e;
   }
 
-  const max = limitForPlan(plan);
+  const { limitFor } = QUOTA_METERS[meter];
+  const max = limitFor(plan);
   if (max <= 0) {
     const e = new Error('No active plan. Please buy a plan first.');
     e.code = 'NO_PLAN';
     throw e;
   }
 
-  const quotaRef = userRef.collection('quota').doc('daily');
+  const quotaRef = quotaDoc(uid, meter);
+  const entryRef = ledgerCol(uid).doc();
   const today = todayKey();
 
-  // 🔑 Transaction ensures atomic counter
+  // 🔑 Transaction ensures atomic counter (committed + still-held units)
   await db.runTransaction(async (t) => {
-    const snap = await t.get(quotaRef);
+    const [snap, open] = await Promise.all([
+      t.get(quotaRef),
+      t.get(ledgerCol(uid).where('status', '==', RESERVATION_STATUS.RESERVED)),
+    ]);
     const sameDay = snap.exists && snap.get('day') === today;
-    const used = sameDay ? Number(snap.get('count') || 0) : 0;
+    const committed = sameDay ? Number(snap.get('count') || 0) : 0;
 
-    if (used >= max) {
-      const e = new Error(`Daily limit reached for your ${plan} plan (${max}/day).`);
-      e.code = 'LIMIT_EXCEEDED';
-      throw e;
+    const now = Date.now();
+    const entries = open.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    for (const doc of open.docs) {
+      if (isLapsed(doc.data(), now)) {
+        t.update(doc.ref, { status: RESERVATION_STATUS.EXPIRED, settledAt: FieldValue.serverTimestamp() });
+      }
     }
+    const held = heldUnits(entries, { day: today, meter, now });
+    assertQuotaAvailable({ committed, held, units, max, plan, meter });
 
-    t.set(
-      quotaRef,
-      {
-        day: today,
-        count: used + 1,
-        max,
-        plan,
-        updatedAt: FieldValue.serverTimestamp(),
-      },
-      { merge: true }
-    );
+    t.set(entryRef, {
+      day: today,
+      meter,
+      units,
+      status: RESERVATION_STATUS.RESERVED,
+      reason,
+      plan,
+      jobId: null,
+      committedUnits: 0,
+      note: null,
+      createdAt: FieldValue.serverTimestamp(),
+      expiresAt: Timestamp.fromMillis(reservationExpiry(units)),
+      settledAt: null,
+    });
   });
 
-  return { uid, plan, max };
+  return { id: entryRef.id, uid, meter, plan, max, units, day: today };
+}
+
+/**
+ * Charge a reservation: `units` (default all) become used comparisons, the rest is handed back.
+ * Also charges a reservation that already expired, since the work was delivered after all, but only
+ * as far as the plan limit still allows: its units stopped counting at expiresAt and may have been
+ * reserved by other work since. What does not fit is refunded.
+ * No-op for a null reservation (emulator) or one that is already settled.
+ * Best effort: never throws; a failed write leaves the reservation to expire.
+ */
+export async function commitQuota(reservation, { units, jobId = null } = {}) {
+  if (!reservation) return;
+  const charged = Math.max(0, Math.min(reservation.units, units ?? reservation.units));
+  if (!charged) return releaseQuota(reservation, 'nothing completed');
+
+  const entryRef = ledgerCol(reservation.uid).doc(reservation.id);
+  const meter = reservation.meter || 'compare';
+  const quotaRef = quotaDoc(reservation.uid, meter);
+  try {
+    await db.runTransaction(async (t) => {
+      const [entrySnap, snap] = await Promise.all([t.get(entryRef), t.get(quotaRef)]);
+      const entry = entrySnap.data() || {};
+      const status = entry.status;
+      if (status !== RESERVATION_STATUS.RESERVED && status !== RESERVATION_STATUS.EXPIRED) return;
+
+      let billable = charged;
+      const sameDay = snap.exists && snap.get('day') === reservation.day;
+      if ((status === RESERVATION_STATUS.EXPIRED || isLapsed(entry)) && reservation.day === todayKey()) {
+        const open = await t.get(ledgerCol(reservation.uid).where('status', '==', RESERVATION_STATUS.RESERVED));
+        const held = heldUnits(
+          open.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+          { day: reservation.day, meter, exceptId: reservation.id }
+        );
+        const committed = sameDay ? Number(snap.get('count') || 0) : 0;
+        billable = billableUnits({ charged, max: reservation.max, committed, held });
+      }
+      const refunded = reservation.units - billable;
+      const overLimit = billable < charged ? ' (expired; over the daily limit)' : '';
+
+      t.update(entryRef, {
+        status: billable ? RESERVATION_STATUS.COMMITTED : RESERVATION_STATUS.RELEASED,
+        committedUnits: billable,
+        jobId,
+        note: refunded ? `${refunded} refunded${overLimit}` : null,
+        settledAt: FieldValue.serverTimestamp(),
+      });
+      if (!billable) return;
+      // a reservation that ran past midnight is charged to the day it was made; once that day is over there is nothing to count
+      if (sameDay) {
+        t.update(quotaRef, { count: FieldValue.increment(billable), updatedAt: FieldValue.serverTimestamp() });
+      } else if (reservation.day === todayKey()) {
+        t.set(quotaRef, {
+          day: reservation.day,
+          count: billable,
+          max: reservation.max,
+          plan: reservation.plan,
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+      }
+    });
+  } catch (err) {
+    console.warn('[quota] commit failed:', reservation.id, err?.message);
+  }
+}
+
+/**
+ * Hand a reservation back (failed or timed-out work). `note` is shown in the usage history.
+ * No-op for a null reservation or one that is already settled. Best effort: never throws.
+ */
+export async function releaseQuota(reservation, note = null) {
+  if (!reservation) return;
+  const entryRef = ledgerCol(reservation.uid).doc(reservation.id);
+  try {
+    await db.runTransaction(async (t) => {
+      const snap = await t.get(entryRef);
+      if (snap.get('status') !== RESERVATION_STATUS.RESERVED) return;
+      t.update(entryRef, {
+        status: RESERVATION_STATUS.RELEASED,
+        note: note ? String(note).slice(0, 200) : null,
+        settledAt: FieldValue.serverTimestamp(),
+      });
+    });
+  } catch (err) {
+    console.warn('[quota] release failed:', reservation.id, err?.message);
+  }
+}
+
+/**
+ * Today's usage and the most recent ledger entries (newest first) for the usage history.
+ * Lapsed reservations are reported as expired even before the next reservation marks them.
+ * used/held/max are comparisons; `followups` and `captures` are the same tally for those meters.
+ * @returns {Promise<{ day, used, held, max, plan, followups: { used, held, max }, captures: { used, held, max }, entries: Array<{ id, day, meter, units, status, reason, jobId, committedUnits, note, createdAt, settledAt }> }>}
+ */
+export async function listQuotaLedger(uid, { limit = 20 } = {}) {
+  const today = todayKey();
+  const [daily, followups, captures, ledger, open] = await Promise.all([
+    quotaDoc(uid, 'compare').get(),
+    quotaDoc(uid, 'followup').get(),
+    quotaDoc(uid, 'capture').get(),
+    ledgerCol(uid).orderBy('createdAt', 'desc').limit(limit).get(),
+    ledgerCol(uid).where('status', '==', RESERVATION_STATUS.RESERVED).get(),
+  ]);
+  const ts = (v) => (v?.toMillis ? v.toMillis() : v ?? null);
+  const now = Date.now();
+
+  const entries = ledger.docs.map((d) => {
+    const e = d.data();
+    return {
+      id: d.id,
+      day: e.day,
+      meter: meterOf(e),
+      units: e.units,
+      status: isLapsed(e, now) ? RESERVATION_STATUS.EXPIRED : e.status,
+      reason: e.reason || null,
+      jobId: e.jobId || null,
+      committedUnits: e.committedUnits || 0,
+      note: e.note || null,
+      createdAt: ts(e.createdAt),
+      settledAt: ts(e.settledAt),
+    };
+  });
+  const openEntries = open.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const heldOn = (meter) => heldUnits(openEntries, { day: today, meter, now });
+  const sameDay = daily.exists && daily.get('day') === today;
+  const tally = (snap, meter) => {
+    const current = snap.exists && snap.get('day') === today;
+    return {
+      used: current ? Number(snap.get('count') || 0) : 0,
+      held: heldOn(meter),
+      max: current ? snap.get('max') ?? null : null,
+    };
+  };
+
+  return {
+    day: today,
+    used: sameDay ? Number(daily.get('count') || 0) : 0,
+    held: heldOn('compare'),
+    max: sameDay ? daily.get('max') ?? null : null,
+    plan: sameDay ? daily.get('plan') ?? null : null,
+    followups: tally(followups, 'followup'),
+    captures: tally(captures, 'capture'),
+    entries,
+  };
 }
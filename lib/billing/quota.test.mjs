@@ -0,0 +1,69 @@
+// lib/billing/quota.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// the Stripe client refuses to load without a key; nothing here talks to Stripe or Firestore
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unit';
+const { RESERVATION_STATUS, assertQuotaAvailable, billableUnits, heldUnits, isLapsed, reservationExpiry } = await import(
+  './quota.js'
+);
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const at = (ms) => ({ toMillis: () => ms });
+const open = (id, over = {}) => ({
+  id,
+  day: '2026-10-19',
+  meter: 'compare',
+  units: 1,
+  status: RESERVATION_STATUS.RESERVED,
+  expiresAt: at(NOW + 60_000),
+  ...over,
+});
+
+test('a reservation lapses once its expiry passes, and only while it is still open', () => {
+  assert.equal(isLapsed(open('a'), NOW), false);
+  assert.equal(isLapsed(open('a', { expiresAt: at(NOW) }), NOW), true);
+  assert.equal(isLapsed(open('a', { expiresAt: null }), NOW), true);
+  assert.equal(isLapsed(open('a', { expiresAt: at(NOW - 1), status: RESERVATION_STATUS.COMMITTED }), NOW), false);
+});
+
+test('reservations expire ten minutes per reserved unit', () => {
+  assert.equal(reservationExpiry(1, NOW), NOW + 10 * 60 * 1000);
+  assert.equal(reservationExpiry(5, NOW) - NOW, 5 * (reservationExpiry(1, NOW) - NOW));
+});
+
+test('held units count open reservations of the same day and meter', () => {
+  const entries = [
+    open('a', { units: 2 }),
+    open('b'),
+    open('old', { day: '2026-10-18', units: 4 }),
+    open('followup', { meter: 'followup', units: 3 }),
+    open('legacy', { meter: undefined }), // written before meters: a comparison
+    open('lapsed', { expiresAt: at(NOW - 1), units: 7 }),
+  ];
+  const day = '2026-10-19';
+  assert.equal(heldUnits(entries, { day, meter: 'compare', now: NOW }), 4);
+  assert.equal(heldUnits(entries, { day, meter: 'followup', now: NOW }), 3);
+  assert.equal(heldUnits(entries, { day, meter: 'compare', exceptId: 'a', now: NOW }), 2);
+  assert.equal(heldUnits([], { day, meter: 'capture', now: NOW }), 0);
+});
+
+test('a reservation fits when committed and held units leave room for it', () => {
+  assert.doesNotThrow(() => assertQuotaAvailable({ committed: 3, held: 1, units: 1, max: 5, plan: 'basic', meter: 'compare' }));
+  assert.throws(() => assertQuotaAvailable({ committed: 4, held: 1, units: 1, max: 5, plan: 'basic', meter: 'compare' }), {
+    code: 'LIMIT_EXCEEDED',
+    remaining: 0,
+    message: 'Daily limit reached for your basic plan (5/day) (1 still running).',
+  });
+  assert.throws(() => assertQuotaAvailable({ committed: 2, held: 0, units: 4, max: 5, plan: 'pro', meter: 'followup' }), {
+    code: 'LIMIT_EXCEEDED',
+    remaining: 3,
+    message: 'This request needs 4 follow-up questions but only 3 of 5 remain today on your pro plan.',
+  });
+});
+
+test('an expired reservation bills only what still fits under the limit', () => {
+  assert.equal(billableUnits({ charged: 3, max: 10, committed: 5, held: 0 }), 3);
+  assert.equal(billableUnits({ charged: 3, max: 10, committed: 5, held: 3 }), 2);
+  assert.equal(billableUnits({ charged: 3, max: 10, committed: 9, held: 4 }), 0);
+});
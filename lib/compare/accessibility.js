@@ -0,0 +1,223 @@
+// lib/compare/accessibility.js
+import sharp from 'sharp';
+import { invalidImage } from '@/lib/compare/pixelDiff';
+import { recognizeLines } from '@/lib/compare/ocr';
+
+// WCAG AA checks measured locally on the build as uploaded/captured (not the normalized copy),
+// so boxes point at the user's file and sizes can be read in CSS px (image px / DPR).
+//   1.4.3 contrast: 4.5:1 for body text, 3:1 for large text (>= 24 CSS px; boldness is not detectable)
+//   2.5.8 target size: interactive elements at least 24x24 CSS px; only on mobile widths and only
+//         when the build came from a URL capture (the targets come from the page's DOM)
+
+export const AA_NORMAL_RATIO = 4.5;
+export const AA_LARGE_RATIO = 3;
+export const LARGE_TEXT_PX = 24;
+export const MIN_TARGET_PX = 24;
+export const MOBILE_MAX_WIDTH = 768;
+
+const MAX_PIXELS = 24 * 1024 * 1024;
+// a line whose most common color covers less than this is text on an image/gradient: no single background
+const MIN_BACKGROUND_SHARE = 0.3;
+// pixels at least this far from the background (contrast ratio) count as glyph ink
+const INK_MIN_RATIO = 1.5;
+const MIN_INK_SHARE = 0.02;
+const MAX_FAILURES = 25;
+
+/** WCAG relative luminance of an sRGB color (0..255 channels). */
+export function relativeLuminance([r, g, b]) {
+  const lin = (c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+/** WCAG contrast ratio of two luminances (1..21). */
+export function contrastRatio(l1, l2) {
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+const toHex = (rgb) => `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+async function decode(input) {
+  try {
+    const meta = await sharp(input).metadata();
+    const scale = Math.min(1, Math.sqrt(MAX_PIXELS / (meta.width * meta.height)));
+    const { data, info } = await sharp(input)
+      .flatten({ background: '#ffffff' })
+      .resize(Math.round(meta.width * scale), Math.round(meta.height * scale))
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+}
+
+/**
+ * Foreground/background colors of one text line: the background is the most common color in the
+ * box, the foreground the average of the strongest quarter of glyph pixels (anti-aliased edges
+ * would otherwise pull it towards the background). Null when there is no single background.
+ */
+function measureLine(img, box) {
+  const x0 = Math.max(0, Math.floor(box.x * img.width) - 2);
+  const y0 = Math.max(0, Math.floor(box.y * img.height) - 2);
+  const x1 = Math.min(img.width, Math.ceil((box.x + box.width) * img.width) + 2);
+  const y1 = Math.min(img.height, Math.ceil((box.y + box.height) * img.height) + 2);
+  const total = (x1 - x0) * (y1 - y0);
+  if (total <= 0) return null;
+
+  // 5 bits per channel so compression noise does not split the background
+  const counts = new Map();
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const p = (y * img.width + x) * 3;
+      const key = ((img.data[p] >> 3) << 10) | ((img.data[p + 1] >> 3) << 5) | (img.data[p + 2] >> 3);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  let bgKey = 0;
+  let bgCount = 0;
+  for (const [key, n] of counts) if (n > bgCount) [bgKey, bgCount] = [key, n];
+  if (bgCount / total < MIN_BACKGROUND_SHARE) return null;
+
+  const bg = [0, 0, 0];
+  const ink = [];
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const p = (y * img.width + x) * 3;
+      const rgb = [img.data[p], img.data[p + 1], img.data[p + 2]];
+      const key = ((rgb[0] >> 3) << 10) | ((rgb[1] >> 3) << 5) | (rgb[2] >> 3);
+      if (key === bgKey) {
+        bg[0] += rgb[0];
+        bg[1] += rgb[1];
+        bg[2] += rgb[2];
+      } else {
+        ink.push(rgb);
+      }
+    }
+  }
+  for (let c = 0; c < 3; c++) bg[c] /= bgCount;
+  const bgL = relativeLuminance(bg);
+
+  const strong = ink
+    .map((rgb) => ({ rgb, ratio: contrastRatio(relativeLuminance(rgb), bgL) }))
+    .filter((p) => p.ratio >= INK_MIN_RATIO)
+    .sort((a, b) => b.ratio - a.ratio);
+  if (strong.length / total < MIN_INK_SHARE) return null;
+
+  const top = strong.slice(0, Math.max(1, Math.round(strong.length / 4)));
+  const fg = [0, 1, 2].map((c) => top.reduce((s, p) => s + p.rgb[c], 0) / top.length);
+  return { fg, bg, ratio: contrastRatio(relativeLuminance(fg), bgL) };
+}
+
+/**
+ * Text contrast of the build against WCAG AA.
+ * @param {Buffer} buildInput
+ * @param {number} dpr  device pixels per CSS px of the build
+ * @returns {Promise<{ measured: number, skipped: number, failures: Array<{ text, ratio, required, fg, bg, fontPx, box }> }>}
+ *   skipped: lines on images/gradients where no single background could be measured
+ */
+export async function checkContrast(buildInput, dpr = 1) {
+  const [img, lines] = await Promise.all([decode(buildInput), recognizeLines(buildInput)]);
+  const { height: sourceHeight } = await sharp(buildInput).metadata();
+
+  let measured = 0;
+  let skipped = 0;
+  const failures = [];
+  for (const line of lines) {
+    const m = measureLine(img, line.box);
+    if (!m) {
+      skipped++;
+      continue;
+    }
+    measured++;
+    const fontPx = Math.round((line.box.height * sourceHeight) / dpr);
+    const required = fontPx >= LARGE_TEXT_PX ? AA_LARGE_RATIO : AA_NORMAL_RATIO;
+    if (m.ratio >= required) continue;
+    failures.push({
+      text: line.text.slice(0, 80),
+      ratio: Number(m.ratio.toFixed(2)),
+      required,
+      fg: toHex(m.fg),
+      bg: toHex(m.bg),
+      fontPx,
+      box: line.box,
+    });
+  }
+  failures.sort((a, b) => a.ratio - b.ratio);
+  return { measured, skipped, failures: failures.slice(0, MAX_FAILURES) };
+}
+
+/**
+ * Interactive elements below the AA minimum size.
+ * @param {Array<{ label, x, y, width, height }>} targets  CSS px rects from the capture's DOM
+ * @param {{ width: number, height: number }} page  captured page size in CSS px
+ * @returns {{ measured: number, failures: Array<{ label, width, height, box }> }}
+ */
+export function checkTouchTargets(targets, page) {
+  const failures = targets
+    .filter((t) => t.width < MIN_TARGET_PX || t.height < MIN_TARGET_PX)
+    .map((t) => ({
+      label: t.label,
+      width: Math.round(t.width),
+      height: Math.round(t.height),
+      box: {
+        x: Math.max(0, t.x / page.width),
+        y: Math.max(0, t.y / page.height),
+        width: Math.min(1, t.width / page.width),
+        height: Math.min(1, t.height / page.height),
+      },
+    }));
+  return { measured: targets.length, failures: failures.slice(0, MAX_FAILURES) };
+}
+
+/**
+ * Run the WCAG AA checks on a build.
+ * @param {Buffer} buildInput  the build as uploaded or captured (PNG)
+ * @param {{ dpr?: number, targets?: Array|null }} [opts]
+ *   dpr: device pixels per CSS px (from the capture, or the user's setting for uploads)
+ *   targets: interactive element rects from captureUrl(); without them touch targets are not checked
+ * @returns {Promise<{ level: 'AA', dpr, cssWidth, mobile, contrast, touchTargets }>}
+ *   touchTargets is { checked: false, reason } when it could not run
+ */
+export async function checkAccessibility(buildInput, { dpr = 1, targets = null } = {}) {
+  const { width, height } = await sharp(buildInput).metadata().catch((err) => {
+    throw invalidImage(err?.message || err);
+  });
+  const cssWidth = Math.round(width / dpr);
+  const mobile = cssWidth <= MOBILE_MAX_WIDTH;
+
+  const contrast = await checkContrast(buildInput, dpr);
+  let touchTargets;
+  if (!mobile) touchTargets = { checked: false, reason: `only checked on mobile widths (<= ${MOBILE_MAX_WIDTH}px)` };
+  else if (!targets) touchTargets = { checked: false, reason: 'needs the page DOM, capture the build from a URL' };
+  else touchTargets = { checked: true, ...checkTouchTargets(targets, { width: cssWidth, height: height / dpr }) };
+
+  return { level: 'AA', dpr, cssWidth, mobile, contrast, touchTargets };
+}
+
+/** Failed checks as report issues (same shape as parsed AI issues, without ids; boxes on the source build). */
+export function accessibilityIssues(a11y) {
+  const contrast = (a11y?.contrast?.failures || []).map((f) => ({
+    category: 'accessibility',
+    severity: 'major',
+    description:
+      `Text "${f.text}" has contrast ${f.ratio}:1 (${f.fg.toUpperCase()} on ${f.bg.toUpperCase()}, ~${f.fontPx}px); ` +
+      `WCAG AA needs ${f.required}:1.`,
+    designBox: null,
+    buildBox: f.box,
+    source: 'a11y',
+  }));
+  const targets = (a11y?.touchTargets?.failures || []).map((f) => ({
+    category: 'accessibility',
+    severity: 'major',
+    description:
+      `Touch target "${f.label}" is ${f.width}x${f.height}px; WCAG AA needs at least ${MIN_TARGET_PX}x${MIN_TARGET_PX}px.`,
+    designBox: null,
+    buildBox: f.box,
+    source: 'a11y',
+  }));
+  return [...contrast, ...targets];
+}
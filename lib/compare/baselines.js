@@ -0,0 +1,219 @@
+// lib/compare/baselines.js
+import sharp from 'sharp';
+import { db, FieldValue } from '@/lib/firebase/firebaseAdminDb';
+import { getSupabaseAdmin, ensureBucket, baselineBucket } from '@/lib/supabase/server';
+import { invalidImage } from '@/lib/compare/pixelDiff';
+
+// Approved baselines turn one-off checks into regression runs.
+// Images live in Supabase storage (private bucket); metadata in Firestore:
+//   users/{uid}/projects/{projectId}/screens/{screenId}              { name, versionCount, current }
+//   users/{uid}/projects/{projectId}/screens/{screenId}/versions/{n}  { version, status, path, width, height, ... }
+// A regression run compares a new build against `current` and files the build as a pending version;
+// accepting it makes it the baseline (the old one is superseded), rejecting keeps the current one.
+
+export const BASELINE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  SUPERSEDED: 'superseded',
+  REJECTED: 'rejected',
+};
+
+const MAX_HISTORY = 20;
+const SIGNED_URL_TTL_S = 60 * 60;
+
+function baselineError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+/** Stable document id for a screen name ("Checkout / Step 2" -> "checkout-step-2"). Throws INVALID_SCREEN. */
+export function screenIdFor(name) {
+  const id = String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  if (!id) throw baselineError('INVALID_SCREEN', 'Screen name is required');
+  return id;
+}
+
+const projectRef = (uid, projectId) => db.collection('users').doc(uid).collection('projects').doc(String(projectId));
+const screenRef = (uid, projectId, screenId) => projectRef(uid, projectId).collection('screens').doc(screenId);
+
+async function storage() {
+  const { supabaseAdmin } = getSupabaseAdmin();
+  const bucket = baselineBucket();
+  await ensureBucket(bucket, { fileSizeLimit: '25MB', allowedMimeTypes: ['image/png'] });
+  return supabaseAdmin.storage.from(bucket);
+}
+
+/**
+ * Store a screenshot as a new version of a screen's baseline.
+ *
+ * @param {string} uid
+ * @param {{ projectId: string, screen: string, buf: Buffer, status?: string, source?: object, jobId?: string, score?: object }} v
+ *   status: 'approved' (becomes the current baseline right away) or 'pending' (a regression-run candidate)
+ * @returns {Promise<{ screenId: string, name: string, version: number, status: string }>}
+ * Throws Error with .code = 'INVALID_SCREEN' | 'PROJECT_NOT_FOUND' | 'INVALID_IMAGE' | 'STORAGE_ERROR'.
+ */
+export async function addBaselineVersion(uid, { projectId, screen, buf, status = BASELINE_STATUS.APPROVED, source = null, jobId = null, score = null }) {
+  const screenId = screenIdFor(screen);
+  const name = String(screen).trim().slice(0, 120);
+  if (!(await projectRef(uid, projectId).get()).exists) {
+    throw baselineError('PROJECT_NOT_FOUND', `Project "${projectId}" was not found`);
+  }
+
+  let png;
+  let width;
+  let height;
+  try {
+    png = await sharp(buf).png().toBuffer();
+    ({ width, height } = await sharp(png).metadata());
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+
+  const path = `${uid}/${projectId}/${screenId}/${Date.now()}-${Math.random().toString(36).slice(2)}.png`;
+  const bucket = await storage();
+  const { error: upErr } = await bucket.upload(path, png, { contentType: 'image/png', upsert: false });
+  if (upErr) throw baselineError('STORAGE_ERROR', `Baseline upload failed: ${upErr.message || upErr}`);
+
+  const ref = screenRef(uid, projectId, screenId);
+  const version = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const data = snap.exists ? snap.data() : {};
+    const next = (data.versionCount || 0) + 1;
+    const entry = { version: next, path, width, height, createdAt: FieldValue.serverTimestamp() };
+
+    t.set(ref.collection('versions').doc(String(next)), {
+      ...entry,
+      status,
+      source,
+      jobId,
+      score,
+      decidedAt: status === BASELINE_STATUS.APPROVED ? FieldValue.serverTimestamp() : null,
+    });
+    const patch = { name, versionCount: next, updatedAt: FieldValue.serverTimestamp() };
+    if (status === BASELINE_STATUS.APPROVED) {
+      if (data.current?.version) {
+        t.update(ref.collection('versions').doc(String(data.current.version)), { status: BASELINE_STATUS.SUPERSEDED });
+      }
+      patch.current = entry;
+    }
+    t.set(ref, patch, { merge: true });
+    return next;
+  });
+
+  return { screenId, name, version, status };
+}
+
+/**
+ * The approved baseline image for a screen (the design side of a regression run).
+ * @returns {Promise<{ screenId, name, version, buf: Buffer, mimetype: 'image/png' }>}
+ * Throws Error with .code = 'INVALID_SCREEN' | 'BASELINE_NOT_FOUND' | 'STORAGE_ERROR'.
+ */
+export async function loadCurrentBaseline(uid, projectId, screen) {
+  const screenId = screenIdFor(screen);
+  const snap = await screenRef(uid, projectId, screenId).get();
+  const current = snap.exists ? snap.get('current') : null;
+  if (!current?.path) {
+    throw baselineError('BASELINE_NOT_FOUND', `No approved baseline for screen "${screen}" yet`);
+  }
+  const bucket = await storage();
+  const { data, error } = await bucket.download(current.path);
+  if (error || !data) throw baselineError('STORAGE_ERROR', `Baseline download failed: ${error?.message || 'empty file'}`);
+  return {
+    screenId,
+    name: snap.get('name') || screenId,
+    version: current.version,
+    buf: Buffer.from(await data.arrayBuffer()),
+    mimetype: 'image/png',
+  };
+}
+
+/**
+ * Accept or reject a version. Accepting a pending version (or restoring an older one) makes it the
+ * current baseline and supersedes the previous one; only pending versions can be rejected.
+ * Throws Error with .code = 'BASELINE_NOT_FOUND' | 'INVALID_DECISION'.
+ */
+export async function decideBaseline(uid, { projectId, screenId, version, decision }) {
+  if (decision !== 'accept' && decision !== 'reject') {
+    throw baselineError('INVALID_DECISION', 'Decision must be "accept" or "reject"');
+  }
+  const ref = screenRef(uid, projectId, String(screenId));
+  const versionRef = ref.collection('versions').doc(String(version));
+
+  return db.runTransaction(async (t) => {
+    const [screenSnap, versionSnap] = await Promise.all([t.get(ref), t.get(versionRef)]);
+    if (!screenSnap.exists || !versionSnap.exists) {
+      throw baselineError('BASELINE_NOT_FOUND', `Version ${version} of screen "${screenId}" was not found`);
+    }
+    const v = versionSnap.data();
+    const current = screenSnap.get('current');
+
+    if (decision === 'reject') {
+      if (v.status !== BASELINE_STATUS.PENDING) {
+        throw baselineError('INVALID_DECISION', `Only pending versions can be rejected (this one is ${v.status})`);
+      }
+      t.update(versionRef, { status: BASELINE_STATUS.REJECTED, decidedAt: FieldValue.serverTimestamp() });
+      return { screenId, version: v.version, status: BASELINE_STATUS.REJECTED };
+    }
+
+    if (current?.version === v.version) {
+      throw baselineError('INVALID_DECISION', `Version ${v.version} is already the current baseline`);
+    }
+    if (current?.version) {
+      t.update(ref.collection('versions').doc(String(current.version)), { status: BASELINE_STATUS.SUPERSEDED });
+    }
+    t.update(versionRef, { status: BASELINE_STATUS.APPROVED, decidedAt: FieldValue.serverTimestamp() });
+    t.update(ref, {
+      current: { version: v.version, path: v.path, width: v.width, height: v.height, createdAt: v.createdAt },
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { screenId, version: v.version, status: BASELINE_STATUS.APPROVED };
+  });
+}
+
+/**
+ * Screens of a project with their recent versions (newest first) and short-lived signed image URLs.
+ * @returns {Promise<Array<{ id, name, currentVersion, versions: Array<{ version, status, width, height, createdAt, decidedAt, jobId, score, url }> }>>}
+ */
+export async function listBaselines(uid, projectId) {
+  const screens = await projectRef(uid, projectId).collection('screens').orderBy('name').get();
+  if (screens.empty) return [];
+  const bucket = await storage();
+  const ts = (v) => (v?.toMillis ? v.toMillis() : v ?? null);
+
+  return Promise.all(
+    screens.docs.map(async (s) => {
+      const versions = await s.ref.collection('versions').orderBy('version', 'desc').limit(MAX_HISTORY).get();
+      const paths = versions.docs.map((d) => d.get('path'));
+      const { data: signed } = paths.length
+        ? await bucket.createSignedUrls(paths, SIGNED_URL_TTL_S)
+        : { data: [] };
+      const urlFor = new Map((signed || []).map((x) => [x.path, x.signedUrl]));
+      return {
+        id: s.id,
+        name: s.get('name') || s.id,
+        currentVersion: s.get('current')?.version ?? null,
+        versions: versions.docs.map((d) => {
+          const v = d.data();
+          return {
+            version: v.version,
+            status: v.status,
+            width: v.width,
+            height: v.height,
+            createdAt: ts(v.createdAt),
+            decidedAt: ts(v.decidedAt),
+            jobId: v.jobId || null,
+            score: v.score || null,
+            url: urlFor.get(v.path) || null,
+          };
+        }),
+      };
+    })
+  );
+}
@@ -0,0 +1,66 @@
+// lib/compare/breakpoints.js
+// Pure helpers (no Node APIs) so the utility page and /api/compare-breakpoints share the same rules.
+
+export const MAX_BREAKPOINTS = 6;
+export const BREAKPOINT_PRESETS = [
+  { name: 'mobile', width: 375 },
+  { name: 'tablet', width: 768 },
+  { name: 'desktop', width: 1440 },
+];
+
+// a breakpoint passes when it scores at least this and has no critical issue
+export const PASS_SCORE = 80;
+
+const MIN_WIDTH = 320;
+const MAX_WIDTH = 3840;
+
+function invalidBreakpoints(detail) {
+  const e = new Error(`Invalid breakpoints: ${detail}`);
+  e.code = 'INVALID_BREAKPOINTS';
+  return e;
+}
+
+/**
+ * Validate the breakpoint list sent with the design frames (one frame per breakpoint, same order).
+ *
+ * @param {string|Array} raw  JSON string or array of { name, width }
+ * @param {number} frameCount  number of uploaded design frames
+ * @returns {Array<{ name: string, width: number }>}
+ * Throws Error with .code = 'INVALID_BREAKPOINTS'.
+ */
+export function parseBreakpoints(raw, frameCount) {
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      throw invalidBreakpoints('not valid JSON');
+    }
+  }
+  if (!Array.isArray(list) || !list.length) throw invalidBreakpoints('expected a non-empty array');
+  if (list.length > MAX_BREAKPOINTS) throw invalidBreakpoints(`at most ${MAX_BREAKPOINTS} breakpoints`);
+  if (list.length !== frameCount) {
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    throw invalidBreakpoints(`${plural(list.length, 'breakpoint')} but ${plural(frameCount, 'design frame')}`);
+  }
+
+  const seen = new Set();
+  return list.map((bp, i) => {
+    const width = Math.round(Number(bp?.width));
+    if (!Number.isFinite(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+      throw invalidBreakpoints(`width of breakpoint ${i + 1} must be ${MIN_WIDTH}-${MAX_WIDTH}px`);
+    }
+    const name = String(bp?.name || `${width}px`).trim().slice(0, 40);
+    if (seen.has(name.toLowerCase())) throw invalidBreakpoints(`duplicate name "${name}"`);
+    seen.add(name.toLowerCase());
+    return { name, width };
+  });
+}
+
+/** Pass/fail for one breakpoint's comparison: { pass, reason }. AI-only findings do not fail it. */
+export function breakpointVerdict({ score, report }) {
+  const critical = (report?.issues || []).filter((it) => it.severity === 'critical' && !it.aiOnly).length;
+  if (critical) return { pass: false, reason: `${critical} critical issue${critical === 1 ? '' : 's'}` };
+  if (score.score < PASS_SCORE) return { pass: false, reason: `score ${score.score} < ${PASS_SCORE}` };
+  return { pass: true, reason: `score ${score.score}` };
+}
@@ -0,0 +1,316 @@
+// lib/compare/capture.js
+import { BlockList, isIP } from 'net';
+import { promises as dns } from 'dns';
+import puppeteer from 'puppeteer';
+
+// Screenshot the build straight from a URL in a local headless Chromium, so nobody has to
+// capture (and size) it by hand. Dev servers on localhost work because the browser runs here.
+
+export const CAPTURE_WAIT_CONDITIONS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+export const DEFAULT_CAPTURE = { width: 1440, height: 900, dpr: 1, waitUntil: 'networkidle2', fullPage: false };
+
+const MIN_WIDTH = 320;
+const MAX_WIDTH = 3840;
+const MAX_DPR = 3;
+const MAX_DELAY_MS = 10000;
+const NAVIGATION_TIMEOUT_MS = 30000;
+// full-page captures of endless feeds are cut here (CSS px)
+const MAX_FULL_PAGE_HEIGHT = 16000;
+// interactive elements recorded for the touch-target check (lib/compare/accessibility.js)
+const MAX_TARGETS = 300;
+const TARGET_SELECTOR =
+  'a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], [role="link"], ' +
+  '[role="checkbox"], [role="radio"], [role="switch"], [role="tab"], [role="menuitem"], [onclick]';
+
+// Loopback/private hosts are what dev servers use. They're allowed outside production;
+// a production deploy must opt in (CAPTURE_ALLOW_PRIVATE_HOSTS=1) so the server can't be aimed at its own network.
+// Without the opt-in every request the page makes (the URL, each redirect hop, sub-resources, iframes)
+// has its host resolved and is refused when any address is private, loopback, link-local or reserved.
+const LOCAL_NAME_RE = /^(localhost|.*\.localhost|.*\.local|.*\.internal)$/i;
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [net, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3], // multicast and reserved, up to 255.255.255.255
+]) {
+  BLOCKED_ADDRESSES.addSubnet(net, prefix, 'ipv4');
+}
+for (const [net, prefix] of [
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96], // NAT64 (mapped IPv4 is unwrapped below)
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(net, prefix, 'ipv6');
+}
+const allowPrivateHosts = () =>
+  process.env.CAPTURE_ALLOW_PRIVATE_HOSTS
+    ? process.env.CAPTURE_ALLOW_PRIVATE_HOSTS === '1'
+    : process.env.NODE_ENV !== 'production';
+
+function captureError(code, message, detail) {
+  const e = new Error(message);
+  e.code = code;
+  if (detail) e.detail = detail;
+  return e;
+}
+
+/** Whether an IP address (v4, v6 or IPv4-mapped v6 like ::ffff:7f00:1) must not be captured. */
+export function isPrivateAddress(address) {
+  const ip = String(address || '').replace(/^\[|\]$/g, '').toLowerCase();
+  const mapped = ip.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    if (mapped[1]) return isPrivateAddress(mapped[1]);
+    const hi = parseInt(mapped[2], 16);
+    const lo = parseInt(mapped[3], 16);
+    return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  const family = isIP(ip);
+  if (!family) return false;
+  return BLOCKED_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/** Hostnames that are private without a lookup: local names and private IP literals. */
+const isPrivateHostLiteral = (hostname) => LOCAL_NAME_RE.test(hostname) || isPrivateAddress(hostname);
+
+/**
+ * Resolve `hostname` and check every address it has.
+ * Resolves to true when the host may be captured, false when it is private, null when it does not resolve.
+ */
+async function isPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (isPrivateHostLiteral(host)) return false;
+  if (isIP(host)) return true;
+  try {
+    const addresses = await dns.lookup(host, { all: true, verbatim: true });
+    return !addresses.some((a) => isPrivateAddress(a.address));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check every request the page makes (redirect hops arrive as new requests) against isPublicHost().
+ * Returns a getter for the host that stopped the main navigation, if any.
+ * Chromium resolves names again itself, so this narrows DNS rebinding but cannot rule it out.
+ */
+async function guardRequests(page) {
+  const verdicts = new Map(); // hostname -> Promise<boolean>, one lookup per capture
+  let blockedNavigation = null;
+  await page.setRequestInterception(true);
+  page.on('request', async (request) => {
+    let url;
+    try {
+      url = new URL(request.url());
+    } catch {
+      return request.abort('blockedbyclient').catch(() => {});
+    }
+    if (url.protocol === 'data:' || url.protocol === 'blob:' || url.protocol === 'about:') {
+      return request.continue().catch(() => {});
+    }
+    let verdict = false;
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+      if (!verdicts.has(url.hostname)) verdicts.set(url.hostname, isPublicHost(url.hostname));
+      verdict = await verdicts.get(url.hostname);
+    }
+    if (verdict) return request.continue().catch(() => {});
+    if (verdict === null) return request.abort('namenotresolved').catch(() => {});
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) blockedNavigation = url.hostname || url.protocol;
+    return request.abort('blockedbyclient').catch(() => {});
+  });
+  return () => blockedNavigation;
+}
+
+const clamp = (n, min, max, fallback) => (Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback);
+
+/**
+ * Validate and fill in capture settings.
+ * @param {{ url: string, width?, height?, dpr?, waitUntil?, fullPage?, waitForSelector?, delayMs? }} raw
+ * Throws Error with .code = 'INVALID_CAPTURE'.
+ */
+export function normalizeCaptureOptions(raw = {}) {
+  let url;
+  try {
+    url = new URL(String(raw.url || '').trim());
+  } catch {
+    throw captureError('INVALID_CAPTURE', 'Build URL is not a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw captureError('INVALID_CAPTURE', 'Build URL must start with http:// or https://');
+  }
+  if (isPrivateHostLiteral(url.hostname) && !allowPrivateHosts()) {
+    throw captureError('INVALID_CAPTURE', `Capturing ${url.hostname} is disabled on this server`);
+  }
+  const waitUntil = raw.waitUntil || DEFAULT_CAPTURE.waitUntil;
+  if (!CAPTURE_WAIT_CONDITIONS.includes(waitUntil)) {
+    throw captureError('INVALID_CAPTURE', `Wait condition must be one of: ${CAPTURE_WAIT_CONDITIONS.join(', ')}`);
+  }
+  const selector = String(raw.waitForSelector || '').trim();
+
+  return {
+    url: url.href,
+    width: Math.round(clamp(Number(raw.width), MIN_WIDTH, MAX_WIDTH, DEFAULT_CAPTURE.width)),
+    height: Math.round(clamp(Number(raw.height), 200, 4320, DEFAULT_CAPTURE.height)),
+    dpr: clamp(Number(raw.dpr), 1, MAX_DPR, DEFAULT_CAPTURE.dpr),
+    waitUntil,
+    fullPage: raw.fullPage === true || raw.fullPage === '1' || raw.fullPage === 'true',
+    waitForSelector: selector ? selector.slice(0, 200) : null,
+    delayMs: Math.round(clamp(Number(raw.delayMs), 0, MAX_DELAY_MS, 0)),
+  };
+}
+
+// One browser per server instance (launch is the slow part); each capture gets its own context.
+// Kept on globalThis so dev hot-reloads don't launch more.
+function getBrowser() {
+  if (!globalThis.__ppBrowser) {
+    const args = ['--hide-scrollbars', '--font-render-hinting=none'];
+    // Chromium refuses to sandbox as root (containers); CAPTURE_NO_SANDBOX=1 forces it off elsewhere
+    if (process.getuid?.() === 0 || process.env.CAPTURE_NO_SANDBOX === '1') args.push('--no-sandbox');
+    globalThis.__ppBrowser = puppeteer
+      .launch({ headless: true, args })
+      .then((browser) => {
+        browser.on('disconnected', () => {
+          globalThis.__ppBrowser = null;
+        });
+        return browser;
+      })
+      .catch((err) => {
+        globalThis.__ppBrowser = null;
+        throw captureError('CAPTURE_FAILED', 'Could not start the headless browser', err?.message);
+      });
+  }
+  return globalThis.__ppBrowser;
+}
+
+/**
+ * Parse the `buildTargets` form field: the targets /api/capture returned with a screenshot that is then
+ * uploaded as the build. Returns null when the field is absent; drops unusable rects.
+ * Throws Error with .code = 'INVALID_CAPTURE' on malformed JSON.
+ */
+export function parseCaptureTargets(raw) {
+  if (raw == null || raw === '') return null;
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      throw captureError('INVALID_CAPTURE', 'Build targets are not valid JSON');
+    }
+  }
+  if (!Array.isArray(list)) throw captureError('INVALID_CAPTURE', 'Build targets must be an array');
+  return list
+    .map((t) => {
+      const [x, y, width, height] = ['x', 'y', 'width', 'height'].map((k) => Number(t?.[k]));
+      if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) return null;
+      return { label: String(t.label || '').slice(0, 40), x, y, width, height };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_TARGETS);
+}
+
+/**
+ * Visible interactive elements as page rects in CSS px. Links inside running text are left out:
+ * WCAG 2.5.8 exempts inline targets, and they would flood the report.
+ */
+function collectTargets(page, maxHeight) {
+  return page.evaluate(
+    (selector, limit, bottom) => {
+      const out = [];
+      for (const el of document.querySelectorAll(selector)) {
+        if (out.length >= limit) break;
+        const style = getComputedStyle(el);
+        if (style.visibility === 'hidden' || style.display === 'none' || el.disabled) continue;
+        const r = el.getBoundingClientRect();
+        if (!r.width || !r.height) continue;
+        const y = r.top + window.scrollY;
+        if (y >= bottom) continue;
+        const parentText = el.parentElement?.textContent?.trim().length || 0;
+        const ownText = el.textContent?.trim().length || 0;
+        if (style.display === 'inline' && parentText > ownText + 20) continue;
+        const label =
+          el.getAttribute('aria-label') || el.textContent?.trim() || el.getAttribute('placeholder') || el.tagName.toLowerCase();
+        out.push({ label: label.replace(/\s+/g, ' ').slice(0, 40), x: r.left + window.scrollX, y, width: r.width, height: r.height });
+      }
+      return out;
+    },
+    TARGET_SELECTOR,
+    MAX_TARGETS,
+    maxHeight
+  );
+}
+
+/**
+ * Open `url` at the given viewport and return a PNG screenshot.
+ *
+ * @param {object} raw  see normalizeCaptureOptions
+ * @returns {Promise<{ buf: Buffer, mimetype: 'image/png', capture: { url, finalUrl, width, height, dpr, waitUntil, fullPage, status },
+ *   targets: Array<{ label, x, y, width, height }> }>}  targets: interactive elements in CSS px (see collectTargets)
+ * Throws Error with .code = 'INVALID_CAPTURE' | 'CAPTURE_FAILED' | 'CAPTURE_TIMEOUT'.
+ */
+export async function captureUrl(raw) {
+  const opts = normalizeCaptureOptions(raw);
+  const browser = await getBrowser();
+  const context = await browser.createBrowserContext();
+  try {
+    const page = await context.newPage();
+    await page.setViewport({ width: opts.width, height: opts.height, deviceScaleFactor: opts.dpr });
+    const blockedNavigation = allowPrivateHosts() ? () => null : await guardRequests(page);
+
+    let response;
+    try {
+      response = await page.goto(opts.url, { waitUntil: opts.waitUntil, timeout: NAVIGATION_TIMEOUT_MS });
+      if (opts.waitForSelector) {
+        await page.waitForSelector(opts.waitForSelector, { visible: true, timeout: NAVIGATION_TIMEOUT_MS });
+      }
+    } catch (err) {
+      if (blockedNavigation()) {
+        throw captureError('INVALID_CAPTURE', `Capturing ${blockedNavigation()} is disabled on this server`, err?.message);
+      }
+      if (err?.name === 'TimeoutError') {
+        throw captureError('CAPTURE_TIMEOUT', `Timed out waiting for ${opts.waitForSelector || opts.waitUntil}`, err.message);
+      }
+      throw captureError('CAPTURE_FAILED', `Could not open ${opts.url}`, err?.message);
+    }
+    if (response && response.status() >= 400) {
+      throw captureError('CAPTURE_FAILED', `${opts.url} answered HTTP ${response.status()}`);
+    }
+    if (opts.delayMs) await new Promise((r) => setTimeout(r, opts.delayMs));
+
+    let clip;
+    if (opts.fullPage) {
+      const height = await page.evaluate(() => document.documentElement.scrollHeight);
+      clip = { x: 0, y: 0, width: opts.width, height: Math.min(height, MAX_FULL_PAGE_HEIGHT) };
+    }
+    const shot = await page.screenshot({
+      type: 'png',
+      ...(clip ? { clip, captureBeyondViewport: true } : {}),
+    });
+    const targets = await collectTargets(page, clip ? clip.height : opts.height).catch(() => []);
+
+    return {
+      buf: Buffer.from(shot),
+      mimetype: 'image/png',
+      capture: {
+        url: opts.url,
+        finalUrl: page.url(),
+        width: opts.width,
+        height: clip ? clip.height : opts.height,
+        dpr: opts.dpr,
+        waitUntil: opts.waitUntil,
+        fullPage: opts.fullPage,
+        status: response?.status() ?? null,
+      },
+      targets,
+    };
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
@@ -0,0 +1,43 @@
+// lib/compare/capture.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isPrivateAddress, normalizeCaptureOptions, parseCaptureTargets } from './capture.js';
+
+test('private, loopback and link-local addresses are refused in every spelling', () => {
+  for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['::1', '[::1]', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '[::ffff:a9fe:a9fe]']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:5db8:d822']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('decimal and mapped host forms do not get past the URL check in production', () => {
+  const env = { ...process.env };
+  process.env.CAPTURE_ALLOW_PRIVATE_HOSTS = '0';
+  try {
+    for (const url of ['http://2130706433/', 'http://0x7f.1/', 'http://[::ffff:127.0.0.1]/', 'http://[::1]:3000/', 'http://app.localhost/']) {
+      assert.throws(() => normalizeCaptureOptions({ url }), { code: 'INVALID_CAPTURE' }, url);
+    }
+    assert.equal(normalizeCaptureOptions({ url: 'https://example.com/' }).url, 'https://example.com/');
+  } finally {
+    process.env = env;
+  }
+});
+
+test('touch targets sent back with a captured build are parsed and cleaned', () => {
+  assert.equal(parseCaptureTargets(''), null);
+  const targets = parseCaptureTargets(
+    JSON.stringify([
+      { label: 'Sign up', x: 10, y: 20, width: 120, height: 44 },
+      { label: 'zero', x: 0, y: 0, width: 0, height: 10 },
+      { x: 'a', y: 1, width: 1, height: 1 },
+    ])
+  );
+  assert.deepEqual(targets, [{ label: 'Sign up', x: 10, y: 20, width: 120, height: 44 }]);
+  assert.throws(() => parseCaptureTargets('{'), { code: 'INVALID_CAPTURE' });
+  assert.throws(() => parseCaptureTargets('{"x":1}'), { code: 'INVALID_CAPTURE' });
+});
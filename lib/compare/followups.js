@@ -0,0 +1,219 @@
+// lib/compare/followups.js
+import sharp from 'sharp';
+import { db, FieldValue } from '@/lib/firebase/firebaseAdminDb';
+import { getSupabaseAdmin, ensureBucket, comparisonBucket } from '@/lib/supabase/server';
+import { getAIProvider } from '@/lib/ai/provider';
+import { getJob, recordJobAttempt, JOB_STATUS } from '@/lib/jobs/compareJobs';
+import { AI_MAX_WIDTH } from '@/lib/compare/tiling';
+
+// Follow-up questions on a finished comparison ("is I3 the font weight or the line height?").
+// The images a report was made from are kept in Supabase storage (private bucket) at
+// {uid}/{jobId}/design.png and build.png, listed on the job as result.assets.
+// The conversation lives in compareJobs/{jobId}/followups/{id}: { role: 'user'|'assistant', text, usage, ai, createdAt }
+// (ai: { provider, model, imageDetail } on answers). Answers use the asker's plan depth (applyEntitlements());
+// each provider attempt is recorded on the job next to the comparison's own.
+// Quota for questions is handled by the caller (the 'followup' meter in lib/billing/quota.js).
+
+export const MAX_QUESTION_CHARS = 1000;
+// earlier turns sent back to the model with each question
+const CONTEXT_TURNS = 10;
+const MAX_HISTORY = 100;
+
+const FOLLOWUP_PROMPT =
+  'You produced the visual QA report below by comparing a design (first image) with its implementation ' +
+  '(second image). Boxes are fractions of each image (x, y, width, height). A designer now asks follow-up ' +
+  'questions about it. Answer from the images and the report, refer to issues by their id (I1, I2...), and ' +
+  'say so when the images cannot settle a question. When asked to ignore an area or recheck something, look ' +
+  'at the images again and list the issues that still apply. Answer in plain text, briefly.';
+
+function followupError(code, message, detail) {
+  const e = new Error(message);
+  e.code = code;
+  if (detail) e.detail = detail;
+  return e;
+}
+
+const followupsCol = (jobId) => db.collection('compareJobs').doc(String(jobId)).collection('followups');
+
+async function storage() {
+  const { supabaseAdmin } = getSupabaseAdmin();
+  const bucket = comparisonBucket();
+  await ensureBucket(bucket, { fileSizeLimit: '25MB', allowedMimeTypes: ['image/png'] });
+  return supabaseAdmin.storage.from(bucket);
+}
+
+/**
+ * Store the design/build of a finished comparison, downscaled to the width the model reads.
+ * @param {{ design: Buffer, build: Buffer }} images  runComparison(..., { keepImages: true }).images
+ * @returns {Promise<{ design: string, build: string }>} storage paths (job.result.assets)
+ * Throws Error with .code = 'STORAGE_ERROR'.
+ */
+export async function saveComparisonImages(uid, jobId, images) {
+  const bucket = await storage();
+  const assets = {};
+  for (const name of ['design', 'build']) {
+    const png = await sharp(images[name]).resize({ width: AI_MAX_WIDTH, withoutEnlargement: true }).png().toBuffer();
+    const path = `${uid}/${jobId}/${name}.png`;
+    const { error } = await bucket.upload(path, png, { contentType: 'image/png', upsert: true });
+    if (error) throw followupError('STORAGE_ERROR', `Image upload failed: ${error.message}`);
+    assets[name] = path;
+  }
+  return assets;
+}
+
+async function loadImages(assets) {
+  const bucket = await storage();
+  return Promise.all(
+    [assets.design, assets.build].map(async (path) => {
+      const { data, error } = await bucket.download(path);
+      if (error || !data) throw followupError('STORAGE_ERROR', `Image download failed: ${error?.message || 'empty file'}`);
+      return { buf: Buffer.from(await data.arrayBuffer()), mimetype: 'image/png' };
+    })
+  );
+}
+
+/** The finished job a conversation is about. Throws JOB_NOT_FOUND | FOLLOWUP_UNAVAILABLE. */
+async function loadFinishedJob(uid, jobId) {
+  const job = await getJob(jobId, uid);
+  if (!job) throw followupError('JOB_NOT_FOUND', 'Job not found');
+  if (job.status !== JOB_STATUS.SUCCEEDED || !job.result?.report) {
+    throw followupError('FOLLOWUP_UNAVAILABLE', 'Follow-up questions need a finished comparison');
+  }
+  if (!job.result.assets) {
+    throw followupError('FOLLOWUP_UNAVAILABLE', 'The images of this comparison were not kept; run it again to ask about it');
+  }
+  return job;
+}
+
+/** The report as the model should see it: summary, score and issues without UI-only fields. */
+function reportContext(result) {
+  const { summary, issues } = result.report;
+  return JSON.stringify({
+    summary,
+    matchScore: result.score ? `${result.score.score} (${result.score.grade})` : undefined,
+    issues: issues.map(({ id, category, severity, description, designBox, buildBox, confidence, aiOnly }) => ({
+      id,
+      category,
+      severity,
+      description,
+      designBox,
+      buildBox,
+      // hidden from the user: the pixel and text diffs found nothing there
+      ...(aiOnly ? { aiOnly, confidence } : {}),
+    })),
+  });
+}
+
+function serializeMessage(doc) {
+  const m = doc.data();
+  return {
+    id: doc.id,
+    role: m.role,
+    text: m.text,
+    ai: m.ai || null,
+    createdAt: m.createdAt?.toMillis ? m.createdAt.toMillis() : m.createdAt ?? null,
+  };
+}
+
+/**
+ * Conversation so far (oldest first).
+ * @returns {Promise<{ available: boolean, messages: Array<{ id, role, text, ai, createdAt }> }>}
+ *   available: whether new questions can be asked (the job finished and its images were kept)
+ * Throws Error with .code = 'JOB_NOT_FOUND'.
+ */
+export async function listFollowups(uid, jobId) {
+  const job = await getJob(jobId, uid);
+  if (!job) throw followupError('JOB_NOT_FOUND', 'Job not found');
+  const snap = await followupsCol(jobId).orderBy('createdAt', 'asc').limit(MAX_HISTORY).get();
+  return {
+    available: job.status === JOB_STATUS.SUCCEEDED && !!job.result?.assets,
+    messages: snap.docs.map(serializeMessage),
+  };
+}
+
+/**
+ * Ask one follow-up question about a finished comparison. The stored images, the report and the
+ * last few turns go to the model; the question and answer are saved together once the answer exists.
+ * `onAICall(record)` gets the provider call's tokens and latency, like runComparison's hook.
+ * `aiModel` / `imageDetail` come from applyEntitlements() for the asker's plan (provider defaults when absent).
+ * @returns {Promise<{ question: object, answer: object, ai: { provider, model, usage } }>}
+ * Throws Error with .code = 'INVALID_QUESTION' | 'JOB_NOT_FOUND' | 'FOLLOWUP_UNAVAILABLE' | 'STORAGE_ERROR'
+ *   | 'AI_PROVIDER_ERROR' | 'AI_DEGRADED' | 'AI_EMPTY_RESULT'.
+ */
+export async function askFollowup(uid, jobId, question, { onAICall = () => {}, aiModel = null, imageDetail = 'auto' } = {}) {
+  const text = String(question || '').trim();
+  if (!text) throw followupError('INVALID_QUESTION', 'Type a question first');
+  if (text.length > MAX_QUESTION_CHARS) {
+    throw followupError('INVALID_QUESTION', `Questions are limited to ${MAX_QUESTION_CHARS} characters`);
+  }
+
+  const job = await loadFinishedJob(uid, jobId);
+  const [images, history] = await Promise.all([
+    loadImages(job.result.assets),
+    followupsCol(jobId).orderBy('createdAt', 'desc').limit(CONTEXT_TURNS * 2).get(),
+  ]);
+  const earlier = history.docs.reverse().map((d) => ({ role: d.get('role'), text: d.get('text') }));
+
+  let provider;
+  try {
+    provider = getAIProvider();
+  } catch (aiErr) {
+    throw followupError('AI_PROVIDER_ERROR', 'AI provider error', String(aiErr?.message || aiErr));
+  }
+  const startedAt = Date.now();
+  const call = { provider: provider.name, model: aiModel || provider.model, images: images.length, imageDetail };
+  let completion;
+  let tries = 0;
+  try {
+    completion = await provider.complete({
+      json: false,
+      model: aiModel || undefined,
+      imageDetail,
+      onAttempt: async (attempt) => {
+        tries = attempt.attempt;
+        await recordJobAttempt(jobId, { followup: true, ...attempt });
+      },
+      messages: [
+        { role: 'user', text: `${FOLLOWUP_PROMPT}\n\nReport:\n${reportContext(job.result)}`, images },
+        ...earlier,
+        { role: 'user', text },
+      ],
+    });
+  } catch (aiErr) {
+    const error = String(aiErr?.message || aiErr);
+    if (tries) {
+      await onAICall({ ...call, inputTokens: 0, outputTokens: 0, latencyMs: Date.now() - startedAt, ok: false, attempts: tries, error });
+    }
+    if (aiErr?.code === 'AI_DEGRADED') throw followupError('AI_DEGRADED', aiErr.message);
+    throw followupError('AI_PROVIDER_ERROR', 'AI provider error', error);
+  }
+  await onAICall({
+    ...call,
+    model: completion.model || call.model,
+    inputTokens: completion.usage?.inputTokens || 0,
+    outputTokens: completion.usage?.outputTokens || 0,
+    latencyMs: Date.now() - startedAt,
+    ok: true,
+    attempts: completion.attempts || 1,
+    ...(completion.fallbackFrom ? { fallbackFrom: completion.fallbackFrom } : {}),
+  });
+  const answer = String(completion.content || '').trim();
+  if (!answer) throw followupError('AI_EMPTY_RESULT', 'The AI provider did not return an answer');
+  const ai = { provider: completion.provider || call.provider, model: completion.model || call.model, imageDetail };
+
+  // the answer is stamped 1 ms after the question so the pair always sorts in order
+  const now = Date.now();
+  const questionRef = followupsCol(jobId).doc();
+  const answerRef = followupsCol(jobId).doc();
+  const batch = db.batch();
+  batch.set(questionRef, { role: 'user', text, usage: null, createdAt: new Date(now) });
+  batch.set(answerRef, { role: 'assistant', text: answer, usage: completion.usage || null, ai, createdAt: new Date(now + 1) });
+  batch.set(db.collection('compareJobs').doc(String(jobId)), { followupCount: FieldValue.increment(1) }, { merge: true });
+  await batch.commit();
+
+  return {
+    question: { id: questionRef.id, role: 'user', text, createdAt: now },
+    answer: { id: answerRef.id, role: 'assistant', text: answer, ai, createdAt: now + 1 },
+    ai: { ...ai, usage: completion.usage || null },
+  };
+}
@@ -0,0 +1,50 @@
+// lib/compare/heatmaps.js
+import { getSupabaseAdmin, ensureBucket, comparisonBucket } from '@/lib/supabase/server';
+
+// Diff heatmaps of multi-screen jobs (batch, breakpoints). A data URL per screen would push the job
+// document past the Firestore limit, so each one is kept in the comparison bucket at
+// {uid}/{jobId}/heatmaps/{item}.png and served by /api/jobs/[id]/heatmap?item=N.
+
+function heatmapError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+async function storage() {
+  const { supabaseAdmin } = getSupabaseAdmin();
+  const bucket = comparisonBucket();
+  await ensureBucket(bucket, { fileSizeLimit: '25MB', allowedMimeTypes: ['image/png'] });
+  return supabaseAdmin.storage.from(bucket);
+}
+
+/**
+ * Move the heatmap of one screen's diff into storage.
+ * Best effort: when storage is unavailable the heatmap is dropped (heatmapOmitted) rather than failing the screen.
+ * @returns {Promise<object>} `diff` with heatmap: null and heatmapPath (or heatmapOmitted: true)
+ */
+export async function storeHeatmap(uid, jobId, item, diff) {
+  if (!diff?.heatmap) return diff;
+  const path = `${uid}/${jobId}/heatmaps/${item}.png`;
+  try {
+    const png = Buffer.from(diff.heatmap.replace(/^data:image\/png;base64,/, ''), 'base64');
+    const bucket = await storage();
+    const { error } = await bucket.upload(path, png, { contentType: 'image/png', upsert: true });
+    if (error) throw error;
+    return { ...diff, heatmap: null, heatmapPath: path };
+  } catch (err) {
+    console.warn('[heatmaps] could not store heatmap:', err?.message || err);
+    return { ...diff, heatmap: null, heatmapOmitted: true };
+  }
+}
+
+/**
+ * PNG bytes of a stored heatmap.
+ * Throws Error with .code = 'STORAGE_ERROR'.
+ */
+export async function loadHeatmap(path) {
+  const bucket = await storage();
+  const { data, error } = await bucket.download(path);
+  if (error || !data) throw heatmapError('STORAGE_ERROR', `Heatmap download failed: ${error?.message || 'empty file'}`);
+  return Buffer.from(await data.arrayBuffer());
+}
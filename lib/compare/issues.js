@@ -0,0 +1,227 @@
+// lib/compare/issues.js
+
+// Structured QA report: the AI returns JSON, we validate it here and render markdown from it.
+
+export const ISSUE_CATEGORIES = [
+  'layout',
+  'spacing',
+  'typography',
+  'color',
+  'missing_element',
+  'copy',
+  'icon',
+  'accessibility',
+];
+export const ISSUE_SEVERITIES = ['critical', 'major', 'minor'];
+
+const CATEGORY_LABELS = {
+  layout: 'Layout',
+  spacing: 'Spacing',
+  typography: 'Typography',
+  color: 'Color',
+  missing_element: 'Missing elements',
+  copy: 'Copy',
+  icon: 'Icons & imagery',
+  accessibility: 'Accessibility',
+};
+
+// Loose model wording -> canonical category
+const CATEGORY_ALIASES = [
+  [/missing|absent|not present|extra element/i, 'missing_element'],
+  [/accessib|a11y|aria|alt text|focus (?:ring|state)|tap target/i, 'accessibility'],
+  [/copy|wording|spelling|text content|label text|truncat/i, 'copy'],
+  [/icon|glyph|logo|image|illustration/i, 'icon'],
+  [/font|typo|text size|line[- ]height|letter|weight/i, 'typography'],
+  [/colou?r|contrast|hue|background/i, 'color'],
+  [/spac|padding|margin|gap|gutter/i, 'spacing'],
+  [/layout|align|position|shift|overlap|size/i, 'layout'],
+];
+
+const SEVERITY_ALIASES = {
+  critical: 'critical', blocker: 'critical', high: 'critical',
+  major: 'major', medium: 'major', moderate: 'major',
+  minor: 'minor', low: 'minor', trivial: 'minor', cosmetic: 'minor',
+};
+
+/** Instruction block appended to the vision prompt so the model answers in our schema. */
+export const ISSUE_SCHEMA_PROMPT =
+  'Respond ONLY with a JSON object of this shape:\n' +
+  `{"summary": string, "issues": [{"category": ${ISSUE_CATEGORIES.map((c) => `"${c}"`).join('|')}, ` +
+  '"severity": "critical"|"major"|"minor", "description": string, ' +
+  '"design_box": {"x": number, "y": number, "width": number, "height": number} | null, ' +
+  '"build_box": {"x": number, "y": number, "width": number, "height": number} | null}]}\n' +
+  'Boxes are fractions of the image size (0..1, origin top-left). The first image is the design, the second is the build.';
+
+export function normalizeCategory(value) {
+  const v = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (ISSUE_CATEGORIES.includes(v)) return v;
+  for (const [re, cat] of CATEGORY_ALIASES) if (re.test(v.replace(/_/g, ' '))) return cat;
+  return 'layout';
+}
+
+export function normalizeSeverity(value) {
+  return SEVERITY_ALIASES[String(value || '').trim().toLowerCase()] || 'minor';
+}
+
+/** Validate a 0..1 box; returns null when unusable. */
+export function normalizeBox(box) {
+  if (!box || typeof box !== 'object') return null;
+  const nums = ['x', 'y', 'width', 'height'].map((k) => Number(box[k]));
+  if (nums.some((n) => !Number.isFinite(n))) return null;
+  const clamp = (n) => Math.min(1, Math.max(0, n));
+  const x = clamp(nums[0]);
+  const y = clamp(nums[1]);
+  const width = Math.min(1 - x, Math.max(0, nums[2]));
+  const height = Math.min(1 - y, Math.max(0, nums[3]));
+  if (!width || !height) return null;
+  return { x, y, width, height };
+}
+
+function normalizeIssue(raw) {
+  const description = String(raw?.description || raw?.issue || raw?.title || '').trim();
+  if (!description) return null;
+  return {
+    category: normalizeCategory(raw.category || raw.type),
+    severity: normalizeSeverity(raw.severity || raw.priority),
+    description,
+    designBox: normalizeBox(raw.design_box || raw.designBox),
+    buildBox: normalizeBox(raw.build_box || raw.buildBox),
+  };
+}
+
+/** Validate raw entries and assign stable ids (I1, I2, ...) in report order. */
+function normalizeIssues(list) {
+  return list
+    .map((raw) => normalizeIssue(raw))
+    .filter(Boolean)
+    .map((it, i) => ({ id: `I${i + 1}`, ...it }));
+}
+
+/** Pull a JSON object out of plain text or a ```json fenced block. */
+function extractJson(text) {
+  const s = String(text || '').trim();
+  const fenced = s.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : s.slice(s.indexOf('{'), s.lastIndexOf('}') + 1);
+  if (!candidate) return null;
+  try {
+    const parsed = JSON.parse(candidate);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Fallback: treat each markdown bullet as one issue so the report is never empty. */
+function issuesFromMarkdown(text) {
+  const lines = String(text || '').split('\n');
+  const out = [];
+  let heading = '';
+  for (const line of lines) {
+    const h = line.match(/^#{1,6}\s+(.*)/);
+    if (h) {
+      heading = h[1];
+      continue;
+    }
+    const b = line.match(/^\s*(?:[-*+]|\d+\.)\s+(.*)/);
+    if (!b) continue;
+    const description = b[1].replace(/\*\*/g, '').trim();
+    if (description) out.push({ description, category: `${heading} ${description}` });
+  }
+  return out;
+}
+
+/**
+ * Parse raw model output into a validated report.
+ * @returns {{ summary: string, issues: Array, parsed: boolean }}
+ *   parsed=false means the JSON could not be read and issues were recovered from markdown bullets.
+ */
+export function parseIssueReport(text) {
+  const json = extractJson(text);
+  if (json && Array.isArray(json.issues)) {
+    return {
+      summary: String(json.summary || '').trim(),
+      issues: normalizeIssues(json.issues),
+      parsed: true,
+    };
+  }
+  const issues = normalizeIssues(issuesFromMarkdown(text));
+  return {
+    // nothing recoverable: keep the raw text so the user still sees what the model said
+    summary: issues.length ? '' : String(text || '').trim(),
+    issues,
+    parsed: false,
+  };
+}
+
+/**
+ * Best-effort read of a JSON report that is still streaming in: returns the issues whose
+ * objects are already complete. Used for live progress; the final report comes from parseIssueReport.
+ */
+export function parsePartialIssues(text) {
+  const s = String(text || '');
+  const start = s.indexOf('[', s.indexOf('"issues"'));
+  if (s.indexOf('"issues"') < 0 || start < 0) return [];
+
+  const objects = [];
+  let depth = 0, inString = false, escaped = false, objStart = -1;
+  for (let i = start + 1; i < s.length; i++) {
+    const ch = s[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') {
+      if (depth === 0) objStart = i;
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0 && objStart >= 0) {
+        try {
+          objects.push(JSON.parse(s.slice(objStart, i + 1)));
+        } catch {}
+        objStart = -1;
+      }
+    } else if (ch === ']' && depth === 0) break;
+  }
+  return normalizeIssues(objects);
+}
+
+/** One-line summary of the automated WCAG checks (report.accessibility), or ''. */
+export function accessibilitySummary(a11y) {
+  if (!a11y) return '';
+  const parts = [`Automated WCAG ${a11y.level} checks: ${a11y.contrast.measured} text lines measured, ${a11y.contrast.failed} below the contrast minimum`];
+  if (a11y.touchTargets.checked === false) parts.push(`touch targets not checked (${a11y.touchTargets.reason})`);
+  else parts.push(`${a11y.touchTargets.measured} touch targets measured, ${a11y.touchTargets.failed} too small`);
+  return `${parts.join('; ')}.`;
+}
+
+/**
+ * Render a report as markdown grouped by category (used for the on-screen report and PDF).
+ * AI-only findings (no pixel evidence, see lib/compare/verify.js) are left out and counted in a note.
+ */
+export function renderIssuesMarkdown(report) {
+  const parts = ['# Visual QA Report'];
+  if (report?.summary) parts.push(report.summary);
+
+  const issues = (report?.issues || []).filter((it) => !it.aiOnly);
+  if (!issues.length && report?.parsed !== false) parts.push('No visual issues found.');
+
+  for (const cat of ISSUE_CATEGORIES) {
+    const group = issues.filter((it) => it.category === cat);
+    // the accessibility section is always shown once the WCAG checks ran, even when they all passed
+    const note = cat === 'accessibility' ? accessibilitySummary(report?.accessibility) : '';
+    if (!group.length && !note) continue;
+    const lines = group.map((it) => `- **${it.id}** (${it.severity}) ${it.description}`).join('\n');
+    parts.push(`## ${CATEGORY_LABELS[cat]}\n${[note, lines].filter(Boolean).join('\n\n')}`);
+  }
+  const filtered = report?.verification?.filtered || 0;
+  if (filtered) {
+    parts.push(
+      `_${filtered} AI finding${filtered === 1 ? '' : 's'} hidden: nothing changed in ${filtered === 1 ? 'its area' : 'their areas'} according to the pixel and text diffs._`
+    );
+  }
+  return parts.join('\n\n');
+}
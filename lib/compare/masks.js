@@ -0,0 +1,74 @@
+// lib/compare/masks.js
+import sharp from 'sharp';
+
+// Ignore masks blank dynamic content (timestamps, avatars, ads...) in both images before any analysis.
+// Coordinates are fractions of the image (0..1), so one mask set fits the design and the normalized build.
+
+const MAX_MASKS = 50;
+const MAX_POLYGON_POINTS = 64;
+export const MASK_FILL = '#808080';
+
+function invalidMasks(detail) {
+  const e = new Error(`Invalid masks: ${detail}`);
+  e.code = 'INVALID_MASKS';
+  return e;
+}
+
+const unit = (n) => Number.isFinite(n) && n >= 0 && n <= 1;
+
+function normalizeMask(m) {
+  if (m?.type === 'polygon') {
+    const points = (Array.isArray(m.points) ? m.points : [])
+      .map((p) => (Array.isArray(p) ? [Number(p[0]), Number(p[1])] : [Number(p?.x), Number(p?.y)]))
+      .filter(([x, y]) => unit(x) && unit(y))
+      .slice(0, MAX_POLYGON_POINTS);
+    return points.length >= 3 ? { type: 'polygon', points } : null;
+  }
+  const [x, y, width, height] = ['x', 'y', 'width', 'height'].map((k) => Number(m?.[k]));
+  if (![x, y, width, height].every(unit) || !width || !height) return null;
+  return { type: 'rect', x, y, width: Math.min(width, 1 - x), height: Math.min(height, 1 - y) };
+}
+
+/**
+ * Parse the `masks` form field (JSON array of rects/polygons).
+ * Throws Error with .code = 'INVALID_MASKS' on malformed JSON; silently drops unusable shapes.
+ */
+export function parseMasks(raw) {
+  if (raw == null || raw === '') return [];
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      throw invalidMasks('not valid JSON');
+    }
+  }
+  if (!Array.isArray(list)) throw invalidMasks('expected an array');
+  return list.map(normalizeMask).filter(Boolean).slice(0, MAX_MASKS);
+}
+
+function maskSvg(masks, width, height) {
+  const shapes = masks.map((m) => {
+    if (m.type === 'polygon') {
+      const pts = m.points.map(([x, y]) => `${(x * width).toFixed(1)},${(y * height).toFixed(1)}`).join(' ');
+      return `<polygon points="${pts}" fill="${MASK_FILL}"/>`;
+    }
+    return (
+      `<rect x="${(m.x * width).toFixed(1)}" y="${(m.y * height).toFixed(1)}" ` +
+      `width="${(m.width * width).toFixed(1)}" height="${(m.height * height).toFixed(1)}" fill="${MASK_FILL}"/>`
+    );
+  });
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`
+  );
+}
+
+/** Paint the masked regions a flat neutral color. Returns a PNG buffer (or the input when there are no masks). */
+export async function applyMasks(input, masks) {
+  if (!masks?.length) return input;
+  const { width, height } = await sharp(input).metadata();
+  return sharp(input)
+    .composite([{ input: maskSvg(masks, width, height), left: 0, top: 0 }])
+    .png()
+    .toBuffer();
+}
@@ -0,0 +1,56 @@
+// lib/compare/masks.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { parseMasks, applyMasks, MASK_FILL } from './masks.js';
+
+test('an empty field means no masks', () => {
+  assert.deepEqual(parseMasks(undefined), []);
+  assert.deepEqual(parseMasks(''), []);
+  assert.deepEqual(parseMasks('[]'), []);
+});
+
+test('rects are kept and clipped to the image', () => {
+  const [rect] = parseMasks('[{"x":0.5,"y":0.9,"width":0.8,"height":0.3}]');
+  assert.equal(rect.type, 'rect');
+  assert.equal(rect.width, 0.5);
+  assert.ok(Math.abs(rect.height - 0.1) < 1e-9);
+});
+
+test('polygons accept [x, y] pairs and { x, y } points', () => {
+  const [a, b] = parseMasks([
+    { type: 'polygon', points: [[0, 0], [0.5, 0], [0.5, 0.5]] },
+    { type: 'polygon', points: [{ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.1 }, { x: 0.2, y: 0.2 }] },
+  ]);
+  assert.deepEqual(a, { type: 'polygon', points: [[0, 0], [0.5, 0], [0.5, 0.5]] });
+  assert.deepEqual(b.points, [[0.1, 0.1], [0.2, 0.1], [0.2, 0.2]]);
+});
+
+test('unusable shapes are dropped instead of failing the comparison', () => {
+  const masks = parseMasks([
+    { x: -0.1, y: 0, width: 0.2, height: 0.2 }, // off the image
+    { x: 0.1, y: 0.1, width: 0, height: 0.2 }, // empty
+    { type: 'polygon', points: [[0, 0], [1, 1]] }, // not an area
+    { type: 'polygon', points: [[0, 0], [2, 0], [0.5, 0.5], [0.1, 0.9]] }, // one point off the image
+  ]);
+  assert.deepEqual(masks, [{ type: 'polygon', points: [[0, 0], [0.5, 0.5], [0.1, 0.9]] }]);
+});
+
+test('malformed JSON and non-arrays are rejected', () => {
+  assert.throws(() => parseMasks('{nope'), { code: 'INVALID_MASKS' });
+  assert.throws(() => parseMasks('{"x":0}'), { code: 'INVALID_MASKS' });
+});
+
+test('at most 50 masks are kept', () => {
+  const many = Array.from({ length: 60 }, () => ({ x: 0, y: 0, width: 0.1, height: 0.1 }));
+  assert.equal(parseMasks(many).length, 50);
+});
+
+test('masked areas are painted with the mask fill', async () => {
+  const img = await sharp({ create: { width: 100, height: 100, channels: 3, background: '#ff0000' } }).png().toBuffer();
+  const out = await applyMasks(img, parseMasks([{ x: 0, y: 0, width: 0.5, height: 0.5 }]));
+  const { data, info } = await sharp(out).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const at = (x, y) => '#' + [...data.subarray((y * info.width + x) * 3, (y * info.width + x) * 3 + 3)].map((v) => v.toString(16).padStart(2, '0')).join('');
+  assert.equal(at(10, 10), MASK_FILL);
+  assert.equal(at(90, 90), '#ff0000');
+});
@@ -0,0 +1,204 @@
+// lib/compare/normalize.js
+import sharp from 'sharp';
+import { invalidImage } from './pixelDiff';
+
+// Common device-pixel-ratio relationships between a design export and a build capture.
+const DPR_STEPS = [1 / 3, 0.5, 2 / 3, 0.75, 1, 1.25, 1.5, 2, 3];
+const DPR_SNAP_TOLERANCE = 0.02;
+// A vertical scrollbar usually adds 8–20 CSS px to a capture.
+const SCROLLBAR_MIN_PX = 6;
+const SCROLLBAR_MAX_PX = 24;
+// Translation search, coarse to fine: [working width, search radius, sample stride].
+// A null width means the design's full width.
+const REGISTRATION_LEVELS = [
+  [180, 12, 1],
+  [720, 4, 2],
+  [null, 2, 2],
+];
+
+async function readMeta(input) {
+  try {
+    const meta = await sharp(input).metadata();
+    if (!meta.width || !meta.height) throw new Error('missing dimensions');
+    return meta;
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+}
+
+/** Snap a raw width ratio to a known DPR step when it is close enough. */
+export function snapScale(ratio) {
+  for (const step of DPR_STEPS) {
+    if (Math.abs(ratio - step) / step <= DPR_SNAP_TOLERANCE) return { scale: step, snapped: true };
+  }
+  return { scale: ratio, snapped: false };
+}
+
+async function grayAtWidth(input, width) {
+  const { data, info } = await sharp(input)
+    .flatten({ background: '#ffffff' })
+    .resize({ width: Math.max(1, Math.round(width)) })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Mean absolute difference of A vs B shifted by (dx, dy), over the overlap.
+ * Rows/cols are sampled with a stride to keep the search cheap.
+ */
+function shiftCost(a, b, dx, dy, stride) {
+  const x0 = Math.max(0, dx), y0 = Math.max(0, dy);
+  const x1 = Math.min(a.width, b.width + dx), y1 = Math.min(a.height, b.height + dy);
+  if (x1 - x0 < a.width / 2 || y1 - y0 < a.height / 2) return Infinity;
+  let sum = 0, n = 0;
+  for (let y = y0; y < y1; y += stride) {
+    const ra = y * a.width, rb = (y - dy) * b.width - dx;
+    for (let x = x0; x < x1; x += stride) {
+      sum += Math.abs(a.data[ra + x] - b.data[rb + x]);
+      n++;
+    }
+  }
+  return n ? sum / n : Infinity;
+}
+
+function bestShift(a, b, cx, cy, radius, stride) {
+  let best = { dx: cx, dy: cy, cost: Infinity };
+  for (let dy = cy - radius; dy <= cy + radius; dy++) {
+    for (let dx = cx - radius; dx <= cx + radius; dx++) {
+      const cost = shiftCost(a, b, dx, dy, stride);
+      // prefer the smaller shift on ties so flat images stay put
+      if (cost < best.cost - 1e-9 || (cost === best.cost && Math.abs(dx) + Math.abs(dy) < Math.abs(best.dx) + Math.abs(best.dy))) {
+        best = { dx, dy, cost };
+      }
+    }
+  }
+  return best;
+}
+
+/** Estimate the (dx, dy) that moves the scaled build onto the design, in design pixels. */
+async function estimateOffset(designInput, scaledBuild, designWidth) {
+  let dx = 0, dy = 0, prevWidth = null;
+  for (const [levelWidth, radius, stride] of REGISTRATION_LEVELS) {
+    const w = Math.min(levelWidth || designWidth, designWidth);
+    if (prevWidth === w) continue;
+    const [a, b] = await Promise.all([grayAtWidth(designInput, w), grayAtWidth(scaledBuild, w)]);
+    const up = prevWidth ? w / prevWidth : 1;
+    ({ dx, dy } = bestShift(a, b, Math.round(dx * up), Math.round(dy * up), radius, stride));
+    prevWidth = w;
+  }
+  const toDesign = designWidth / prevWidth;
+  return { x: Math.round(dx * toDesign), y: Math.round(dy * toDesign) };
+}
+
+/** Place `image` (w x h) on a white W x H canvas shifted by (dx, dy), cropping what falls outside. */
+async function placeOnCanvas(image, w, h, W, H, dx, dy) {
+  const sx = Math.max(0, -dx), sy = Math.max(0, -dy);
+  const ox = Math.max(0, dx), oy = Math.max(0, dy);
+  const width = Math.min(w - sx, W - ox);
+  const height = Math.min(h - sy, H - oy);
+  if (width <= 0 || height <= 0) {
+    return sharp({ create: { width: W, height: H, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  }
+  return sharp(image)
+    .extract({ left: sx, top: sy, width, height })
+    .extend({
+      left: ox,
+      top: oy,
+      right: W - ox - width,
+      bottom: H - oy - height,
+      background: '#ffffff',
+    })
+    .flatten({ background: '#ffffff' })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Bring the build screenshot into the design's coordinate space.
+ *  1. optional crop of browser chrome (cropTop, in build px) and an auto-detected scrollbar
+ *  2. scale by the width ratio, snapped to a common DPR when close (2x retina vs 1x capture)
+ *  3. register with a small translation search and pad/crop to the design's size
+ *
+ * @param {Buffer} designInput
+ * @param {Buffer} buildInput
+ * @param {{ cropTop?: number, trimScrollbar?: boolean, register?: boolean }} [opts]
+ * @returns {Promise<{ design: Buffer, build: Buffer, mimetype: string, transform: object }>}
+ * Throws Error with .code = 'INVALID_IMAGE' when either image cannot be decoded.
+ */
+export async function normalizePair(designInput, buildInput, opts = {}) {
+  const { cropTop = 0, trimScrollbar = true, register = true } = opts;
+  const [dm, bm] = await Promise.all([readMeta(designInput), readMeta(buildInput)]);
+  const W = dm.width, H = dm.height;
+
+  // 1) chrome crop
+  const top = Math.max(0, Math.min(Math.round(Number(cropTop) || 0), bm.height - 1));
+  let buildW = bm.width;
+  const buildH = bm.height - top;
+
+  // 2) scale (+ scrollbar, which is only detectable once we know the expected width)
+  const { scale, snapped } = snapScale(W / buildW);
+  let scrollbar = 0;
+  if (trimScrollbar && snapped) {
+    const excess = buildW - Math.round(W / scale);
+    if (excess >= SCROLLBAR_MIN_PX && excess <= SCROLLBAR_MAX_PX) scrollbar = excess;
+  }
+  buildW -= scrollbar;
+  const finalScale = snapped ? scale : W / buildW;
+
+  let scaled;
+  try {
+    scaled = await sharp(buildInput)
+      .extract({ left: 0, top, width: buildW, height: buildH })
+      .resize(Math.round(buildW * finalScale), Math.max(1, Math.round(buildH * finalScale)), { fit: 'fill' })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+
+  // 3) registration
+  const offset = register ? await estimateOffset(designInput, scaled.data, W) : { x: 0, y: 0 };
+  const build = await placeOnCanvas(scaled.data, scaled.info.width, scaled.info.height, W, H, offset.x, offset.y);
+  const design = await sharp(designInput).flatten({ background: '#ffffff' }).png().toBuffer();
+
+  return {
+    design,
+    build,
+    mimetype: 'image/png',
+    transform: {
+      designSize: { width: W, height: H },
+      buildSize: { width: bm.width, height: bm.height },
+      scale: Number(finalScale.toFixed(4)),
+      dprSnapped: snapped,
+      crop: { top, right: scrollbar },
+      offset,
+      outputSize: { width: W, height: H },
+    },
+  };
+}
+
+/** A computeTextDiff() result with its build boxes mapped like boxToSourceBuild(); design boxes stay as they are. */
+export function textDiffToSourceBuild(textDiff, transform) {
+  if (!transform || !textDiff?.changes) return textDiff;
+  return {
+    ...textDiff,
+    changes: textDiff.changes.map((c) => (c.buildBox ? { ...c, buildBox: boxToSourceBuild(c.buildBox, transform) } : c)),
+  };
+}
+
+/** Map a 0..1 box on the normalized build back onto the original build upload (also 0..1). */
+export function boxToSourceBuild(box, transform) {
+  if (!box || !transform) return box;
+  const { designSize, buildSize, scale, crop, offset } = transform;
+  const x0 = (box.x * designSize.width - offset.x) / scale;
+  const y0 = (box.y * designSize.height - offset.y) / scale + crop.top;
+  const x1 = ((box.x + box.width) * designSize.width - offset.x) / scale;
+  const y1 = ((box.y + box.height) * designSize.height - offset.y) / scale + crop.top;
+  const clampX = (v) => Math.min(1, Math.max(0, v / buildSize.width));
+  const clampY = (v) => Math.min(1, Math.max(0, v / buildSize.height));
+  const x = clampX(x0), y = clampY(y0);
+  const width = clampX(x1) - x, height = clampY(y1) - y;
+  return width > 0 && height > 0 ? { x, y, width, height } : null;
+}
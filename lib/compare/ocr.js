@@ -0,0 +1,79 @@
+// lib/compare/ocr.js
+import sharp from 'sharp';
+import { createWorker, OEM } from 'tesseract.js';
+import engData from '@tesseract.js-data/eng';
+import { invalidImage } from '@/lib/compare/pixelDiff';
+import { diffTextLines } from '@/lib/compare/textDiff';
+
+// Local OCR with tesseract.js and the bundled English model: no network, no API key.
+const MIN_WORD_CONFIDENCE = 60;
+const MAX_OCR_PIXELS = 6 * 1024 * 1024;
+
+// One worker per server instance (model load is the slow part); it queues jobs itself.
+// Kept on globalThis so dev hot-reloads don't spawn more.
+function getWorker() {
+  if (!globalThis.__ppOcrWorker) {
+    globalThis.__ppOcrWorker = createWorker('eng', OEM.LSTM_ONLY, {
+      langPath: engData.langPath,
+      gzip: engData.gzip,
+      cacheMethod: 'none',
+    }).catch((err) => {
+      globalThis.__ppOcrWorker = null;
+      throw err;
+    });
+  }
+  return globalThis.__ppOcrWorker;
+}
+
+/** OCR one image into text lines: [{ text, confidence, box (0..1 fractions) }], in reading order. */
+export async function recognizeLines(input) {
+  let png;
+  let width;
+  let height;
+  try {
+    const meta = await sharp(input).metadata();
+    const scale = Math.min(1, Math.sqrt(MAX_OCR_PIXELS / (meta.width * meta.height)));
+    width = Math.round(meta.width * scale);
+    height = Math.round(meta.height * scale);
+    png = await sharp(input).flatten({ background: '#ffffff' }).resize(width, height).png().toBuffer();
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+
+  const worker = await getWorker();
+  const { data } = await worker.recognize(png, {}, { blocks: true });
+
+  const lines = [];
+  for (const block of data.blocks || []) {
+    for (const para of block.paragraphs || []) {
+      for (const line of para.lines || []) {
+        const kept = (line.words || []).filter((w) => w.confidence >= MIN_WORD_CONFIDENCE && w.text.trim());
+        const text = kept.map((w) => w.text.trim()).join(' ');
+        if (text.replace(/[^\p{L}\p{N}]/gu, '').length < 2) continue;
+        const { x0, y0, x1, y1 } = line.bbox;
+        lines.push({
+          text,
+          confidence: Math.round(line.confidence),
+          box: { x: x0 / width, y: y0 / height, width: (x1 - x0) / width, height: (y1 - y0) / height },
+        });
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * OCR both images and diff their text.
+ * Both inputs should share coordinates (the normalized pair), so boxes line up.
+ * @returns {Promise<{ designLines: number, buildLines: number, changes: Array, summary: object }>}
+ */
+export async function computeTextDiff(designInput, buildInput) {
+  // sequential: the single worker would queue them anyway
+  const designLines = await recognizeLines(designInput);
+  const buildLines = await recognizeLines(buildInput);
+  return {
+    designLines: designLines.length,
+    buildLines: buildLines.length,
+    ...diffTextLines(designLines, buildLines),
+  };
+}
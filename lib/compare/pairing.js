@@ -0,0 +1,62 @@
+// lib/compare/pairing.js
+// Pure helpers (no Node APIs) so the utility page can preview the same pairing the server will use.
+
+export const MAX_BATCH_PAIRS = 30;
+
+// home.design.png / home.build.png (also home-design.png, home_build.jpg)
+const ROLE_RE = /^(.*?)[._-](design|build)\.[a-z0-9]+$/i;
+
+/** Split a filename into { screen, role } by convention, or null when it doesn't follow it. */
+export function parseRoleFromName(name) {
+  const m = String(name || '').match(ROLE_RE);
+  if (!m || !m[1]) return null;
+  return { screen: m[1], role: m[2].toLowerCase() };
+}
+
+/**
+ * Pair uploaded files into design/build screens.
+ *
+ * @param {string[]} names  uploaded file names, in upload order
+ * @param {Array<{ name?: string, design: string, build: string }>} [explicit]
+ *   explicit pairs by file name; when given, the filename convention is not used
+ * @returns {{ pairs: Array<{ name: string, design: number, build: number }>, unmatched: string[] }}
+ *   design/build are indexes into `names`
+ */
+export function pairFiles(names, explicit) {
+  const used = new Set();
+  const pairs = [];
+  const indexOf = (n) => names.findIndex((x, i) => x === n && !used.has(i));
+
+  if (Array.isArray(explicit) && explicit.length) {
+    for (const p of explicit) {
+      const d = indexOf(p?.design);
+      if (d < 0) continue;
+      used.add(d);
+      const b = indexOf(p?.build);
+      if (b < 0) {
+        used.delete(d);
+        continue;
+      }
+      used.add(b);
+      pairs.push({ name: String(p.name || parseRoleFromName(p.design)?.screen || p.design), design: d, build: b });
+    }
+  } else {
+    const byScreen = new Map();
+    names.forEach((n, i) => {
+      const parsed = parseRoleFromName(n);
+      if (!parsed) return;
+      const key = parsed.screen.toLowerCase();
+      const entry = byScreen.get(key) || { name: parsed.screen };
+      if (entry[parsed.role] == null) entry[parsed.role] = i;
+      byScreen.set(key, entry);
+    });
+    for (const entry of byScreen.values()) {
+      if (entry.design == null || entry.build == null) continue;
+      used.add(entry.design);
+      used.add(entry.build);
+      pairs.push({ name: entry.name, design: entry.design, build: entry.build });
+    }
+  }
+
+  return { pairs, unmatched: names.filter((_, i) => !used.has(i)) };
+}
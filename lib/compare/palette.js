@@ -0,0 +1,150 @@
+// lib/compare/palette.js
+import sharp from 'sharp';
+import { findRegions, invalidImage } from '@/lib/compare/pixelDiff';
+import { deltaE, hexToRgb, nearestToken } from '@/lib/compare/tokens';
+
+// Dominant colors of the build, checked against the project's design-token palette.
+const SAMPLE_MAX_WIDTH = 480;
+const MAX_EXACT_COLORS = 2000; // most frequent exact colors considered for clustering
+const CLUSTER_DELTA_E = 3; // anti-aliasing / compression noise around one flat color
+const MIN_SHARE = 0.003; // ignore colors covering less than 0.3% of the build
+const MAX_COLORS = 12;
+// Only the exact token value matches: #6A20A7 vs #6B21A8 (ΔE ~0.4) is invisible but still a wrong hex.
+const MATCH_DELTA_E = 0.1;
+const NEAR_MISS_DELTA_E = 8;
+const LOCATE_CHANNEL_TOLERANCE = 6;
+const MAX_BOXES_PER_COLOR = 5;
+// page background / text colors that are fine even when the palette omits them
+const NEUTRALS = ['#ffffff', '#000000'];
+const NEUTRAL_DELTA_E = 1;
+
+async function sample(input) {
+  try {
+    const { data, info } = await sharp(input)
+      .flatten({ background: '#ffffff' })
+      .resize({ width: SAMPLE_MAX_WIDTH, withoutEnlargement: true, kernel: 'nearest' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+}
+
+/** Cluster exact colors (most frequent first) so each flat UI color is reported once, by its exact hex. */
+function dominantColors({ data, width, height }, ignoreHex) {
+  const ignore = ignoreHex ? parseInt(ignoreHex.slice(1), 16) : -1;
+  const counts = new Map();
+  for (let p = 0; p < data.length; p += 3) {
+    const key = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+    if (key === ignore) continue;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const exact = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_EXACT_COLORS);
+  const clusters = [];
+  for (const [key, count] of exact) {
+    const hex = `#${key.toString(16).padStart(6, '0')}`;
+    const home = clusters.find((c) => deltaE(c.hex, hex) < CLUSTER_DELTA_E);
+    if (home) home.count += count;
+    else clusters.push({ hex, count });
+  }
+
+  const total = width * height;
+  return clusters
+    .map((c) => ({ hex: c.hex, share: c.count / total }))
+    .filter((c) => c.share >= MIN_SHARE)
+    .sort((a, b) => b.share - a.share)
+    .slice(0, MAX_COLORS);
+}
+
+/** Where a color appears, as 0..1 boxes of the image (largest first). */
+function locate({ data, width, height }, hex) {
+  const [r, g, b] = hexToRgb(hex);
+  const mask = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < mask.length; i++, p += 3) {
+    if (
+      Math.abs(data[p] - r) <= LOCATE_CHANNEL_TOLERANCE &&
+      Math.abs(data[p + 1] - g) <= LOCATE_CHANNEL_TOLERANCE &&
+      Math.abs(data[p + 2] - b) <= LOCATE_CHANNEL_TOLERANCE
+    ) {
+      mask[i] = 1;
+    }
+  }
+  return findRegions(mask, width, height)
+    .slice(0, MAX_BOXES_PER_COLOR)
+    .map((box) => ({
+      x: box.x / width,
+      y: box.y / height,
+      width: box.width / width,
+      height: box.height / height,
+    }));
+}
+
+const round2 = (n) => Number(n.toFixed(2));
+
+/**
+ * Extract the build's dominant colors and compare them with the token palette.
+ *
+ * @param {Buffer} buildInput
+ * @param {{ colors: Array<{ name, hex }> }} tokens  from parseDesignTokens
+ * @param {{ ignoreHex?: string }} [opts]  a color to skip entirely (the ignore-mask fill)
+ * @returns {Promise<{ colors: Array<{ hex, share, status, token, deltaE, boxes }> }>}
+ *   status: 'match' | 'near_miss' | 'off_palette'; boxes only for flagged colors
+ */
+export async function checkPalette(buildInput, tokens, { ignoreHex } = {}) {
+  const img = await sample(buildInput);
+  const palette = tokens?.colors || [];
+
+  const colors = [];
+  for (const c of dominantColors(img, ignoreHex)) {
+    const nearest = nearestToken(c.hex, palette);
+    const d = nearest ? nearest.deltaE : Infinity;
+    if (d > MATCH_DELTA_E && NEUTRALS.some((n) => deltaE(n, c.hex) <= NEUTRAL_DELTA_E)) continue;
+
+    const status = d <= MATCH_DELTA_E ? 'match' : d <= NEAR_MISS_DELTA_E ? 'near_miss' : 'off_palette';
+    colors.push({
+      hex: c.hex,
+      share: Number((c.share * 100).toFixed(2)),
+      status,
+      token: nearest ? { name: nearest.token.name, hex: nearest.token.hex } : null,
+      deltaE: Number.isFinite(d) ? round2(d) : null,
+      boxes: status === 'match' ? [] : locate(img, c.hex),
+    });
+  }
+  return { colors };
+}
+
+/** Flagged palette colors as report issues (same shape as parsed AI issues, without ids). */
+export function paletteIssues(check) {
+  return (check?.colors || [])
+    .filter((c) => c.status !== 'match')
+    .map((c) => ({
+      category: 'color',
+      severity: c.status === 'off_palette' ? 'major' : 'minor',
+      description:
+        c.status === 'near_miss'
+          ? `Color ${c.hex.toUpperCase()} is a near miss for token ${c.token.name} ${c.token.hex.toUpperCase()} ` +
+            `(ΔE ${c.deltaE}, ${c.share}% of the build).`
+          : `Color ${c.hex.toUpperCase()} is not in the design-token palette` +
+            `${c.token ? ` (closest: ${c.token.name} ${c.token.hex.toUpperCase()})` : ''}, ${c.share}% of the build.`,
+      designBox: null,
+      buildBox: c.boxes[0] || null,
+      source: 'tokens',
+    }));
+}
+
+/** Prompt addendum: exact token values, plus what the palette check already reported. */
+export function tokenPromptContext(tokens, check) {
+  const lines = ['Design tokens for this project (use these exact values when describing differences):'];
+  if (tokens.colors.length) lines.push(`Colors: ${tokens.colors.map((c) => `${c.name} ${c.hex}`).join(', ')}`);
+  if (tokens.fontSizes.length) lines.push(`Font sizes: ${tokens.fontSizes.map((t) => `${t.name} ${t.value}`).join(', ')}`);
+  if (tokens.radii.length) lines.push(`Radii: ${tokens.radii.map((t) => `${t.name} ${t.value}`).join(', ')}`);
+  if (tokens.spacing.length) lines.push(`Spacing: ${tokens.spacing.map((t) => `${t.name} ${t.value}`).join(', ')}`);
+  const flagged = (check?.colors || []).filter((c) => c.status !== 'match').map((c) => c.hex);
+  if (flagged.length) {
+    lines.push(`An automated palette check already reported these build colors; do not report them again: ${flagged.join(', ')}`);
+  }
+  return lines.join('\n');
+}
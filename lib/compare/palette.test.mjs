@@ -0,0 +1,80 @@
+// lib/compare/palette.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { checkPalette, paletteIssues } from './palette.js';
+import { hexToRgb } from './tokens.js';
+
+const tokens = {
+  colors: [
+    { name: 'brand', hex: '#6b21a8' },
+    { name: 'accent', hex: '#2563eb' },
+  ],
+};
+
+/** A 100x100 PNG made of horizontal bands: [[hex, rows], ...]. */
+function bands(spec) {
+  const width = 100;
+  const height = spec.reduce((n, [, rows]) => n + rows, 0);
+  const data = Buffer.alloc(width * height * 3);
+  let y = 0;
+  for (const [hex, rows] of spec) {
+    const rgb = hexToRgb(hex);
+    for (let p = y * width * 3; p < (y + rows) * width * 3; p += 3) data.set(rgb, p);
+    y += rows;
+  }
+  return sharp(data, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+const build = await bands([
+  ['#ffffff', 30], // page background: neutral, not reported
+  ['#6b21a8', 25], // exact token
+  ['#7a30b8', 20], // close to brand but a different hex
+  ['#22c55e', 15], // nowhere near the palette
+  ['#000000', 10], // text color: neutral, not reported
+]);
+
+test('build colors are classified against the token palette', async () => {
+  const { colors } = await checkPalette(build, tokens);
+  assert.deepEqual(
+    colors.map((c) => [c.hex, c.status, c.token?.name, c.share]),
+    [
+      ['#6b21a8', 'match', 'brand', 25],
+      ['#7a30b8', 'near_miss', 'brand', 20],
+      ['#22c55e', 'off_palette', 'accent', 15],
+    ]
+  );
+  const [match, near, off] = colors;
+  assert.deepEqual(match.boxes, []);
+  assert.equal(match.deltaE, 0);
+  assert.ok(near.deltaE > 0.1 && near.deltaE <= 8);
+  // rows 75-89, snapped out to the 16px diff cells
+  assert.deepEqual(off.boxes, [{ x: 0, y: 0.64, width: 1, height: 0.32 }]);
+});
+
+test('the ignore-mask fill is skipped entirely', async () => {
+  const { colors } = await checkPalette(build, tokens, { ignoreHex: '#22c55e' });
+  assert.ok(!colors.some((c) => c.hex === '#22c55e'));
+});
+
+test('without a palette every non-neutral color is off-palette', async () => {
+  const { colors } = await checkPalette(build, { colors: [] });
+  assert.deepEqual(colors.map((c) => c.status), ['off_palette', 'off_palette', 'off_palette']);
+  assert.ok(colors.every((c) => c.token === null && c.deltaE === null));
+});
+
+test('flagged colors become color issues: off-palette is major, a near miss is minor', async () => {
+  const issues = paletteIssues(await checkPalette(build, tokens));
+  assert.deepEqual(
+    issues.map((i) => [i.category, i.severity, i.source]),
+    [
+      ['color', 'minor', 'tokens'],
+      ['color', 'major', 'tokens'],
+    ]
+  );
+  assert.match(issues[0].description, /#7A30B8 is a near miss for token brand #6B21A8/);
+  assert.match(issues[1].description, /#22C55E is not in the design-token palette \(closest: accent #2563EB\)/);
+  assert.deepEqual(issues[1].buildBox, { x: 0, y: 0.64, width: 1, height: 0.32 });
+  assert.equal(issues[1].designBox, null);
+  assert.deepEqual(paletteIssues(null), []);
+});
@@ -0,0 +1,288 @@
+// lib/compare/pipeline.js
+import sharp from 'sharp';
+import { getAIProvider } from '@/lib/ai/provider';
+import { computePixelDiff } from '@/lib/compare/pixelDiff';
+import { computeSimilarity, computeMatchScore } from '@/lib/compare/similarity';
+import { normalizePair, boxToSourceBuild, textDiffToSourceBuild } from '@/lib/compare/normalize';
+import { rasterizeInput, RASTER_TYPES, detectInputType } from '@/lib/compare/rasterize';
+import { applyMasks, MASK_FILL } from '@/lib/compare/masks';
+import { checkPalette, paletteIssues, tokenPromptContext } from '@/lib/compare/palette';
+import { computeTextDiff } from '@/lib/compare/ocr';
+import { checkAccessibility, accessibilityIssues } from '@/lib/compare/accessibility';
+import { parseIssueReport, parsePartialIssues, renderIssuesMarkdown } from '@/lib/compare/issues';
+import { BUILTIN_TEMPLATES, buildComparePrompt } from '@/lib/compare/prompts';
+import { planTiles, cutTiles, tilePromptContext, mergeTileReports } from '@/lib/compare/tiling';
+import { verifyIssues } from '@/lib/compare/verify';
+
+// used when the caller did not resolve a template (see lib/compare/templates.js)
+const DEFAULT_TEMPLATE = BUILTIN_TEMPLATES[0];
+const DEFAULT_PROMPT = {
+  text: buildComparePrompt(DEFAULT_TEMPLATE, {}),
+  template: {
+    id: DEFAULT_TEMPLATE.id,
+    name: DEFAULT_TEMPLATE.name,
+    version: DEFAULT_TEMPLATE.version,
+    focusAreas: DEFAULT_TEMPLATE.focusAreas,
+    variables: {},
+  },
+};
+
+function pipelineError(code, message, detail) {
+  const e = new Error(message);
+  e.code = code;
+  if (detail) e.detail = detail;
+  return e;
+}
+
+/**
+ * One design/build comparison:
+ * rasterize -> normalize -> masks -> pixel diff + SSIM -> OCR text diff -> WCAG checks -> token palette check -> AI report
+ * -> evidence check of the AI claims -> match score.
+ * Tall pages are sent to the AI as overlapping tiles (see lib/compare/tiling.js) and merged into one report.
+ *
+ * @param {{ buf: Buffer, mimetype: string }} design
+ * @param {{ buf: Buffer, mimetype: string, targets?: Array }} build  targets: interactive element rects from captureUrl()
+ * @param {{ normalize?: boolean, cropTop?: number, trimScrollbar?: boolean, masks?: Array, ocr?: boolean,
+ *   a11y?: boolean, buildDpr?: number, capture?: object, keepImages?: boolean, maxTiles?: number, imageDetail?: string, aiModel?: string,
+ *   designPage?: number, designScale?: number, prompt?: object, project?: object, onProgress?: Function, onAICall?: Function,
+ *   onAIAttempt?: Function }} [options]
+ *   designPage/designScale: PDF page and render scale when the design is a PDF or SVG (the build must be a bitmap)
+ *   a11y: WCAG AA contrast/touch-target checks on the build; sizes use capture.dpr, else buildDpr (default 1)
+ *   prompt: { text, template } from resolveComparePrompt(); the template meta is recorded on the result
+ *   project: { id, name, tokens } from loadProject(); enables the design-token palette check
+ *   maxTiles/imageDetail/aiModel: analysis depth from the user's plan (applyEntitlements() in lib/billing/entitlements.js)
+ *   keepImages: also return `images` ({ design, build } PNG buffers) so the caller can store them for follow-ups;
+ *     the design as the model saw it and the build as uploaded, matching the report's designBox/buildBox
+ *   onProgress({ stage, pct, partial? }) is called as stages finish and while the AI report streams in
+ *   onAICall({ tile, provider, model, inputTokens, outputTokens, images, imageDetail, latencyMs, ok, attempts, error? }) is
+ *     awaited after every provider call, failed ones included (cost accounting, see lib/billing/aiLedger.js)
+ *   onAIAttempt({ tile, attempt, model, ok, reason?, status?, latencyMs, retryInMs? }) is awaited after every try of
+ *     a call, retries and fallback models included (lib/ai/resilience.js)
+ * @returns {Promise<{ result: string, report: object, diff: object, normalization: object|null, masks: Array,
+ *   similarity: object, textDiff: object|null, palette: object|null, score: { score, grade, similarityPoints, penalty }, template: object, ai: object,
+ *   verification: { checked, supported, filtered, unlocated, minConfidence },
+ *   sources: { design: object, build: object }, tiling: { tiles, pageHeight, aiScale, capped } | null, accessibility: object|null,
+ *   images?: { design: Buffer, build: Buffer } }>}
+ *   report.issues includes failed WCAG checks (category 'accessibility', source 'a11y'); they do not lower the match score
+ *   ai.usage sums every tile's tokens; ai.calls is the number of AI requests, ai.requests their per-call records
+ *   AI issues carry confidence/evidence/aiOnly from verifyIssues(); verification counts them (filtered = hidden as AI-only)
+ * Throws Error with .code = 'INVALID_IMAGE' | 'INVALID_PAGE' | 'UNSUPPORTED_TYPE' | 'AI_PROVIDER_ERROR' | 'AI_DEGRADED' | 'AI_EMPTY_RESULT'.
+ *   AI_DEGRADED: the provider's circuit is open; the error carries retryAfterMs
+ */
+export async function runComparison(design, build, options = {}) {
+  const { normalize = true, cropTop = 0, trimScrollbar = true, masks = [], ocr = true, a11y = true, project } = options;
+  const prompt = options.prompt || DEFAULT_PROMPT;
+  const onProgress = options.onProgress || (() => {});
+  const onAICall = options.onAICall || (() => {});
+  const onAIAttempt = options.onAIAttempt || (() => {});
+
+  // ---- PDF/SVG/AVIF/GIF -> PNG; bitmaps the diff can read pass straight through ----
+  const needsRaster = (input) => !RASTER_TYPES.has(detectInputType(input.buf, input.mimetype));
+  if (needsRaster(design) || needsRaster(build)) await onProgress({ stage: 'rasterizing', pct: 5 });
+  const [d, b] = await Promise.all([
+    rasterizeInput(design.buf, design.mimetype, { page: options.designPage, scale: options.designScale }),
+    rasterizeInput(build.buf, build.mimetype, { allowVector: false }),
+  ]);
+  const targets = build.targets || null;
+  design = { buf: d.buf, mimetype: d.mimetype };
+  build = { buf: b.buf, mimetype: b.mimetype };
+  // WCAG checks run on this copy: boxes point at the user's file and sizes convert to CSS px
+  const sourceBuild = b.buf;
+  const sources = { design: d.source, build: b.source };
+
+  // ---- Normalize scale/DPR + alignment, then blank ignore masks in both images ----
+  let normalization = null;
+  if (normalize) {
+    await onProgress({ stage: 'normalizing', pct: 10 });
+    const n = await normalizePair(design.buf, build.buf, { cropTop, trimScrollbar });
+    design = { buf: n.design, mimetype: n.mimetype };
+    build = { buf: n.build, mimetype: n.mimetype };
+    normalization = n.transform;
+  }
+  if (masks.length) {
+    await onProgress({ stage: 'masking', pct: 20 });
+    const [m1, m2] = await Promise.all([applyMasks(design.buf, masks), applyMasks(build.buf, masks)]);
+    design = { buf: m1, mimetype: 'image/png' };
+    build = { buf: m2, mimetype: 'image/png' };
+  }
+
+  // ---- Pixel diff + SSIM (deterministic, run before the AI) ----
+  await onProgress({ stage: 'diffing', pct: 30 });
+  const diff = await computePixelDiff(design.buf, build.buf);
+  const similarity = await computeSimilarity(design.buf, build.buf, diff.regions);
+
+  // ---- OCR text diff (copy changes the vision model tends to miss); never fails the comparison ----
+  let textDiff = null;
+  if (ocr) {
+    await onProgress({ stage: 'reading_text', pct: 35 });
+    try {
+      textDiff = await computeTextDiff(design.buf, build.buf);
+    } catch (ocrErr) {
+      console.warn('[compare] OCR failed:', ocrErr?.message || ocrErr);
+      textDiff = { error: String(ocrErr?.message || ocrErr) };
+    }
+  }
+
+  // ---- WCAG AA contrast + touch targets on the build as uploaded; never fails the comparison ----
+  let accessibility = null;
+  if (a11y) {
+    await onProgress({ stage: 'accessibility', pct: 37 });
+    try {
+      accessibility = await checkAccessibility(sourceBuild, { dpr: options.capture?.dpr || options.buildDpr || 1, targets });
+    } catch (a11yErr) {
+      console.warn('[compare] accessibility check failed:', a11yErr?.message || a11yErr);
+      accessibility = { error: String(a11yErr?.message || a11yErr) };
+    }
+  }
+
+  // ---- Design-token palette check on the build (exact hex values the AI can't give) ----
+  let palette = null;
+  let promptText = prompt.text;
+  if (project?.tokens) {
+    const check = await checkPalette(build.buf, project.tokens, { ignoreHex: masks.length ? MASK_FILL : undefined });
+    // located on the normalized build; like every other build box they point at the uploaded file
+    const colors = normalization
+      ? check.colors.map((c) => ({ ...c, boxes: c.boxes.map((b) => boxToSourceBuild(b, normalization)).filter(Boolean) }))
+      : check.colors;
+    palette = { project: { id: project.id, name: project.name }, colors };
+    promptText += `\n${tokenPromptContext(project.tokens, check)}`;
+  }
+
+  // ---- AI vision report, tile by tile for tall pages (streamed so callers can show issues as they arrive) ----
+  await onProgress({ stage: 'analyzing', pct: 40 });
+  const { width: pageWidth, height: pageHeight } = await sharp(design.buf).metadata();
+  const plan = planTiles(pageWidth, pageHeight, { maxTiles: options.maxTiles });
+  const [designTiles, buildTiles] = await Promise.all([
+    cutTiles(design.buf, plan, pageHeight),
+    cutTiles(build.buf, plan, pageHeight),
+  ]);
+  const tiled = plan.tiles.length > 1;
+
+  let provider;
+  try {
+    provider = getAIProvider();
+  } catch (aiErr) {
+    throw pipelineError('AI_PROVIDER_ERROR', 'AI provider error', String(aiErr?.message || aiErr));
+  }
+  const reports = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const requests = [];
+  const imageDetail = options.imageDetail || 'auto';
+  let completion;
+  for (let i = 0; i < plan.tiles.length; i++) {
+    const span = 50 / plan.tiles.length;
+    const base = 40 + i * span;
+    if (i > 0) await onProgress({ stage: 'analyzing', pct: Math.round(base) });
+    let seen = 0;
+    let tries = 0;
+    const startedAt = Date.now();
+    const call = { tile: i, provider: provider.name, model: options.aiModel || provider.model, images: 2, imageDetail };
+    try {
+      completion = await provider.complete({
+        json: true,
+        model: options.aiModel || undefined,
+        imageDetail: options.imageDetail,
+        onAttempt: async (attempt) => {
+          tries = attempt.attempt;
+          seen = 0; // a retry streams the report again from the start
+          await onAIAttempt({ tile: i, ...attempt });
+        },
+        messages: [
+          {
+            role: 'user',
+            text: tiled ? promptText + tilePromptContext(plan, i, pageHeight) : promptText,
+            images: [designTiles[i], buildTiles[i]],
+          },
+        ],
+        onDelta: async (_delta, content) => {
+          const partial = parsePartialIssues(content);
+          if (partial.length === seen) return;
+          seen = partial.length;
+          const issues = tiled
+            ? mergeTileReports([...reports, { issues: partial }], plan, pageHeight).issues
+            : partial;
+          // ~400 chars per issue; creep towards the end of this tile's share without ever claiming done
+          const pct = Math.min(base + span * 0.9, base + Math.round(content.length / 80 / plan.tiles.length));
+          await onProgress({ stage: 'analyzing', pct: Math.round(pct), partial: { issues } });
+        },
+      });
+    } catch (aiErr) {
+      const error = String(aiErr?.message || aiErr);
+      // nothing reached the provider when the circuit refused the call, so there is nothing to bill
+      if (tries) {
+        await onAICall({ ...call, inputTokens: 0, outputTokens: 0, latencyMs: Date.now() - startedAt, ok: false, attempts: tries, error });
+      }
+      if (aiErr?.code === 'AI_DEGRADED') {
+        throw Object.assign(pipelineError('AI_DEGRADED', aiErr.message), { retryAfterMs: aiErr.retryAfterMs });
+      }
+      throw pipelineError('AI_PROVIDER_ERROR', 'AI provider error', error);
+    }
+    const record = {
+      ...call,
+      model: completion.model || call.model,
+      inputTokens: completion.usage?.inputTokens || 0,
+      outputTokens: completion.usage?.outputTokens || 0,
+      latencyMs: Date.now() - startedAt,
+      ok: true,
+      attempts: completion.attempts || 1,
+      ...(completion.fallbackFrom ? { fallbackFrom: completion.fallbackFrom } : {}),
+    };
+    requests.push(record);
+    await onAICall(record);
+    if (!completion.content) throw pipelineError('AI_EMPTY_RESULT', 'The AI provider did not return a result');
+    reports.push(parseIssueReport(completion.content));
+    usage.inputTokens += completion.usage?.inputTokens || 0;
+    usage.outputTokens += completion.usage?.outputTokens || 0;
+  }
+
+  // ---- Structured report (markdown is rendered from the parsed issues) ----
+  await onProgress({ stage: 'verifying', pct: 92 });
+  const report = tiled ? mergeTileReports(reports, plan, pageHeight) : reports[0];
+  // claims in areas the diff and OCR found unchanged become AI-only findings (boxes are still on the normalized pair here)
+  const verified = verifyIssues(report.issues, { diff, textDiff });
+  report.issues = verified.issues;
+  report.verification = verified.verification;
+  await onProgress({ stage: 'finalizing', pct: 95 });
+  // the model and OCR saw the normalized build; point build boxes back at the file the user uploaded
+  if (normalization) {
+    report.issues = report.issues.map((it) => ({ ...it, buildBox: boxToSourceBuild(it.buildBox, normalization) }));
+    textDiff = textDiffToSourceBuild(textDiff, normalization);
+  }
+  // palette boxes were mapped when the check ran
+  if (palette) {
+    const extra = paletteIssues(palette).map((it, i) => ({ id: `I${report.issues.length + i + 1}`, ...it }));
+    report.issues = [...report.issues, ...extra];
+  }
+
+  // match score measures fidelity to the design, so WCAG findings are added after it; AI-only findings never count
+  const score = computeMatchScore(similarity, report.issues.filter((it) => !it.aiOnly));
+  if (accessibility && !accessibility.error) {
+    const extra = accessibilityIssues(accessibility).map((it, i) => ({ id: `I${report.issues.length + i + 1}`, ...it }));
+    report.issues = [...report.issues, ...extra];
+    report.accessibility = {
+      level: accessibility.level,
+      contrast: { measured: accessibility.contrast.measured, failed: accessibility.contrast.failures.length },
+      touchTargets: accessibility.touchTargets.checked
+        ? { measured: accessibility.touchTargets.measured, failed: accessibility.touchTargets.failures.length }
+        : { checked: false, reason: accessibility.touchTargets.reason },
+    };
+  }
+  const result = renderIssuesMarkdown(report);
+  const ai = {
+    provider: completion.provider,
+    model: completion.model,
+    usage: completion.usage ? usage : null,
+    calls: plan.tiles.length,
+    imageDetail,
+    requests,
+  };
+  // also reported when the plan held a tall page to fewer sections than it needed
+  const tiling =
+    tiled || plan.capped
+      ? { tiles: plan.tiles, pageHeight, aiScale: Number(plan.scale.toFixed(4)), capped: plan.capped }
+      : null;
+  const out = { result, report, diff, similarity, textDiff, palette, score, normalization, masks, template: prompt.template, ai, verification: report.verification, sources, tiling, accessibility };
+
+  if (options.keepImages) out.images = { design: design.buf, build: sourceBuild };
+  return out;
+}
@@ -0,0 +1,184 @@
+// lib/compare/pixelDiff.js
+import sharp from 'sharp';
+import pixelmatch from 'pixelmatch';
+
+// Per-pixel color tolerance (0..1). Lower = stricter.
+const PIXEL_THRESHOLD = 0.1;
+// Changed pixels are bucketed into square cells before grouping into regions.
+const REGION_CELL_PX = 16;
+const MAX_REGIONS = 50;
+// Keep memory bounded on huge captures (e.g. 1440x12000 full-page shots).
+const MAX_DIFF_PIXELS = 16 * 1024 * 1024;
+const HEATMAP_MAX_WIDTH = 1600;
+
+export function invalidImage(detail) {
+  const e = new Error(`Could not decode image: ${detail}`);
+  e.code = 'INVALID_IMAGE';
+  return e;
+}
+
+/** Decode to raw RGBA at an exact size (flattened onto white so alpha does not count as a diff). */
+async function toRawRgba(input, width, height) {
+  try {
+    const { data } = await sharp(input)
+      .flatten({ background: '#ffffff' })
+      .resize(width, height, { fit: 'fill' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return data;
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+}
+
+/** Pick the working size: the design's size, scaled down if it would blow the pixel budget. */
+async function workingSize(designInput) {
+  let meta;
+  try {
+    meta = await sharp(designInput).metadata();
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+  const w = meta.width || 0;
+  const h = meta.height || 0;
+  if (!w || !h) throw invalidImage('missing dimensions');
+  const scale = Math.min(1, Math.sqrt(MAX_DIFF_PIXELS / (w * h)));
+  return {
+    sourceWidth: w,
+    sourceHeight: h,
+    width: Math.max(1, Math.round(w * scale)),
+    height: Math.max(1, Math.round(h * scale)),
+    scale,
+  };
+}
+
+/**
+ * Group set pixels of a 0/1 mask into bounding boxes.
+ * Pixels are bucketed into REGION_CELL_PX cells; touching cells (8-neighbour) form one region.
+ */
+export function findRegions(diffMask, width, height) {
+  const cols = Math.ceil(width / REGION_CELL_PX);
+  const rows = Math.ceil(height / REGION_CELL_PX);
+  const counts = new Uint32Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / REGION_CELL_PX) * cols;
+    for (let x = 0; x < width; x++) {
+      if (diffMask[y * width + x]) counts[row + Math.floor(x / REGION_CELL_PX)]++;
+    }
+  }
+
+  const seen = new Uint8Array(cols * rows);
+  const regions = [];
+  const stack = [];
+
+  for (let start = 0; start < counts.length; start++) {
+    if (!counts[start] || seen[start]) continue;
+    let minC = cols, minR = rows, maxC = -1, maxR = -1, pixels = 0;
+    seen[start] = 1;
+    stack.push(start);
+
+    while (stack.length) {
+      const i = stack.pop();
+      const c = i % cols;
+      const r = (i - c) / cols;
+      pixels += counts[i];
+      if (c < minC) minC = c;
+      if (c > maxC) maxC = c;
+      if (r < minR) minR = r;
+      if (r > maxR) maxR = r;
+
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const nr = r + dr, nc = c + dc;
+          if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+          const n = nr * cols + nc;
+          if (counts[n] && !seen[n]) {
+            seen[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+
+    const x = minC * REGION_CELL_PX;
+    const y = minR * REGION_CELL_PX;
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxC + 1) * REGION_CELL_PX) - x,
+      height: Math.min(height, (maxR + 1) * REGION_CELL_PX) - y,
+      pixels,
+    });
+  }
+
+  return regions.sort((a, b) => b.pixels - a.pixels).slice(0, MAX_REGIONS);
+}
+
+function scaleBox(box, factor) {
+  if (factor === 1) return box;
+  return {
+    ...box,
+    x: Math.round(box.x * factor),
+    y: Math.round(box.y * factor),
+    width: Math.round(box.width * factor),
+    height: Math.round(box.height * factor),
+  };
+}
+
+/**
+ * Deterministic pixel-level diff of design vs build.
+ * The build is resampled onto the design's size; regions are reported in design pixel coordinates.
+ *
+ * @param {Buffer} designInput
+ * @param {Buffer} buildInput
+ * @returns {Promise<{ width, height, changedPixels, totalPixels, changedPercent, heatmap, regions }>}
+ * Throws Error with .code = 'INVALID_IMAGE' when either image cannot be decoded.
+ */
+export async function computePixelDiff(designInput, buildInput) {
+  const size = await workingSize(designInput);
+  const { width, height } = size;
+
+  const [a, b] = await Promise.all([
+    toRawRgba(designInput, width, height),
+    toRawRgba(buildInput, width, height),
+  ]);
+
+  const out = Buffer.alloc(width * height * 4);
+  const changedPixels = pixelmatch(a, b, out, width, height, {
+    threshold: PIXEL_THRESHOLD,
+    includeAA: false,
+    alpha: 0.15,
+    diffColor: [255, 0, 64],
+    diffColorAlt: [0, 160, 255],
+  });
+
+  // pixelmatch paints changed pixels with a fully saturated diff color; use that as the mask.
+  const mask = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < mask.length; i++, p += 4) {
+    const r = out[p], g = out[p + 1], bl = out[p + 2];
+    if ((r === 255 && g === 0 && bl === 64) || (r === 0 && g === 160 && bl === 255)) mask[i] = 1;
+  }
+
+  const heatmapBuf = await sharp(out, { raw: { width, height, channels: 4 } })
+    .resize({ width: Math.min(width, HEATMAP_MAX_WIDTH), withoutEnlargement: true })
+    .png({ palette: true, compressionLevel: 9 })
+    .toBuffer();
+
+  const totalPixels = width * height;
+  const toSource = 1 / size.scale;
+
+  return {
+    width: size.sourceWidth,
+    height: size.sourceHeight,
+    changedPixels: Math.round(changedPixels * toSource * toSource),
+    totalPixels: size.sourceWidth * size.sourceHeight,
+    changedPercent: Number(((changedPixels / totalPixels) * 100).toFixed(3)),
+    heatmap: `data:image/png;base64,${heatmapBuf.toString('base64')}`,
+    regions: findRegions(mask, width, height).map((r) => ({
+      ...scaleBox(r, toSource),
+      pixels: Math.round(r.pixels * toSource * toSource),
+    })),
+  };
+}
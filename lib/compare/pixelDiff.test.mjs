@@ -0,0 +1,73 @@
+// lib/compare/pixelDiff.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { findRegions, computePixelDiff } from './pixelDiff.js';
+
+function mask(width, height, rects) {
+  const m = new Uint8Array(width * height);
+  for (const { x, y, w, h } of rects) {
+    for (let yy = y; yy < y + h; yy++) for (let xx = x; xx < x + w; xx++) m[yy * width + xx] = 1;
+  }
+  return m;
+}
+
+const png = (width, height, overlays = []) =>
+  sharp({ create: { width, height, channels: 3, background: '#ffffff' } })
+    .composite(
+      overlays.map(({ x, y, w, h, color }) => ({
+        input: { create: { width: w, height: h, channels: 3, background: color } },
+        left: x,
+        top: y,
+      }))
+    )
+    .png()
+    .toBuffer();
+
+test('separate changes become separate regions, largest first', () => {
+  const m = mask(200, 200, [
+    { x: 5, y: 5, w: 4, h: 4 },
+    { x: 100, y: 100, w: 40, h: 20 },
+  ]);
+  const regions = findRegions(m, 200, 200);
+  assert.equal(regions.length, 2);
+  assert.deepEqual(regions[0], { x: 96, y: 96, width: 48, height: 32, pixels: 800 });
+  assert.deepEqual(regions[1], { x: 0, y: 0, width: 16, height: 16, pixels: 16 });
+});
+
+test('diagonally touching cells join one region', () => {
+  const m = mask(64, 64, [
+    { x: 0, y: 0, w: 2, h: 2 },
+    { x: 17, y: 17, w: 2, h: 2 },
+  ]);
+  assert.deepEqual(findRegions(m, 64, 64), [{ x: 0, y: 0, width: 32, height: 32, pixels: 8 }]);
+});
+
+test('regions at the edge are clipped to the image', () => {
+  const m = mask(40, 20, [{ x: 35, y: 17, w: 5, h: 3 }]);
+  assert.deepEqual(findRegions(m, 40, 20), [{ x: 32, y: 16, width: 8, height: 4, pixels: 15 }]);
+});
+
+test('an empty mask has no regions', () => {
+  assert.deepEqual(findRegions(new Uint8Array(32 * 32), 32, 32), []);
+});
+
+test('identical images have no changed pixels', async () => {
+  const img = await png(120, 80, [{ x: 10, y: 10, w: 30, h: 20, color: '#3366cc' }]);
+  const diff = await computePixelDiff(img, img);
+  assert.equal(diff.changedPixels, 0);
+  assert.deepEqual(diff.regions, []);
+});
+
+test('a changed block is reported where it is, in design pixels', async () => {
+  const design = await png(120, 80);
+  const build = await png(120, 80, [{ x: 64, y: 32, w: 16, h: 16, color: '#cc0000' }]);
+  const diff = await computePixelDiff(design, build);
+  assert.equal(diff.width, 120);
+  assert.equal(diff.changedPixels, 256);
+  assert.equal(diff.regions.length, 1);
+  assert.deepEqual(
+    { x: diff.regions[0].x, y: diff.regions[0].y, width: diff.regions[0].width, height: diff.regions[0].height },
+    { x: 64, y: 32, width: 16, height: 16 }
+  );
+});
@@ -0,0 +1,17 @@
+// lib/compare/projects.js
+import { db } from '@/lib/firebase/firebaseAdminDb';
+import { parseDesignTokens } from '@/lib/compare/tokens';
+
+// Projects hold per-product settings, today the design-token set: users/{uid}/projects/{projectId}.
+
+/** Load one of the caller's projects with its tokens re-validated. Throws PROJECT_NOT_FOUND / INVALID_TOKENS. */
+export async function loadProject(uid, projectId) {
+  const snap = await db.collection('users').doc(uid).collection('projects').doc(String(projectId)).get();
+  if (!snap.exists) {
+    const e = new Error(`Project "${projectId}" was not found`);
+    e.code = 'PROJECT_NOT_FOUND';
+    throw e;
+  }
+  const data = snap.data();
+  return { id: snap.id, name: data.name || snap.id, tokens: parseDesignTokens(data.tokens || {}) };
+}
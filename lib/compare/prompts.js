@@ -0,0 +1,138 @@
+// lib/compare/prompts.js
+// Pure helpers (no Node APIs) so the utility page renders template variables the same way the server does.
+import { ISSUE_SCHEMA_PROMPT } from '@/lib/compare/issues';
+
+export const FOCUS_AREAS = ['layout', 'typography', 'color', 'copy', 'icons', 'accessibility'];
+
+export const FOCUS_AREA_LABELS = {
+  layout: 'Layout',
+  typography: 'Typography',
+  color: 'Color',
+  copy: 'Copy',
+  icons: 'Icons',
+  accessibility: 'Accessibility',
+};
+
+const FOCUS_INSTRUCTIONS = {
+  layout: 'layout shifts, alignment, spacing, and missing or extra elements',
+  typography: 'font family, size, weight and line height',
+  color: 'colors, backgrounds, borders and shadows',
+  copy: 'text content: wording, spelling, truncation and missing labels',
+  icons: 'icons, logos and imagery that are wrong, missing, resized or misaligned',
+  accessibility: 'accessibility: low contrast, small tap targets, missing focus states or labels',
+};
+
+export const MAX_TEMPLATE_NAME = 80;
+export const MAX_TEMPLATE_BODY = 4000;
+export const MAX_VARIABLE_VALUE = 200;
+
+const VAR_RE = /\{\{\s*([a-zA-Z_]\w*)\s*\}\}/g;
+
+export const DEFAULT_TEMPLATE_ID = 'builtin:default';
+
+/** Read-only templates every user gets; user templates live in Firestore (users/{uid}/promptTemplates). */
+export const BUILTIN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'General QA',
+    version: 1,
+    builtin: true,
+    body: 'Compare these two UI screenshots and generate a QA report.',
+    focusAreas: ['layout', 'typography', 'color'],
+    variables: {},
+  },
+  {
+    id: 'builtin:layout',
+    name: 'Layout regressions only',
+    version: 1,
+    builtin: true,
+    body:
+      'Compare these two screenshots of {{screen}} and report only layout regressions. ' +
+      'Ignore differences in color, fonts and copy.',
+    focusAreas: ['layout'],
+    variables: { screen: 'the page' },
+  },
+  {
+    id: 'builtin:brand',
+    name: 'Brand review',
+    version: 1,
+    builtin: true,
+    body:
+      'Review the build of {{screen}} against the design for brand consistency. ' +
+      'The brand voice is {{voice}}; flag copy that does not match it.',
+    focusAreas: ['copy', 'icons', 'color', 'typography'],
+    variables: { screen: 'the page', voice: 'friendly and concise' },
+  },
+];
+
+function templateError(message) {
+  const e = new Error(message);
+  e.code = 'INVALID_TEMPLATE';
+  return e;
+}
+
+/** Variable names used in a template body, in order of first use. */
+export function templateVariables(body) {
+  const names = [];
+  for (const m of String(body || '').matchAll(VAR_RE)) if (!names.includes(m[1])) names.push(m[1]);
+  return names;
+}
+
+/**
+ * Validate a template before it is stored.
+ * Variables are re-derived from the body; defaults for unused names are dropped.
+ * Throws Error with .code = 'INVALID_TEMPLATE'.
+ */
+export function normalizeTemplate(raw) {
+  const name = String(raw?.name || '').trim();
+  const body = String(raw?.body || '').trim();
+  if (!name) throw templateError('Template name is required');
+  if (name.length > MAX_TEMPLATE_NAME) throw templateError(`Template name is longer than ${MAX_TEMPLATE_NAME} characters`);
+  if (!body) throw templateError('Template text is required');
+  if (body.length > MAX_TEMPLATE_BODY) throw templateError(`Template text is longer than ${MAX_TEMPLATE_BODY} characters`);
+
+  const focusAreas = FOCUS_AREAS.filter((a) => (raw.focusAreas || []).includes(a));
+  if (!focusAreas.length) throw templateError('Pick at least one focus area');
+
+  const variables = {};
+  for (const key of templateVariables(body)) {
+    variables[key] = String(raw.variables?.[key] ?? '').slice(0, MAX_VARIABLE_VALUE);
+  }
+  return { name, body, focusAreas, variables };
+}
+
+/**
+ * Parse the `templateVars` form field (JSON object of name -> value).
+ * Throws Error with .code = 'INVALID_TEMPLATE' on malformed JSON.
+ */
+export function parseTemplateVars(raw) {
+  if (raw == null || raw === '') return {};
+  let obj;
+  try {
+    obj = JSON.parse(raw);
+  } catch {
+    throw templateError('templateVars must be a JSON object');
+  }
+  const out = {};
+  if (obj && typeof obj === 'object' && !Array.isArray(obj)) {
+    for (const [k, v] of Object.entries(obj)) {
+      if (/^[a-zA-Z_]\w*$/.test(k) && v != null) out[k] = String(v).slice(0, MAX_VARIABLE_VALUE);
+    }
+  }
+  return out;
+}
+
+/** Fill {{variables}} from `values`, falling back to the template defaults. */
+export function renderTemplateBody(template, values = {}) {
+  return String(template.body || '').replace(VAR_RE, (_, key) => {
+    const v = values[key] != null && String(values[key]).trim() ? values[key] : template.variables?.[key];
+    return String(v ?? '').slice(0, MAX_VARIABLE_VALUE);
+  });
+}
+
+/** Full vision prompt for one comparison: template text + focus areas + the JSON issue schema. */
+export function buildComparePrompt(template, values) {
+  const areas = (template.focusAreas || []).filter((a) => FOCUS_INSTRUCTIONS[a]);
+  const focus = (areas.length ? areas : FOCUS_AREAS).map((a) => FOCUS_INSTRUCTIONS[a]).join('; ');
+  return `${renderTemplateBody(template, values)}\nFocus on: ${focus}.\n${ISSUE_SCHEMA_PROMPT}`;
+}
@@ -0,0 +1,74 @@
+// lib/compare/prompts.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BUILTIN_TEMPLATES,
+  FOCUS_AREAS,
+  MAX_TEMPLATE_NAME,
+  MAX_VARIABLE_VALUE,
+  buildComparePrompt,
+  normalizeTemplate,
+  parseTemplateVars,
+  renderTemplateBody,
+  templateVariables,
+} from './prompts.js';
+import { ISSUE_SCHEMA_PROMPT } from './issues.js';
+
+const raw = {
+  name: '  Checkout ',
+  body: ' Review {{screen}} for {{ audience }}; {{screen}} again. ',
+  focusAreas: ['copy', 'bogus', 'layout'],
+  variables: { screen: 'the cart', unused: 'dropped' },
+};
+
+test('template variables are listed once, in order of first use', () => {
+  assert.deepEqual(templateVariables(raw.body), ['screen', 'audience']);
+  assert.deepEqual(templateVariables(''), []);
+});
+
+test('normalizeTemplate trims text, keeps known focus areas and re-derives variables', () => {
+  assert.deepEqual(normalizeTemplate(raw), {
+    name: 'Checkout',
+    body: 'Review {{screen}} for {{ audience }}; {{screen}} again.',
+    focusAreas: ['layout', 'copy'],
+    variables: { screen: 'the cart', audience: '' },
+  });
+});
+
+test('normalizeTemplate rejects templates that cannot be stored', () => {
+  const cases = [
+    { ...raw, name: ' ' },
+    { ...raw, name: 'x'.repeat(MAX_TEMPLATE_NAME + 1) },
+    { ...raw, body: '' },
+    { ...raw, focusAreas: ['bogus'] },
+  ];
+  for (const c of cases) assert.throws(() => normalizeTemplate(c), { code: 'INVALID_TEMPLATE' });
+});
+
+test('parseTemplateVars keeps valid names and stringifies values', () => {
+  assert.deepEqual(parseTemplateVars(''), {});
+  assert.deepEqual(parseTemplateVars('[1]'), {});
+  assert.deepEqual(parseTemplateVars('{"screen":"Home","n":3,"bad-name":"x","none":null}'), { screen: 'Home', n: '3' });
+  assert.equal(parseTemplateVars(JSON.stringify({ long: 'y'.repeat(500) })).long.length, MAX_VARIABLE_VALUE);
+  assert.throws(() => parseTemplateVars('{nope'), { code: 'INVALID_TEMPLATE' });
+});
+
+test('rendering fills values and falls back to defaults for blank ones', () => {
+  const template = normalizeTemplate(raw);
+  assert.equal(
+    renderTemplateBody(template, { audience: 'new users', screen: '  ' }),
+    'Review the cart for new users; the cart again.'
+  );
+  assert.equal(renderTemplateBody(template), 'Review the cart for ; the cart again.');
+});
+
+test('the compare prompt carries the focus areas and the issue schema', () => {
+  const prompt = buildComparePrompt(BUILTIN_TEMPLATES[1], { screen: 'Pricing' });
+  assert.ok(prompt.startsWith('Compare these two screenshots of Pricing'));
+  assert.match(prompt, /\nFocus on: layout shifts[^;]*\.\n/);
+  assert.ok(prompt.endsWith(ISSUE_SCHEMA_PROMPT));
+
+  // no usable focus areas means all of them
+  const all = buildComparePrompt({ body: 'Check.', focusAreas: [] });
+  assert.equal(all.split('\n')[1].split('; ').length, FOCUS_AREAS.length);
+});
@@ -0,0 +1,119 @@
+// lib/compare/rasterize.js
+import sharp from 'sharp';
+import { invalidImage } from '@/lib/compare/pixelDiff';
+
+// Design hand-offs arrive as PDF/SVG (vector) or AVIF/GIF; everything is turned into a PNG
+// before normalization. PNG/JPEG/WEBP pass through untouched.
+
+export const RASTER_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+export const CONVERTED_TYPES = new Set(['image/avif', 'image/gif']);
+export const VECTOR_TYPES = new Set(['application/pdf', 'image/svg+xml']);
+
+export const MIN_RASTER_SCALE = 0.5;
+export const MAX_RASTER_SCALE = 4;
+// same budget as the pixel diff; larger vector renders are scaled down to fit
+const MAX_RASTER_PIXELS = 16 * 1024 * 1024;
+
+function invalidPage(page, pageCount) {
+  const e = new Error(`Page ${page} does not exist (the PDF has ${pageCount} page${pageCount === 1 ? '' : 's'})`);
+  e.code = 'INVALID_PAGE';
+  return e;
+}
+
+/** Content type from magic bytes; falls back to the declared mimetype (browsers often send '' for AVIF). */
+export function detectInputType(buf, declared = '') {
+  const head = buf.subarray(0, 512).toString('latin1');
+  if (head.startsWith('%PDF-')) return 'application/pdf';
+  if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) return 'image/gif';
+  if (head.slice(4, 12) === 'ftypavif' || head.slice(4, 12) === 'ftypavis') return 'image/avif';
+  if (head.startsWith('\x89PNG')) return 'image/png';
+  if (head.startsWith('\xFF\xD8\xFF')) return 'image/jpeg';
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') return 'image/webp';
+  if (/^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) {
+    return 'image/svg+xml';
+  }
+  return declared;
+}
+
+const clampScale = (s) => Math.min(MAX_RASTER_SCALE, Math.max(MIN_RASTER_SCALE, Number(s) || 1));
+
+async function renderPdf(buf, page, scale) {
+  // ESM + WASM; loaded on first use so image-only comparisons never pay for it
+  const mupdf = await import('mupdf');
+  let doc;
+  try {
+    doc = mupdf.Document.openDocument(buf, 'application/pdf');
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+  try {
+    const pageCount = doc.countPages();
+    if (!Number.isInteger(page) || page < 1 || page > pageCount) throw invalidPage(page, pageCount);
+    const pdfPage = doc.loadPage(page - 1);
+    // 1pt = 1 design px (how Figma/Sketch export), so scale 1 keeps the design's CSS size
+    const [x0, y0, x1, y1] = pdfPage.getBounds();
+    const fit = Math.sqrt(MAX_RASTER_PIXELS / Math.max(1, (x1 - x0) * (y1 - y0) * scale * scale));
+    const s = scale * Math.min(1, fit);
+    const pixmap = pdfPage.toPixmap(mupdf.Matrix.scale(s, s), mupdf.ColorSpace.DeviceRGB, false, true);
+    const png = Buffer.from(pixmap.asPNG());
+    pixmap.destroy();
+    pdfPage.destroy();
+    return { buf: png, pageCount, scale: Number(s.toFixed(3)) };
+  } finally {
+    doc.destroy();
+  }
+}
+
+async function renderSvg(buf, scale) {
+  try {
+    const meta = await sharp(buf).metadata();
+    const fit = Math.sqrt(MAX_RASTER_PIXELS / Math.max(1, meta.width * meta.height * scale * scale));
+    const s = scale * Math.min(1, fit);
+    // librsvg renders at 72dpi by default; density scales the vector, not the pixels
+    const png = await sharp(buf, { density: 72 * s }).png().toBuffer();
+    return { buf: png, scale: Number(s.toFixed(3)) };
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+}
+
+/**
+ * Turn an uploaded design/build file into something the pipeline can compare.
+ *
+ * @param {Buffer} buf
+ * @param {string} mimetype  as declared by the upload (magic bytes win)
+ * @param {{ page?: number, scale?: number, allowVector?: boolean }} [opts]
+ *   page: 1-based PDF page; scale: vector render scale (0.5..4); allowVector=false rejects PDF/SVG
+ * @returns {Promise<{ buf: Buffer, mimetype: string, source: { type, page?, pageCount?, scale?, width, height } }>}
+ * Throws Error with .code = 'INVALID_IMAGE' | 'INVALID_PAGE' | 'UNSUPPORTED_TYPE'.
+ */
+export async function rasterizeInput(buf, mimetype, { page = 1, scale = 1, allowVector = true } = {}) {
+  const type = detectInputType(buf, mimetype);
+
+  if (RASTER_TYPES.has(type)) {
+    return { buf, mimetype: type, source: { type } };
+  }
+
+  let out;
+  if (type === 'application/pdf' && allowVector) {
+    out = await renderPdf(buf, Number(page), clampScale(scale));
+    out.page = Number(page);
+  } else if (type === 'image/svg+xml' && allowVector) {
+    out = await renderSvg(buf, clampScale(scale));
+  } else if (CONVERTED_TYPES.has(type)) {
+    try {
+      // GIF: first frame only (sharp reads page 0 unless told otherwise)
+      out = { buf: await sharp(buf, { pages: 1 }).png().toBuffer() };
+    } catch (err) {
+      throw invalidImage(err?.message || err);
+    }
+  } else {
+    const e = new Error(`Unsupported file type: ${type || 'unknown'}`);
+    e.code = 'UNSUPPORTED_TYPE';
+    throw e;
+  }
+
+  const { width, height } = await sharp(out.buf).metadata();
+  const { buf: png, ...info } = out;
+  return { buf: png, mimetype: 'image/png', source: { type, ...info, width, height } };
+}
@@ -0,0 +1,80 @@
+// lib/compare/resultCache.js
+import crypto from 'crypto';
+import { db, FieldValue } from '@/lib/firebase/firebaseAdminDb';
+import { getAIProvider } from '@/lib/ai/provider';
+import { getJob, JOB_STATUS } from '@/lib/jobs/compareJobs';
+
+// Re-uploading the same pair (e.g. after a refresh) returns the earlier result instead of
+// spending quota and another AI call. compareCache/{key} points at the finished job that holds it.
+// The key covers the uploader, both images' bytes, the prompt and every option that changes the output,
+// including the plan's AI depth: a hit never hands one plan the report another plan paid for.
+
+// bump when the pipeline's output changes so stale entries stop matching
+const CACHE_VERSION = 5;
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const cacheCol = () => db.collection('compareCache');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Cache key for one comparison request.
+ * @param {string} uid
+ * @param {Buffer} designBuf  bytes as uploaded
+ * @param {Buffer} buildBuf
+ * @param {object} options  resolved compare options (prompt and project loaded, applyEntitlements() applied)
+ * @param {{ plan: string }} entitlements  applyEntitlements().entitlements for the user's plan
+ */
+export function compareCacheKey(uid, designBuf, buildBuf, options, entitlements) {
+  let ai = null;
+  try {
+    const provider = getAIProvider();
+    ai = [provider.name, options.aiModel || provider.model];
+  } catch {
+    // misconfigured provider: the job will fail with AI_CONFIG_ERROR and never be cached
+  }
+  return sha256(
+    JSON.stringify({
+      v: CACHE_VERSION,
+      uid,
+      design: sha256(designBuf),
+      build: sha256(buildBuf),
+      prompt: sha256(options.prompt?.text || ''),
+      template: options.prompt?.template ? [options.prompt.template.id, options.prompt.template.version] : null,
+      tokens: options.project?.tokens ? sha256(JSON.stringify(options.project.tokens)) : null,
+      ai,
+      plan: entitlements?.plan || null,
+      imageDetail: options.imageDetail,
+      maxTiles: options.maxTiles,
+      normalize: options.normalize,
+      cropTop: options.cropTop,
+      trimScrollbar: options.trimScrollbar,
+      masks: options.masks,
+      ocr: options.ocr,
+      a11y: options.a11y,
+      buildDpr: options.buildDpr,
+      targets: options.buildTargets ? sha256(JSON.stringify(options.buildTargets)) : null,
+      designPage: options.designPage,
+      designScale: options.designScale,
+    })
+  );
+}
+
+/** The finished job cached under `key`, or null (missing, expired, or its job is gone/failed). */
+export async function findCachedJob(key, uid) {
+  const snap = await cacheCol().doc(key).get();
+  if (!snap.exists) return null;
+  const entry = snap.data();
+  const createdAt = entry.createdAt?.toMillis?.() || 0;
+  if (entry.uid !== uid || Date.now() - createdAt > CACHE_TTL_MS) return null;
+  const job = await getJob(entry.jobId, uid);
+  if (!job || job.status !== JOB_STATUS.SUCCEEDED || !job.result) return null;
+  return job;
+}
+
+/** Remember which job produced the result for `key`. Best effort: a failed write only costs a future cache miss. */
+export async function rememberCachedJob(key, uid, jobId) {
+  await cacheCol()
+    .doc(key)
+    .set({ uid, jobId, createdAt: FieldValue.serverTimestamp() })
+    .catch((err) => console.warn('[cache] write failed:', err?.message));
+}
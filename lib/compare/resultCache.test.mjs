@@ -0,0 +1,51 @@
+// lib/compare/resultCache.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// the Stripe client (imported through the job store) refuses to load without a key
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unit';
+process.env.AI_PROVIDER = 'mock';
+const { compareCacheKey } = await import('./resultCache.js');
+
+const design = Buffer.from('design-bytes');
+const build = Buffer.from('build-bytes');
+const options = {
+  prompt: { text: 'Compare these two UI screenshots.', template: { id: 'builtin:default', version: 1 } },
+  imageDetail: 'auto',
+  maxTiles: 1,
+  aiModel: null,
+  ocr: false,
+  a11y: false,
+  masks: [],
+};
+const basic = { plan: 'basic' };
+const key = (over = {}, ent = basic, buf = build) => compareCacheKey('u1', design, buf, { ...options, ...over }, ent);
+
+test('the key is stable for the same request', () => {
+  assert.match(key(), /^[0-9a-f]{64}$/);
+  assert.equal(key(), key({ masks: [] }));
+});
+
+test('a different plan or AI depth never shares a cached report', () => {
+  const base = key();
+  assert.notEqual(key({}, { plan: 'pro' }), base);
+  assert.notEqual(key({ imageDetail: 'high' }), base);
+  assert.notEqual(key({ maxTiles: 4 }), base);
+  assert.notEqual(key({ aiModel: 'gpt-4.1' }), base);
+});
+
+test('the prompt, the uploader and the image bytes are part of the key', () => {
+  const base = key();
+  assert.notEqual(key({ prompt: { ...options.prompt, text: 'Only layout.' } }), base);
+  assert.notEqual(key({ prompt: { ...options.prompt, template: { id: 'builtin:default', version: 2 } } }), base);
+  assert.notEqual(key({}, basic, Buffer.from('build-bytes!')), base);
+  assert.notEqual(compareCacheKey('u2', design, build, options, basic), base);
+  assert.notEqual(compareCacheKey('u1', build, design, options, basic), base);
+});
+
+test('options that change the output change the key', () => {
+  const base = key();
+  assert.notEqual(key({ ocr: true }), base);
+  assert.notEqual(key({ masks: [{ type: 'rect', x: 0, y: 0, width: 0.1, height: 0.1 }] }), base);
+  assert.notEqual(key({ buildTargets: [{ x: 0, y: 0, width: 10, height: 10 }] }), base);
+});
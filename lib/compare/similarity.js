@@ -0,0 +1,145 @@
+// lib/compare/similarity.js
+import sharp from 'sharp';
+import { invalidImage } from '@/lib/compare/pixelDiff';
+
+// Structural similarity (SSIM) on grayscale, 8x8 windows with a 4px stride.
+// Computed on a downscaled copy: SSIM is about structure, not single pixels.
+const WINDOW = 8;
+const STRIDE = 4;
+const MAX_SSIM_PIXELS = 2 * 1024 * 1024;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// Match score = similarity points (0..100) minus issue penalties.
+const SSIM_FLOOR = 0.5; // SSIM at or below this earns no similarity points
+const GLOBAL_WEIGHT = 0.75; // rest goes to the area-weighted similarity of changed regions
+const SEVERITY_PENALTY = { critical: 12, major: 5, minor: 1.5 };
+const MAX_PENALTY = 50;
+const GRADES = [
+  [90, 'A'],
+  [80, 'B'],
+  [70, 'C'],
+  [60, 'D'],
+];
+
+async function toGray(input, width, height) {
+  try {
+    return await sharp(input)
+      .flatten({ background: '#ffffff' })
+      .resize(width, height, { fit: 'fill' })
+      .greyscale()
+      .raw()
+      .toBuffer();
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+}
+
+/** Mean SSIM over the windows inside [x0, x1) x [y0, y1); 1 when the box is smaller than a window. */
+function ssimBox(a, b, width, x0, y0, x1, y1) {
+  const n = WINDOW * WINDOW;
+  let total = 0;
+  let count = 0;
+  for (let y = y0; y + WINDOW <= y1; y += STRIDE) {
+    for (let x = x0; x + WINDOW <= x1; x += STRIDE) {
+      let sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+      for (let dy = 0; dy < WINDOW; dy++) {
+        let i = (y + dy) * width + x;
+        for (let dx = 0; dx < WINDOW; dx++, i++) {
+          const va = a[i], vb = b[i];
+          sa += va;
+          sb += vb;
+          saa += va * va;
+          sbb += vb * vb;
+          sab += va * vb;
+        }
+      }
+      const ma = sa / n, mb = sb / n;
+      const va = saa / n - ma * ma;
+      const vb = sbb / n - mb * mb;
+      const cov = sab / n - ma * mb;
+      total += ((2 * ma * mb + C1) * (2 * cov + C2)) / ((ma * ma + mb * mb + C1) * (va + vb + C2));
+      count++;
+    }
+  }
+  return count ? total / count : 1;
+}
+
+const round3 = (n) => Number(n.toFixed(3));
+
+/**
+ * SSIM of design vs build, overall and inside each pixel-diff region.
+ * The build is resampled onto the design's size, like computePixelDiff.
+ *
+ * @param {Buffer} designInput
+ * @param {Buffer} buildInput
+ * @param {Array<{ x, y, width, height }>} [regions]  design pixel boxes (diff.regions)
+ * @returns {Promise<{ ssim: number, regions: Array<{ x, y, width, height, similarity: number }> }>}
+ */
+export async function computeSimilarity(designInput, buildInput, regions = []) {
+  let meta;
+  try {
+    meta = await sharp(designInput).metadata();
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+  const scale = Math.min(1, Math.sqrt(MAX_SSIM_PIXELS / (meta.width * meta.height)));
+  const width = Math.max(WINDOW, Math.round(meta.width * scale));
+  const height = Math.max(WINDOW, Math.round(meta.height * scale));
+
+  const [a, b] = await Promise.all([toGray(designInput, width, height), toGray(buildInput, width, height)]);
+
+  return {
+    ssim: round3(ssimBox(a, b, width, 0, 0, width, height)),
+    regions: regions.map((r) => {
+      // grow tiny regions to at least one window so they still get a score
+      const x0 = Math.max(0, Math.min(width - WINDOW, Math.floor(r.x * scale)));
+      const y0 = Math.max(0, Math.min(height - WINDOW, Math.floor(r.y * scale)));
+      const x1 = Math.min(width, Math.max(x0 + WINDOW, Math.ceil((r.x + r.width) * scale)));
+      const y1 = Math.min(height, Math.max(y0 + WINDOW, Math.ceil((r.y + r.height) * scale)));
+      return {
+        x: r.x,
+        y: r.y,
+        width: r.width,
+        height: r.height,
+        similarity: round3(ssimBox(a, b, width, x0, y0, x1, y1)),
+      };
+    }),
+  };
+}
+
+export function gradeForScore(score) {
+  for (const [min, grade] of GRADES) if (score >= min) return grade;
+  return 'F';
+}
+
+/**
+ * Combine similarity and issue severities into a 0..100 match score and a letter grade.
+ *
+ * @param {{ ssim: number, regions: Array }} similarity  from computeSimilarity
+ * @param {Array<{ severity: string }>} issues
+ * @returns {{ score: number, grade: string, similarityPoints: number, penalty: number }}
+ */
+export function computeMatchScore(similarity, issues = []) {
+  const toPoints = (s) => Math.max(0, Math.min(1, (s - SSIM_FLOOR) / (1 - SSIM_FLOOR)));
+
+  const area = similarity.regions.reduce((sum, r) => sum + r.width * r.height, 0);
+  const regionSimilarity = area
+    ? similarity.regions.reduce((sum, r) => sum + r.similarity * r.width * r.height, 0) / area
+    : 1;
+
+  const similarityPoints =
+    100 * (GLOBAL_WEIGHT * toPoints(similarity.ssim) + (1 - GLOBAL_WEIGHT) * toPoints(regionSimilarity));
+  const penalty = Math.min(
+    MAX_PENALTY,
+    issues.reduce((sum, it) => sum + (SEVERITY_PENALTY[it.severity] || 0), 0)
+  );
+  const score = Math.max(0, Math.round(similarityPoints - penalty));
+
+  return {
+    score,
+    grade: gradeForScore(score),
+    similarityPoints: Math.round(similarityPoints),
+    penalty: Number(penalty.toFixed(1)),
+  };
+}
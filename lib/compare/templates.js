@@ -0,0 +1,48 @@
+// lib/compare/templates.js
+import { db } from '@/lib/firebase/firebaseAdminDb';
+import {
+  BUILTIN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  buildComparePrompt,
+  normalizeTemplate,
+} from '@/lib/compare/prompts';
+
+function templateNotFound(templateId) {
+  const e = new Error(`Prompt template "${templateId}" was not found`);
+  e.code = 'TEMPLATE_NOT_FOUND';
+  return e;
+}
+
+/** A built-in template, or the caller's own from users/{uid}/promptTemplates/{id}. */
+export async function loadPromptTemplate(uid, templateId = DEFAULT_TEMPLATE_ID) {
+  const builtin = BUILTIN_TEMPLATES.find((t) => t.id === templateId);
+  if (builtin) return builtin;
+
+  const snap = await db.collection('users').doc(uid).collection('promptTemplates').doc(String(templateId)).get();
+  if (!snap.exists) throw templateNotFound(templateId);
+  const data = snap.data();
+  return { id: snap.id, version: data.version || 1, builtin: false, ...normalizeTemplate(data) };
+}
+
+/**
+ * Resolve the prompt for one comparison.
+ * @returns {Promise<{ text: string, template: { id, name, version, focusAreas, variables } }>}
+ *   `template` is what gets recorded on the result.
+ */
+export async function resolveComparePrompt(uid, { templateId, templateVars = {} } = {}) {
+  const template = await loadPromptTemplate(uid, templateId || DEFAULT_TEMPLATE_ID);
+  const variables = {};
+  for (const key of Object.keys(template.variables || {})) {
+    variables[key] = templateVars[key]?.trim() ? templateVars[key] : template.variables[key];
+  }
+  return {
+    text: buildComparePrompt(template, variables),
+    template: {
+      id: template.id,
+      name: template.name,
+      version: template.version,
+      focusAreas: template.focusAreas,
+      variables,
+    },
+  };
+}
@@ -0,0 +1,132 @@
+// lib/compare/textDiff.js
+
+// Align OCR text lines of the design and the build, then diff matched lines word by word.
+// Lines carry boxes as 0..1 fractions of their image, so positions are comparable across images.
+
+const MIN_LINE_SIMILARITY = 0.45; // below this two lines are different strings, not an edit
+const POSITION_WEIGHT = 0.25; // how much vertical distance lowers a candidate pair's score
+const MAX_CHANGES = 100;
+
+const words = (text) => String(text || '').split(/\s+/).filter(Boolean);
+// compare without case/punctuation noise when pairing lines; the word diff itself is exact
+const loose = (w) => w.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+/** Dice coefficient over loose words. */
+function lineSimilarity(a, b) {
+  const wa = words(a).map(loose).filter(Boolean);
+  const wb = words(b).map(loose).filter(Boolean);
+  if (!wa.length || !wb.length) return 0;
+  const counts = new Map();
+  for (const w of wa) counts.set(w, (counts.get(w) || 0) + 1);
+  let common = 0;
+  for (const w of wb) {
+    const n = counts.get(w);
+    if (n) {
+      common++;
+      counts.set(w, n - 1);
+    }
+  }
+  return (2 * common) / (wa.length + wb.length);
+}
+
+const centerY = (box) => (box ? box.y + box.height / 2 : 0.5);
+
+/**
+ * Word-level diff (LCS) of two strings.
+ * @returns {Array<{ op: 'equal' | 'delete' | 'insert', text: string }>}  consecutive words with the same op are joined
+ */
+export function diffWords(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  const n = wa.length;
+  const m = wb.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = wa[i] === wb[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += ` ${text}`;
+    else ops.push({ op, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (wa[i] === wb[j]) {
+      push('equal', wa[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', wa[i++]);
+    } else {
+      push('insert', wb[j++]);
+    }
+  }
+  while (i < n) push('delete', wa[i++]);
+  while (j < m) push('insert', wb[j++]);
+  return ops;
+}
+
+/**
+ * Pair design lines with build lines and report what changed.
+ *
+ * @param {Array<{ text: string, box: object }>} designLines
+ * @param {Array<{ text: string, box: object }>} buildLines
+ * @returns {{ changes: Array<{ type: 'missing' | 'extra' | 'changed', designText?, buildText?, designBox?, buildBox?, diff? }>,
+ *   summary: { missing: number, extra: number, changed: number, unchanged: number } }}
+ */
+export function diffTextLines(designLines, buildLines) {
+  const candidates = [];
+  designLines.forEach((d, i) => {
+    buildLines.forEach((b, j) => {
+      const sim = lineSimilarity(d.text, b.text);
+      if (sim < MIN_LINE_SIMILARITY) return;
+      const score = sim - POSITION_WEIGHT * Math.abs(centerY(d.box) - centerY(b.box));
+      candidates.push({ i, j, sim, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const pairOfDesign = new Map();
+  const usedBuild = new Set();
+  for (const c of candidates) {
+    if (pairOfDesign.has(c.i) || usedBuild.has(c.j)) continue;
+    pairOfDesign.set(c.i, c.j);
+    usedBuild.add(c.j);
+  }
+
+  const changes = [];
+  let unchanged = 0;
+  designLines.forEach((d, i) => {
+    if (!pairOfDesign.has(i)) {
+      changes.push({ type: 'missing', designText: d.text, designBox: d.box });
+      return;
+    }
+    const b = buildLines[pairOfDesign.get(i)];
+    if (d.text === b.text) {
+      unchanged++;
+      return;
+    }
+    changes.push({
+      type: 'changed',
+      designText: d.text,
+      buildText: b.text,
+      designBox: d.box,
+      buildBox: b.box,
+      diff: diffWords(d.text, b.text),
+    });
+  });
+  buildLines.forEach((b, j) => {
+    if (!usedBuild.has(j)) changes.push({ type: 'extra', buildText: b.text, buildBox: b.box });
+  });
+
+  const count = (type) => changes.filter((c) => c.type === type).length;
+  return {
+    changes: changes.slice(0, MAX_CHANGES),
+    summary: { missing: count('missing'), extra: count('extra'), changed: count('changed'), unchanged },
+  };
+}
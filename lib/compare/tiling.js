@@ -0,0 +1,151 @@
+// lib/compare/tiling.js
+import sharp from 'sharp';
+import { invalidImage } from './pixelDiff';
+import { ISSUE_SEVERITIES } from './issues';
+
+// Vision models shrink every image to a fixed budget, so a 1440x12000 full-page capture sent whole
+// comes out a few hundred pixels wide. Images for the AI are downscaled to a readable width and,
+// when still tall, cut into overlapping horizontal tiles at the same rows of both (aligned) images.
+// Each tile pair gets its own report; the findings are mapped back to page coordinates and merged.
+
+// width the model sees (the diff and OCR still run on full-size images)
+export const AI_MAX_WIDTH = 1280;
+// tile height in AI pixels, and the rows shared by neighbouring tiles so nothing is cut in half
+export const TILE_HEIGHT = 1600;
+export const TILE_OVERLAP = 200;
+// more tiles than this and each one just gets taller (cost grows with every AI call)
+export const MAX_TILES = 8;
+// a page up to this much taller than one tile is still sent whole
+const SINGLE_SLACK = 1.25;
+// per image; larger PNGs are re-encoded as JPEG
+const MAX_AI_IMAGE_BYTES = 4 * 1024 * 1024;
+// share of the smaller box two findings must have in common to be the same issue
+const DUPLICATE_OVERLAP = 0.6;
+
+/**
+ * Rows to cut a page into (pure).
+ * @param {number} width   page size in image pixels
+ * @param {number} height
+ * @param {{ maxTiles?: number }} [opts]  plan limit on AI passes (lib/billing/entitlements.js)
+ * @returns {{ scale: number, tiles: Array<{ top: number, height: number }>, capped: boolean }}
+ *   scale: AI pixels per image pixel (<= 1); tiles in image pixels, top to bottom (a single tile = no tiling)
+ *   capped: maxTiles allowed fewer tiles than the page would otherwise get
+ */
+export function planTiles(width, height, { maxTiles = MAX_TILES } = {}) {
+  const scale = Math.min(1, AI_MAX_WIDTH / width);
+  const h = height * scale;
+  if (h <= TILE_HEIGHT * SINGLE_SLACK) return { scale, tiles: [{ top: 0, height }], capped: false };
+
+  const wanted = Math.min(MAX_TILES, Math.ceil((h - TILE_OVERLAP) / (TILE_HEIGHT - TILE_OVERLAP)));
+  const count = Math.min(wanted, Math.max(1, maxTiles));
+  if (count === 1) return { scale, tiles: [{ top: 0, height }], capped: true };
+  const tileH = Math.ceil((h + (count - 1) * TILE_OVERLAP) / count);
+  const step = (h - tileH) / (count - 1);
+  const tiles = Array.from({ length: count }, (_, i) => {
+    const top = Math.round((i * step) / scale);
+    return { top, height: Math.min(height - top, Math.round(tileH / scale)) };
+  });
+  return { scale, tiles, capped: count < wanted };
+}
+
+async function encodeForAI(image) {
+  const png = await image.png().toBuffer();
+  if (png.length <= MAX_AI_IMAGE_BYTES) return { buf: png, mimetype: 'image/png' };
+  return { buf: await image.jpeg({ quality: 85 }).toBuffer(), mimetype: 'image/jpeg' };
+}
+
+/**
+ * Cut one image into the planned tiles (rows are fractions of its height, so a build that was not
+ * normalized to the design's size still lines up) and downscale each to the AI width.
+ * @returns {Promise<Array<{ buf: Buffer, mimetype: string }>>}
+ * Throws Error with .code = 'INVALID_IMAGE'.
+ */
+export async function cutTiles(input, plan, pageHeight) {
+  try {
+    const { width, height } = await sharp(input).metadata();
+    return await Promise.all(
+      plan.tiles.map((t) => {
+        const top = Math.round((t.top / pageHeight) * height);
+        const rows = Math.max(1, Math.min(height - top, Math.round((t.height / pageHeight) * height)));
+        const image = sharp(input)
+          .extract({ left: 0, top, width, height: rows })
+          .resize({ width: Math.min(width, AI_MAX_WIDTH), withoutEnlargement: true });
+        return encodeForAI(image);
+      })
+    );
+  } catch (err) {
+    throw invalidImage(err?.message || err);
+  }
+}
+
+/** Prompt addendum telling the model which part of the page a tile pair shows. */
+export function tilePromptContext(plan, index, pageHeight) {
+  const t = plan.tiles[index];
+  return (
+    `\nThese two images are section ${index + 1} of ${plan.tiles.length} of a tall page ` +
+    `(rows ${t.top}-${t.top + t.height} of ${pageHeight}px); neighbouring sections overlap slightly. ` +
+    'Report only issues visible in this section; boxes are fractions of this section.'
+  );
+}
+
+function boxToPage(box, tile, pageHeight) {
+  if (!box) return null;
+  return {
+    x: box.x,
+    y: (tile.top + box.y * tile.height) / pageHeight,
+    width: box.width,
+    height: (box.height * tile.height) / pageHeight,
+  };
+}
+
+function overlapShare(a, b) {
+  if (!a || !b) return 0;
+  const w = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (w <= 0 || h <= 0) return 0;
+  return (w * h) / Math.min(a.width * a.height, b.width * b.height);
+}
+
+const sameIssue = (a, b) =>
+  a.category === b.category &&
+  (a.description.toLowerCase() === b.description.toLowerCase() ||
+    overlapShare(a.designBox, b.designBox) >= DUPLICATE_OVERLAP ||
+    overlapShare(a.buildBox, b.buildBox) >= DUPLICATE_OVERLAP);
+
+const topOf = (it) => it.designBox?.y ?? it.buildBox?.y ?? Infinity;
+
+/**
+ * Merge per-tile reports into one page report: boxes move to page coordinates, findings a
+ * neighbouring tile already reported (seen in the overlap) are dropped, keeping the more severe
+ * copy, and ids are reassigned top to bottom.
+ * @param {Array<{ summary, issues, parsed }>} reports  parseIssueReport() output, one per tile
+ * @returns {{ summary: string, issues: Array, parsed: boolean }}
+ */
+export function mergeTileReports(reports, plan, pageHeight) {
+  const merged = [];
+  reports.forEach((report, i) => {
+    const tile = plan.tiles[i];
+    for (const it of report.issues) {
+      const issue = {
+        ...it,
+        designBox: boxToPage(it.designBox, tile, pageHeight),
+        buildBox: boxToPage(it.buildBox, tile, pageHeight),
+      };
+      const dup = merged.findIndex((m) => m.tile === i - 1 && sameIssue(m, issue));
+      if (dup < 0) merged.push({ ...issue, tile: i });
+      else if (ISSUE_SEVERITIES.indexOf(issue.severity) < ISSUE_SEVERITIES.indexOf(merged[dup].severity)) {
+        merged[dup] = { ...issue, tile: i };
+      }
+    }
+  });
+
+  const summaries = [...new Set(reports.map((r) => r.summary).filter(Boolean))];
+  return {
+    summary: summaries.join(' '),
+    issues: merged
+      .map((it, order) => ({ it, order }))
+      .sort((a, b) => topOf(a.it) - topOf(b.it) || a.order - b.order)
+      .map(({ it: { tile, id, ...rest } }, i) => ({ id: `I${i + 1}`, ...rest, tile })),
+    parsed: reports.every((r) => r.parsed),
+  };
+}
@@ -0,0 +1,148 @@
+// lib/compare/tokens.js
+// Pure helpers (no Node APIs): the utility page parses token files with the same rules the server checks with.
+
+export const MAX_TOKENS_PER_GROUP = 200;
+
+// Token groups we understand, keyed by the names design-token files commonly use.
+const GROUP_ALIASES = [
+  [/^colou?rs?$|^palette$/i, 'colors'],
+  [/^font[-_ ]?sizes?$|^text[-_ ]?sizes?$/i, 'fontSizes'],
+  [/^radii$|^radius$|^border[-_ ]?radius$|^rounded$/i, 'radii'],
+  [/^spacing$|^space$|^spacers?$/i, 'spacing'],
+];
+
+const HEX_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function invalidTokens(detail) {
+  const e = new Error(`Invalid design tokens: ${detail}`);
+  e.code = 'INVALID_TOKENS';
+  return e;
+}
+
+/** '#abc' / 'ABCDEF' / 'rgb(1, 2, 3)' -> '#aabbcc' (lowercase), or null. */
+export function normalizeHex(value) {
+  const s = String(value ?? '').trim();
+  const rgb = s.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})/i);
+  if (rgb) return rgbToHex(rgb.slice(1, 4).map(Number));
+  const m = s.match(HEX_RE);
+  if (!m) return null;
+  const h = m[1].length === 3 ? m[1].replace(/./g, (c) => c + c) : m[1];
+  return `#${h.toLowerCase()}`;
+}
+
+export function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+export function rgbToHex(rgb) {
+  return `#${rgb.map((v) => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/** sRGB -> CIE Lab (D65). */
+function rgbToLab([r, g, b]) {
+  const lin = (v) => {
+    v /= 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  };
+  const [R, G, B] = [lin(r), lin(g), lin(b)];
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (t * 24389) / 27 / 116 + 16 / 116);
+  const x = f((R * 0.4124 + G * 0.3576 + B * 0.1805) / 0.95047);
+  const y = f(R * 0.2126 + G * 0.7152 + B * 0.0722);
+  const z = f((R * 0.0193 + G * 0.1192 + B * 0.9505) / 1.08883);
+  return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+}
+
+/** CIE76 color difference between two hex colors (~2.3 is a just-noticeable difference). */
+export function deltaE(hexA, hexB) {
+  const a = rgbToLab(hexToRgb(hexA));
+  const b = rgbToLab(hexToRgb(hexB));
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function ensureNotEmpty(tokens) {
+  if (!Object.values(tokens).some((list) => list.length)) {
+    throw invalidTokens('no colors, font sizes, radii or spacing found');
+  }
+  return tokens;
+}
+
+function groupFor(key) {
+  for (const [re, group] of GROUP_ALIASES) if (re.test(key)) return group;
+  return null;
+}
+
+// W3C / Style Dictionary leaves are { value } or { $value }; plain files just use strings
+const leafValue = (node) =>
+  node && typeof node === 'object' && !Array.isArray(node) ? node.$value ?? node.value ?? node : node;
+
+/**
+ * Parse a design-token JSON file into { colors: [{ name, hex }], fontSizes, radii, spacing: [{ name, value }] }.
+ * Accepts flat files ({ colors: { primary: '#6b21a8' } }), nested groups and { value } / { $value } leaves.
+ * Hex-looking values outside a known group are still treated as colors.
+ * Throws Error with .code = 'INVALID_TOKENS'.
+ */
+export function parseDesignTokens(raw) {
+  let root = raw;
+  if (typeof raw === 'string') {
+    try {
+      root = JSON.parse(raw);
+    } catch {
+      throw invalidTokens('not valid JSON');
+    }
+  }
+  if (!root || typeof root !== 'object' || Array.isArray(root)) throw invalidTokens('expected a JSON object');
+
+  const out = { colors: [], fontSizes: [], radii: [], spacing: [] };
+
+  // already parsed (what we store in Firestore): just re-validate
+  if (Object.keys(out).some((k) => Array.isArray(root[k]))) {
+    for (const group of Object.keys(out)) {
+      for (const t of (Array.isArray(root[group]) ? root[group] : []).slice(0, MAX_TOKENS_PER_GROUP)) {
+        if (group === 'colors') {
+          const hex = normalizeHex(t?.hex);
+          if (hex) out.colors.push({ name: String(t.name || hex), hex });
+        } else if (t?.value != null) {
+          out[group].push({ name: String(t.name || ''), value: String(t.value) });
+        }
+      }
+    }
+    return ensureNotEmpty(out);
+  }
+
+  const seen = new Set();
+
+  const walk = (node, path, group) => {
+    const value = leafValue(node);
+    if (value == null) return;
+    if (typeof value !== 'object') {
+      const name = path.join('.');
+      const hex = normalizeHex(value);
+      const target = hex && (!group || group === 'colors') ? 'colors' : group;
+      if (!target || seen.has(`${target}:${name}`) || out[target].length >= MAX_TOKENS_PER_GROUP) return;
+      seen.add(`${target}:${name}`);
+      if (target === 'colors') {
+        if (hex) out.colors.push({ name, hex });
+      } else {
+        out[target].push({ name, value: String(value) });
+      }
+      return;
+    }
+    for (const [key, child] of Object.entries(node)) {
+      if (key.startsWith('$') && key !== '$value') continue;
+      walk(child, [...path, key], group || groupFor(key));
+    }
+  };
+  walk(root, [], null);
+  return ensureNotEmpty(out);
+}
+
+/** Closest palette color to `hex`: { token, deltaE } or null for an empty palette. */
+export function nearestToken(hex, colors) {
+  let best = null;
+  for (const c of colors) {
+    const d = deltaE(hex, c.hex);
+    if (!best || d < best.deltaE) best = { token: c, deltaE: d };
+  }
+  return best;
+}
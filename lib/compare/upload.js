@@ -0,0 +1,142 @@
+// lib/compare/upload.js
+import formidable, { errors as formidableErrors } from 'formidable';
+import { parseMasks } from '@/lib/compare/masks';
+import { parseTemplateVars } from '@/lib/compare/prompts';
+import { MIN_RASTER_SCALE, MAX_RASTER_SCALE } from '@/lib/compare/rasterize';
+import { normalizeCaptureOptions, parseCaptureTargets } from '@/lib/compare/capture';
+
+// PDF/SVG are design-only (rasterized server-side); AVIF/GIF are converted to PNG for either side
+export const ALLOWED_IMAGE_TYPES = new Set([
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'image/avif',
+  'image/gif',
+  'application/pdf',
+  'image/svg+xml',
+]);
+export const VECTOR_UPLOAD_TYPES = new Set(['application/pdf', 'image/svg+xml']);
+export const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+
+// error code parseForm rejects with when a form carries more files than its maxFiles
+export const TOO_MANY_FILES = formidableErrors.maxFilesExceeded;
+
+export function parseForm(req, { maxFiles = 2, maxTotalFileSize } = {}) {
+  const form = formidable({
+    multiples: true,
+    maxFiles,
+    maxFileSize: MAX_IMAGE_BYTES,
+    ...(maxTotalFileSize ? { maxTotalFileSize } : {}),
+  });
+  return new Promise((resolve, reject) => {
+    form.parse(req, (err, fields, files) => (err ? reject(err) : resolve({ fields, files })));
+  });
+}
+
+// formidable v3 returns every field as an array
+export function fieldValue(fields, key) {
+  const v = fields?.[key];
+  return Array.isArray(v) ? v[0] : v;
+}
+
+// some browsers/OSes send '' or application/octet-stream for AVIF and SVG; trust the extension then
+const EXTENSION_TYPES = {
+  avif: 'image/avif',
+  gif: 'image/gif',
+  pdf: 'application/pdf',
+  svg: 'image/svg+xml',
+};
+
+/** Declared mimetype, or one guessed from the file name when the browser left it generic. */
+export function uploadType(file) {
+  const declared = file?.mimetype || '';
+  if (declared && declared !== 'application/octet-stream') return declared;
+  const ext = String(file?.originalFilename || '').split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[ext] || declared;
+}
+
+export const isVectorUpload = (file) => VECTOR_UPLOAD_TYPES.has(uploadType(file));
+
+/** Every uploaded image with an allowed type, in upload order (any field name). */
+export function collectImages(files) {
+  const flat = [];
+  for (const key of Object.keys(files || {})) {
+    const arr = Array.isArray(files[key]) ? files[key] : [files[key]];
+    for (const f of arr) if (f && ALLOWED_IMAGE_TYPES.has(uploadType(f))) flat.push(f);
+  }
+  return flat;
+}
+
+// support both: image1/image2 OR images[] etc.
+export function pickTwoImages(files) {
+  return collectImages(files).slice(0, 2);
+}
+
+// HTTP status for errors thrown while reading/resolving compare options
+export const OPTION_ERROR_STATUS = {
+  INVALID_MASKS: 400,
+  INVALID_TEMPLATE: 400,
+  TEMPLATE_NOT_FOUND: 404,
+  INVALID_TOKENS: 400,
+  PROJECT_NOT_FOUND: 404,
+  INVALID_PAGE: 400,
+  INVALID_CAPTURE: 400,
+  INVALID_SCREEN: 400,
+  BASELINE_NOT_FOUND: 404,
+  STORAGE_ERROR: 502,
+  MISSING_SUPABASE_ENVS: 500,
+};
+
+/** 1-based PDF page and vector render scale, clamped (PDF/SVG designs only). */
+export function readRasterOptions(page, scale) {
+  return {
+    page: Math.max(1, Math.floor(Number(page)) || 1),
+    scale: Math.min(MAX_RASTER_SCALE, Math.max(MIN_RASTER_SCALE, Number(scale) || 1)),
+  };
+}
+
+/** Build-from-URL settings (buildUrl + capture* fields), or null when the build is an upload. */
+export function readCaptureOptions(fields) {
+  const url = fieldValue(fields, 'buildUrl');
+  if (!url) return null;
+  return normalizeCaptureOptions({
+    url,
+    width: fieldValue(fields, 'captureWidth'),
+    height: fieldValue(fields, 'captureHeight'),
+    dpr: fieldValue(fields, 'captureDpr'),
+    waitUntil: fieldValue(fields, 'captureWait') || undefined,
+    fullPage: fieldValue(fields, 'captureFullPage'),
+    waitForSelector: fieldValue(fields, 'captureSelector'),
+    delayMs: fieldValue(fields, 'captureDelay'),
+  });
+}
+
+/**
+ * Pipeline options from the multipart fields (see runComparison).
+ * Throws Error with .code = 'INVALID_MASKS' | 'INVALID_CAPTURE' when a field is malformed.
+ */
+export function readCompareOptions(fields) {
+  const raster = readRasterOptions(fieldValue(fields, 'designPage'), fieldValue(fields, 'designScale'));
+  return {
+    normalize: fieldValue(fields, 'normalize') !== '0',
+    cropTop: Number(fieldValue(fields, 'cropTop')) || 0,
+    trimScrollbar: fieldValue(fields, 'trimScrollbar') !== '0',
+    masks: parseMasks(fieldValue(fields, 'masks')),
+    ocr: fieldValue(fields, 'ocr') !== '0',
+    a11y: fieldValue(fields, 'a11y') !== '0',
+    // CSS px scale of an uploaded build (captures use their own DPR); sizes text and touch targets
+    buildDpr: Math.min(4, Math.max(1, Number(fieldValue(fields, 'buildDpr')) || 1)),
+    // touch targets of a build screenshot taken with /api/capture and uploaded here (null for other uploads)
+    buildTargets: parseCaptureTargets(fieldValue(fields, 'buildTargets')),
+    templateId: fieldValue(fields, 'templateId') || null,
+    templateVars: parseTemplateVars(fieldValue(fields, 'templateVars')),
+    projectId: fieldValue(fields, 'projectId') || null,
+    designPage: raster.page,
+    designScale: raster.scale,
+    capture: readCaptureOptions(fields),
+    // compare against this screen's approved baseline (in projectId) instead of an uploaded design
+    baselineScreen: fieldValue(fields, 'baselineScreen') || null,
+    // skip the result cache and run (and bill) a fresh comparison
+    force: fieldValue(fields, 'force') === '1',
+  };
+}
@@ -0,0 +1,89 @@
+// lib/compare/verify.js
+
+// Vision models sometimes report misalignments in areas that are pixel-identical. Every AI issue is
+// checked against the local evidence: the pixel diff's changed regions and the OCR text changes.
+// Boxes are fractions of the (normalized) design, which the build is aligned to, so one set of
+// regions serves both designBox and buildBox. OCR text changes count on both sides too: a line the build
+// added ('extra') only has a build box, and a moved line has two. Issues from local checks (source 'tokens' / 'a11y')
+// are evidence themselves and are not checked.
+
+// AI boxes are rough; look a little around them before calling a claim unsupported
+const BOX_PADDING = 0.02;
+// share of a box's pixels that must have changed for full confidence
+const FULL_SUPPORT_SHARE = 0.05;
+// below this an issue is an "AI-only" finding: hidden by default and left out of the match score
+export const MIN_CONFIDENCE = 0.1;
+
+const area = (b) => b.width * b.height;
+
+function intersect(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+function pad(box) {
+  const x = Math.max(0, box.x - BOX_PADDING);
+  const y = Math.max(0, box.y - BOX_PADDING);
+  return {
+    x,
+    y,
+    width: Math.min(1, box.x + box.width + BOX_PADDING) - x,
+    height: Math.min(1, box.y + box.height + BOX_PADDING) - y,
+  };
+}
+
+/** Changed regions as 0..1 boxes with their changed-pixel density. */
+function regionBoxes(diff) {
+  if (!diff?.width || !diff?.height) return [];
+  return (diff.regions || []).map((r) => ({
+    x: r.x / diff.width,
+    y: r.y / diff.height,
+    width: r.width / diff.width,
+    height: r.height / diff.height,
+    density: r.pixels / Math.max(1, r.width * r.height),
+  }));
+}
+
+/** Support for one box: 1 when OCR saw a text change there, else the changed-pixel share scaled to 0..1. */
+function boxSupport(box, regions, textBoxes) {
+  const padded = pad(box);
+  if (textBoxes.some((t) => intersect(padded, t) > 0)) return { score: 1, evidence: 'text' };
+  // regions never overlap (connected components), so their changed pixels add up
+  const changed = regions.reduce((sum, r) => sum + r.density * intersect(padded, r), 0);
+  const share = changed / area(padded);
+  return { score: Math.min(1, share / FULL_SUPPORT_SHARE), evidence: share > 0 ? 'pixels' : 'none' };
+}
+
+/**
+ * Give every AI issue a confidence from the pixel evidence and mark unsupported ones.
+ * @param {Array} issues  report issues; boxes on the normalized design/build
+ * @param {{ diff: object, textDiff?: object|null }} evidence  computePixelDiff() and computeTextDiff() output
+ * @returns {{ issues: Array, verification: { checked, supported, filtered, unlocated, minConfidence } }}
+ *   checked issues get confidence (0..1, null when they have no box), evidence ('text' | 'pixels' | 'none' | 'unlocated')
+ *   and aiOnly (confidence below MIN_CONFIDENCE); issues without a box cannot be checked and stay visible
+ */
+export function verifyIssues(issues, { diff, textDiff = null }) {
+  const regions = regionBoxes(diff);
+  const textBoxes = (textDiff?.changes || []).flatMap((c) => [c.designBox, c.buildBox]).filter(Boolean);
+  const counts = { checked: 0, supported: 0, filtered: 0, unlocated: 0 };
+
+  const verified = issues.map((it) => {
+    if (it.source) return it;
+    counts.checked++;
+    const boxes = [it.designBox, it.buildBox].filter(Boolean);
+    if (!boxes.length) {
+      counts.unlocated++;
+      return { ...it, confidence: null, evidence: 'unlocated', aiOnly: false };
+    }
+    const best = boxes
+      .map((b) => boxSupport(b, regions, textBoxes))
+      .reduce((a, b) => (b.score > a.score ? b : a));
+    const aiOnly = best.score < MIN_CONFIDENCE;
+    if (aiOnly) counts.filtered++;
+    else counts.supported++;
+    return { ...it, confidence: Number(best.score.toFixed(2)), evidence: best.evidence, aiOnly };
+  });
+
+  return { issues: verified, verification: { ...counts, minConfidence: MIN_CONFIDENCE } };
+}
@@ -0,0 +1,53 @@
+// lib/compare/verify.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyIssues } from './verify.js';
+import { boxToSourceBuild, textDiffToSourceBuild } from './normalize.js';
+
+// a pixel-identical pair: only OCR can back an issue
+const diff = { width: 1000, height: 1000, regions: [] };
+const box = { x: 0.4, y: 0.4, width: 0.1, height: 0.05 };
+
+test('text the build added counts as evidence for an issue on the build', () => {
+  const textDiff = { changes: [{ type: 'extra', buildText: 'Sign up free', buildBox: box }] };
+  const { issues } = verifyIssues([{ title: 'Extra label', buildBox: box }], { diff, textDiff });
+  assert.equal(issues[0].evidence, 'text');
+  assert.equal(issues[0].aiOnly, false);
+});
+
+test('a changed line is found on either side', () => {
+  const moved = { x: 0.4, y: 0.8, width: 0.1, height: 0.05 };
+  const textDiff = { changes: [{ type: 'changed', designText: 'Buy', buildText: 'Buy now', designBox: box, buildBox: moved }] };
+  const { issues } = verifyIssues([{ title: 'Label moved', buildBox: moved }], { diff, textDiff });
+  assert.equal(issues[0].evidence, 'text');
+});
+
+test('an issue with no text change or changed pixels nearby is AI-only', () => {
+  const textDiff = { changes: [{ type: 'extra', buildText: 'Footer', buildBox: { x: 0, y: 0.95, width: 0.2, height: 0.03 } }] };
+  const { issues, verification } = verifyIssues([{ title: 'Misaligned', buildBox: box }], { diff, textDiff });
+  assert.equal(issues[0].evidence, 'none');
+  assert.equal(issues[0].aiOnly, true);
+  assert.equal(verification.filtered, 1);
+});
+
+test('build-side text evidence is checked on the normalized pair, then mapped to the upload', () => {
+  // a 2x capture with 1200px cropped off the top and a 100px registration offset
+  const transform = {
+    designSize: { width: 1000, height: 1000 },
+    buildSize: { width: 2000, height: 3000 },
+    scale: 0.5,
+    crop: { top: 1200, right: 0 },
+    offset: { x: 100, y: 0 },
+  };
+  const textDiff = { changes: [{ type: 'extra', buildText: 'Sign up free', buildBox: box }] };
+  const issue = { title: 'Extra label', buildBox: box };
+
+  assert.equal(verifyIssues([issue], { diff, textDiff }).issues[0].evidence, 'text');
+
+  const mapped = textDiffToSourceBuild(textDiff, transform);
+  assert.deepEqual(mapped.changes[0].buildBox, boxToSourceBuild(box, transform));
+  assert.notDeepEqual(mapped.changes[0].buildBox, box);
+  // the same evidence in upload coordinates no longer lines up with the (normalized) issue box
+  assert.equal(verifyIssues([issue], { diff, textDiff: mapped }).issues[0].evidence, 'none');
+  assert.deepEqual(textDiff.changes[0].buildBox, box, 'the normalized text diff is left as it was');
+});
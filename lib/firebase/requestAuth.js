@@ -0,0 +1,36 @@
+// lib/firebase/requestAuth.js
+import { authAdmin } from "@/lib/firebase/firebaseAdmin";
+
+const isEmu = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+/**
+ * Resolve the caller's uid from `Authorization: Bearer <idToken>`.
+ * `allowQueryToken` also accepts ?token= (EventSource cannot send headers).
+ * Emulator mode skips verification and returns "dev-user", same as /api/compare.
+ * Returns { uid } or { status, error } for the caller to send.
+ */
+export async function uidFromRequest(req, { allowQueryToken = false } = {}) {
+  if (isEmu) return { uid: "dev-user" };
+
+  const authHeader = req.headers.authorization || "";
+  let idToken = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : "";
+  if (!idToken && allowQueryToken) idToken = String(req.query?.token || "");
+  if (!idToken) return { status: 401, error: "Unauthorized. Token missing." };
+
+  try {
+    const decoded = await authAdmin.verifyIdToken(idToken, true);
+    return { uid: decoded.uid };
+  } catch {
+    return { status: 401, error: "Invalid or expired token" };
+  }
+}
+
+/**
+ * Operators allowed to read cross-user data (AI spend): uids in ADMIN_UIDS (comma separated).
+ * Everyone is an operator in emulator mode.
+ */
+export function isAdminUid(uid) {
+  if (isEmu) return true;
+  const admins = (process.env.ADMIN_UIDS || "").split(",").map((s) => s.trim()).filter(Boolean);
+  return !!uid && admins.includes(uid);
+}
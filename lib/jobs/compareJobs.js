@@ -0,0 +1,258 @@
+// lib/jobs/compareJobs.js
+import { EventEmitter } from 'events';
+import { db, FieldValue } from '@/lib/firebase/firebaseAdminDb';
+import { releaseQuota } from '@/lib/billing/quota';
+
+// Comparison jobs live in Firestore (compareJobs/{jobId}) so status survives reloads and instances.
+// Progress is also pushed through an in-process emitter so SSE clients on this instance
+// see partial reports without waiting for the next Firestore poll.
+// Jobs run inside the request that queued them, so a restart or crash leaves them unfinished: the
+// runner writes a heartbeat, and getJob() fails a job whose heartbeat stopped (or that ran too long)
+// as JOB_STALE and hands its quota reservation back.
+
+export const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+});
+
+export const TERMINAL_STATUSES = new Set([JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED]);
+
+// Firestore caps documents at 1 MiB; leave room for the rest of the job fields.
+const MAX_RESULT_BYTES = 900 * 1024;
+// Partial reports are written at most this often (the emitter gets every update).
+const PARTIAL_WRITE_INTERVAL_MS = 1500;
+// AI attempts kept on a job (retries of a struggling provider should not grow it without bound)
+const MAX_ATTEMPTS_RECORDED = 50;
+const HEARTBEAT_MS = 30 * 1000;
+// a queued/running job with no heartbeat for this long has lost its runner
+const STALE_AFTER_MS = 3 * 60 * 1000;
+// longest a job may run (a 30-pair batch with retries fits well inside)
+const MAX_RUNTIME_MS = 45 * 60 * 1000;
+
+// survive dev hot-reloads
+const bus = globalThis.__ppJobBus || (globalThis.__ppJobBus = new EventEmitter());
+bus.setMaxListeners(0);
+
+const jobsCol = () => db.collection('compareJobs');
+
+/**
+ * Queue a job. `reservation` (reserveQuota()) is handed back if the job goes stale; null in the emulator.
+ * @returns {Promise<string>} job id
+ */
+export async function createJob({ uid, kind = 'compare', input = {}, reservation = null }) {
+  const ref = jobsCol().doc();
+  await ref.set({
+    uid,
+    kind,
+    input,
+    reservationId: reservation?.id || null,
+    status: JOB_STATUS.QUEUED,
+    progress: { stage: 'queued', pct: 0 },
+    partial: null,
+    result: null,
+    error: null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  return ref.id;
+}
+
+const millis = (v) => (v?.toMillis ? v.toMillis() : Number(v) || 0);
+
+/** Whether a queued/running job has lost its runner (no heartbeat) or has run past MAX_RUNTIME_MS. */
+export function isStaleJob(job, now = Date.now()) {
+  if (!job || TERMINAL_STATUSES.has(job.status)) return false;
+  const started = millis(job.startedAt) || millis(job.createdAt);
+  const lastBeat = Math.max(millis(job.heartbeatAt), millis(job.updatedAt), started);
+  if (!lastBeat) return false;
+  return now - lastBeat > STALE_AFTER_MS || (started > 0 && now - started > MAX_RUNTIME_MS);
+}
+
+/** Write a terminal state unless the job already has one. Resolves to whether it was written. */
+function settleJob(jobId, patch) {
+  const ref = jobsCol().doc(jobId);
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists || TERMINAL_STATUSES.has(snap.get('status'))) return false;
+    t.set(ref, { ...patch, updatedAt: FieldValue.serverTimestamp(), finishedAt: FieldValue.serverTimestamp() }, { merge: true });
+    return true;
+  });
+}
+
+async function failStaleJob(job) {
+  const patch = {
+    status: JOB_STATUS.FAILED,
+    progress: { stage: 'failed', pct: 100 },
+    error: {
+      code: 'JOB_STALE',
+      message: 'The comparison stopped before it finished (the server restarted). Please run it again.',
+      detail: null,
+    },
+  };
+  if (await settleJob(job.id, patch)) {
+    bus.emit(job.id, patch);
+    if (job.reservationId) await releaseQuota({ uid: job.uid, id: job.reservationId }, 'job stopped (server restart)');
+    return { ...job, ...patch };
+  }
+  const snap = await jobsCol().doc(job.id).get();
+  return { id: snap.id, ...snap.data() };
+}
+
+/**
+ * Read a job; returns null when missing or owned by someone else.
+ * A job that lost its runner is failed as JOB_STALE here (see isStaleJob).
+ */
+export async function getJob(jobId, uid) {
+  const snap = await jobsCol().doc(String(jobId)).get();
+  if (!snap.exists) return null;
+  const data = snap.data();
+  if (uid && data.uid !== uid) return null;
+  const job = { id: snap.id, ...data };
+  return isStaleJob(job) ? failStaleJob(job) : job;
+}
+
+/** Public view of a job (what the status endpoint and SSE stream send). */
+export function serializeJob(job) {
+  if (!job) return null;
+  const ts = (v) => (v?.toMillis ? v.toMillis() : v ?? null);
+  return {
+    id: job.id,
+    kind: job.kind,
+    input: job.input || null,
+    status: job.status,
+    progress: job.progress || null,
+    partial: job.partial || null,
+    result: job.result || null,
+    error: job.error || null,
+    attempts: job.attempts || [],
+    createdAt: ts(job.createdAt),
+    updatedAt: ts(job.updatedAt),
+  };
+}
+
+async function updateJob(jobId, patch) {
+  bus.emit(jobId, patch);
+  await jobsCol()
+    .doc(jobId)
+    .set({ ...patch, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+}
+
+/**
+ * Append one AI provider attempt to a job's `attempts` (also used for follow-up questions on a finished job).
+ * Best effort: a failed write is logged.
+ */
+export async function recordJobAttempt(jobId, attempt) {
+  const entry = { at: Date.now(), ...attempt };
+  await jobsCol()
+    .doc(String(jobId))
+    .set({ attempts: FieldValue.arrayUnion(entry), updatedAt: FieldValue.serverTimestamp() }, { merge: true })
+    .catch((err) => console.warn('[jobs] attempt write failed:', err?.message));
+  return entry;
+}
+
+/** Listen for in-process updates of one job. Returns an unsubscribe function. */
+export function onJobUpdate(jobId, listener) {
+  bus.on(jobId, listener);
+  return () => bus.off(jobId, listener);
+}
+
+// per-screen detail dropped from batch/breakpoint rows when the whole run does not fit (summary, score,
+// issues and markdown stay)
+const ROW_DETAIL_FIELDS = ['textDiff', 'accessibility', 'palette', 'normalization', 'sources', 'masks', 'tiling', 'targets'];
+
+const fits = (value) => Buffer.byteLength(JSON.stringify(value)) <= MAX_RESULT_BYTES;
+
+/** Drop fields that would push the stored result past the Firestore document limit. */
+function fitResult(result) {
+  if (fits(result)) return result;
+  const slim = { ...result };
+  if (slim.diff) slim.diff = { ...slim.diff, heatmap: null, heatmapOmitted: true };
+  const rowsKey = ['screens', 'breakpoints'].find((k) => Array.isArray(slim[k]));
+  if (!rowsKey || fits(slim)) return slim;
+  slim[rowsKey] = slim[rowsKey].map((row) => {
+    const lean = { ...row, detailOmitted: true };
+    for (const f of ROW_DETAIL_FIELDS) delete lean[f];
+    if (lean.diff) {
+      lean.diff = { ...lean.diff, heatmap: null };
+      delete lean.diff.regions;
+    }
+    return lean;
+  });
+  return slim;
+}
+
+/**
+ * Run `work(report, { addAttempt })` as job `jobId`, recording status transitions.
+ * `report({ stage, pct, partial })` updates progress; partial reports are throttled for Firestore.
+ * `addAttempt(attempt)` appends one AI provider attempt (lib/ai/resilience.js onAttempt) to `attempts`.
+ * Never throws: failures are stored on the job as { code, message, detail }.
+ * Resolves to the terminal status (JOB_STATUS.SUCCEEDED or JOB_STATUS.FAILED).
+ */
+export async function runJob(jobId, work) {
+  let lastPartialWrite = 0;
+  const report = async ({ stage, pct, partial }) => {
+    const patch = { progress: { stage, pct } };
+    if (partial !== undefined) {
+      const now = Date.now();
+      if (now - lastPartialWrite < PARTIAL_WRITE_INTERVAL_MS) {
+        bus.emit(jobId, { ...patch, partial });
+        return;
+      }
+      lastPartialWrite = now;
+      patch.partial = partial;
+    }
+    await updateJob(jobId, patch).catch((err) => console.warn('[jobs] progress write failed:', err?.message));
+  };
+
+  const attempts = [];
+  const addAttempt = async (attempt) => {
+    if (attempts.length >= MAX_ATTEMPTS_RECORDED) return;
+    const entry = { ...attempt, at: Date.now() };
+    attempts.push(entry);
+    bus.emit(jobId, { attempts: [...attempts] });
+    await recordJobAttempt(jobId, entry);
+  };
+
+  // proves the runner is alive to getJob() on any instance (see isStaleJob)
+  const heartbeat = setInterval(() => {
+    jobsCol()
+      .doc(jobId)
+      .set({ heartbeatAt: FieldValue.serverTimestamp() }, { merge: true })
+      .catch((err) => console.warn('[jobs] heartbeat write failed:', err?.message));
+  }, HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  try {
+    await updateJob(jobId, {
+      status: JOB_STATUS.RUNNING,
+      progress: { stage: 'starting', pct: 1 },
+      startedAt: FieldValue.serverTimestamp(),
+      heartbeatAt: FieldValue.serverTimestamp(),
+    });
+    const result = await work(report, { addAttempt });
+    const patch = { status: JOB_STATUS.SUCCEEDED, progress: { stage: 'done', pct: 100 }, result: fitResult(result) };
+    // a job already failed as stale keeps that outcome (its reservation was handed back)
+    if (!(await settleJob(jobId, patch))) return JOB_STATUS.FAILED;
+    // in-process listeners get the full result even when the stored copy was slimmed
+    bus.emit(jobId, { ...patch, result });
+    return JOB_STATUS.SUCCEEDED;
+  } catch (err) {
+    console.error('[jobs] job failed:', jobId, err?.message || err);
+    const patch = {
+      status: JOB_STATUS.FAILED,
+      progress: { stage: 'failed', pct: 100 },
+      error: {
+        code: err?.code || 'SERVER_ERROR',
+        message: err?.message || 'Comparison failed',
+        detail: err?.detail || null,
+      },
+    };
+    bus.emit(jobId, patch);
+    await settleJob(jobId, patch).catch((e) => console.error('[jobs] could not record failure:', e?.message));
+    return JOB_STATUS.FAILED;
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
@@ -0,0 +1,37 @@
+// lib/jobs/compareJobs.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// the job store pulls in the Stripe client (quota release), which refuses to load without a key
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unit';
+const { isStaleJob, JOB_STATUS } = await import('./compareJobs.js');
+
+const MIN = 60 * 1000;
+const now = Date.parse('2026-01-01T12:00:00Z');
+const ts = (msAgo) => ({ toMillis: () => now - msAgo });
+
+test('a running job with a recent heartbeat is not stale', () => {
+  const job = { status: JOB_STATUS.RUNNING, createdAt: ts(10 * MIN), startedAt: ts(10 * MIN), heartbeatAt: ts(20 * 1000) };
+  assert.equal(isStaleJob(job, now), false);
+});
+
+test('a job whose heartbeat stopped is stale', () => {
+  const job = { status: JOB_STATUS.RUNNING, createdAt: ts(10 * MIN), startedAt: ts(10 * MIN), heartbeatAt: ts(5 * MIN) };
+  assert.equal(isStaleJob(job, now), true);
+});
+
+test('a job that never started is stale once its queue time has passed', () => {
+  assert.equal(isStaleJob({ status: JOB_STATUS.QUEUED, createdAt: ts(1 * MIN) }, now), false);
+  assert.equal(isStaleJob({ status: JOB_STATUS.QUEUED, createdAt: ts(10 * MIN) }, now), true);
+});
+
+test('a job past the maximum runtime is stale even with a heartbeat', () => {
+  const job = { status: JOB_STATUS.RUNNING, createdAt: ts(60 * MIN), startedAt: ts(60 * MIN), heartbeatAt: ts(10 * 1000) };
+  assert.equal(isStaleJob(job, now), true);
+});
+
+test('finished jobs are never stale', () => {
+  for (const status of [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED]) {
+    assert.equal(isStaleJob({ status, createdAt: ts(24 * 60 * MIN) }, now), false);
+  }
+});
@@ -31,8 +31,18 @@ export function getSupabaseAdmin() {
   return { supabaseAdmin: _admin, AVATAR_BUCKET: _bucket };
 }
 
-/** Ensure bucket exists; create it (private) if missing. */
-export async function ensureBucket(name) {
+/** Private bucket for approved/candidate baseline screenshots (see lib/compare/baselines.js). */
+export function baselineBucket() {
+  return (process.env.SUPABASE_BASELINE_BUCKET || 'baselines').trim();
+}
+
+/** Private bucket for the images behind finished comparisons (follow-up questions, see lib/compare/followups.js). */
+export function comparisonBucket() {
+  return (process.env.SUPABASE_COMPARISON_BUCKET || 'comparisons').trim();
+}
+
+/** Ensure bucket exists; create it (private) if missing. Defaults suit avatars. */
+export async function ensureBucket(name, { fileSizeLimit = '10MB', allowedMimeTypes } = {}) {
   const { supabaseAdmin } = getSupabaseAdmin();
   const bucket = name || _bucket;
 
@@ -42,8 +52,8 @@ export async function ensureBucket(name) {
   if (!data) {
     const { error: cErr } = await supabaseAdmin.storage.createBucket(bucket, {
       public: false,
-      fileSizeLimit: '10MB',
-      allowedMimeTypes: ['image/jpeg','image/png','image/webp'],
+      fileSizeLimit,
+      allowedMimeTypes: allowedMimeTypes || ['image/jpeg','image/png','image/webp'],
     });
     if (cErr && !/already exists/i.test(cErr.message)) throw cErr;
   }
@@ -0,0 +1,32 @@
+// pages/api/baselines/decide.js
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { decideBaseline } from "@/lib/compare/baselines";
+
+const DECIDE_ERROR_STATUS = { BASELINE_NOT_FOUND: 404, INVALID_DECISION: 400 };
+
+// Accept (or restore) / reject a baseline version.
+// Body: { projectId, screenId, version, decision: "accept" | "reject" }
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method Not Allowed" });
+
+  try {
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+
+    const { projectId, screenId, version, decision } = req.body || {};
+    if (!projectId || !screenId || !Number.isInteger(Number(version))) {
+      return res.status(400).json({ error: "projectId, screenId and version are required" });
+    }
+
+    try {
+      const baseline = await decideBaseline(auth.uid, { projectId, screenId, version: Number(version), decision });
+      return res.status(200).json({ ok: true, baseline });
+    } catch (err) {
+      const status = DECIDE_ERROR_STATUS[err?.code];
+      if (!status) throw err;
+      return res.status(status).json({ error: err.message, error_code: err.code });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+}
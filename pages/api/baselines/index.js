@@ -0,0 +1,61 @@
+// pages/api/baselines/index.js
+export const config = { api: { bodyParser: false } };
+export const runtime = "nodejs";
+
+import fs from "fs/promises";
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { parseForm, collectImages, fieldValue, uploadType } from "@/lib/compare/upload";
+import { rasterizeInput } from "@/lib/compare/rasterize";
+import { addBaselineVersion, listBaselines, BASELINE_STATUS } from "@/lib/compare/baselines";
+
+const BASELINE_ERROR_STATUS = {
+  INVALID_SCREEN: 400,
+  INVALID_IMAGE: 400,
+  UNSUPPORTED_TYPE: 415,
+  PROJECT_NOT_FOUND: 404,
+  STORAGE_ERROR: 502,
+  MISSING_SUPABASE_ENVS: 500,
+};
+
+// GET  ?projectId=  -> the project's screens with baseline history
+// POST multipart { projectId, screen, image } -> store `image` as the approved baseline of `screen`
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "Method Not Allowed" });
+
+  try {
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+
+    try {
+      if (req.method === "GET") {
+        const projectId = String(req.query.projectId || "");
+        if (!projectId) return res.status(400).json({ error: "projectId is required" });
+        const screens = await listBaselines(auth.uid, projectId);
+        return res.status(200).json({ ok: true, screens });
+      }
+
+      const { fields, files } = await parseForm(req, { maxFiles: 1 });
+      const [file] = collectImages(files);
+      const projectId = fieldValue(fields, "projectId");
+      if (!file || !projectId) {
+        return res.status(400).json({ error: "Send projectId, screen and one image" });
+      }
+      // PDF/SVG designs are not baselines: a baseline is an approved *build* screenshot
+      const png = await rasterizeInput(await fs.readFile(file.filepath), uploadType(file), { allowVector: false });
+      const saved = await addBaselineVersion(auth.uid, {
+        projectId,
+        screen: fieldValue(fields, "screen"),
+        buf: png.buf,
+        status: BASELINE_STATUS.APPROVED,
+        source: { fileName: file.originalFilename || null },
+      });
+      return res.status(201).json({ ok: true, baseline: saved });
+    } catch (err) {
+      const status = BASELINE_ERROR_STATUS[err?.code];
+      if (!status) throw err;
+      return res.status(status).json({ error: err.message, error_code: err.code });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+}
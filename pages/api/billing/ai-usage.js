@@ -0,0 +1,29 @@
+// pages/api/billing/ai-usage.js
+import { uidFromRequest, isAdminUid } from "@/lib/firebase/requestAuth";
+import { aiUsageByDay, aiUsageForUser, topAIUsers } from "@/lib/billing/aiLedger";
+import { todayKey } from "@/lib/billing/limit";
+
+// Operators only (ADMIN_UIDS): estimated AI spend from the aiCalls ledger.
+// GET ?days=7           -> { totals, byPlan, days: [{ day, totals, byPlan }], topUsers } (top users of ?day=, default today)
+// GET ?uid=...&days=30  -> one user's spend per day
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method Not Allowed" });
+
+  try {
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+    if (!isAdminUid(auth.uid)) return res.status(403).json({ error: "Forbidden" });
+
+    const days = parseInt(req.query.days, 10) || undefined;
+    if (req.query.uid) {
+      return res.status(200).json({ ok: true, user: await aiUsageForUser(String(req.query.uid), { days }) });
+    }
+
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.day || "")) ? String(req.query.day) : todayKey();
+    const [usage, topUsers] = await Promise.all([aiUsageByDay({ days }), topAIUsers(day)]);
+    return res.status(200).json({ ok: true, ...usage, topUsers: { day, users: topUsers } });
+  } catch (error) {
+    console.error("[billing/ai-usage] error:", error);
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+}
@@ -0,0 +1,20 @@
+// pages/api/billing/usage.js
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { listQuotaLedger } from "@/lib/billing/quota";
+
+// GET ?limit= -> today's charged/held comparisons and follow-ups, and the latest quota ledger entries
+// (reserved, committed, released or expired), newest first.
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method Not Allowed" });
+
+  try {
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    return res.status(200).json({ ok: true, usage: await listQuotaLedger(auth.uid, { limit }) });
+  } catch (error) {
+    console.error("[billing/usage] error:", error);
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+}
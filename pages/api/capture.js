@@ -0,0 +1,69 @@
+// pages/api/capture.js
+export const runtime = "nodejs";
+
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { captureUrl } from "@/lib/compare/capture";
+import { reserveQuota, commitQuota, releaseQuota } from "@/lib/billing/quota";
+
+const isEmu = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+const CAPTURE_ERROR_STATUS = { INVALID_CAPTURE: 400, CAPTURE_FAILED: 502, CAPTURE_TIMEOUT: 504 };
+
+// Screenshot a build URL for the upload form (preview, masks, overlay). Answers with the PNG itself;
+// capture details ride along in X-Capture-* headers. With Accept: application/json the answer is
+// { ok, image (base64), mimetype, capture, targets } instead: the touch targets from the page's DOM go
+// back with the screenshot to /api/compare (buildTargets). Needs an active plan: each capture uses one unit of
+// the daily capture meter (CAPTURE_DAILY_LIMITS, separate from comparisons), refunded when it fails.
+// Body: { url, width?, height?, dpr?, waitUntil?, fullPage?, waitForSelector?, delayMs? }
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method Not Allowed" });
+
+  let reservation = null;
+  try {
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+
+    if (!isEmu) {
+      try {
+        reservation = await reserveQuota({ uid: auth.uid, reason: "capture", meter: "capture" });
+      } catch (err) {
+        const code = err?.code || "";
+        const msg = err?.message || "Access denied.";
+        if (code === "NO_PLAN")        return res.status(403).json({ error: msg, error_code: "NO_PLAN" });
+        if (code === "LIMIT_EXCEEDED") return res.status(429).json({ error: msg, error_code: "LIMIT_EXCEEDED" });
+        return res.status(403).json({ error: msg });
+      }
+    }
+
+    let shot;
+    try {
+      shot = await captureUrl(req.body || {});
+    } catch (err) {
+      await releaseQuota(reservation, err?.message);
+      reservation = null;
+      const status = CAPTURE_ERROR_STATUS[err?.code];
+      if (!status) throw err;
+      return res.status(status).json({ error: err.message, error_code: err.code, detail: err.detail || null });
+    }
+    await commitQuota(reservation);
+
+    if (/application\/json/i.test(req.headers.accept || "")) {
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json({
+        ok: true,
+        image: shot.buf.toString("base64"),
+        mimetype: shot.mimetype,
+        capture: shot.capture,
+        targets: shot.targets,
+      });
+    }
+    res.setHeader("Content-Type", shot.mimetype);
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("X-Capture-Final-Url", encodeURI(shot.capture.finalUrl));
+    res.setHeader("X-Capture-Viewport", `${shot.capture.width}x${shot.capture.height}@${shot.capture.dpr}`);
+    return res.status(200).send(shot.buf);
+  } catch (error) {
+    await releaseQuota(reservation, "server error");
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+}
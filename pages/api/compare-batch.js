@@ -0,0 +1,248 @@
+// pages/api/compare-batch.js
+export const config = { api: { bodyParser: false } };
+export const runtime = "nodejs";
+
+import fs from "fs/promises";
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { reserveQuota, commitQuota, releaseQuota } from "@/lib/billing/quota";
+import { applyEntitlements } from "@/lib/billing/entitlements";
+import { recordAICall } from "@/lib/billing/aiLedger";
+import {
+  parseForm,
+  fieldValue,
+  collectImages,
+  uploadType,
+  readCompareOptions,
+  OPTION_ERROR_STATUS,
+  TOO_MANY_FILES,
+} from "@/lib/compare/upload";
+import { pairFiles, MAX_BATCH_PAIRS } from "@/lib/compare/pairing";
+import { runComparison } from "@/lib/compare/pipeline";
+import { aiServiceStatus } from "@/lib/ai/provider";
+import { resolveComparePrompt } from "@/lib/compare/templates";
+import { loadProject } from "@/lib/compare/projects";
+import { storeHeatmap } from "@/lib/compare/heatmaps";
+import { createJob, runJob, JOB_STATUS } from "@/lib/jobs/compareJobs";
+
+const isEmu = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+// AI-only findings (no pixel evidence) are not counted
+function severityCounts(issues = []) {
+  const counts = { critical: 0, major: 0, minor: 0 };
+  for (const it of issues) if (!it.aiOnly && counts[it.severity] != null) counts[it.severity]++;
+  return counts;
+}
+
+// what progress updates carry per finished screen (the full rows come with the result)
+const summaryRow = ({ name, designFile, buildFile, status, score, changedPercent, issueCount, severity, error, error_code }) => ({
+  name,
+  designFile,
+  buildFile,
+  status,
+  score: score ?? null,
+  changedPercent: changedPercent ?? null,
+  issueCount: issueCount ?? null,
+  severity: severity ?? null,
+  error: error ?? null,
+  error_code: error_code ?? null,
+});
+
+// Design/build pairs (paired by file name, or explicit `pairs`) compared one after another as a job.
+// Answers 202 { jobId } right away; the batch report is the job's result (progress on /api/jobs/[id]/events,
+// partial.screens lists the screens done so far). Heatmaps are stored, see lib/compare/heatmaps.js.
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method Not Allowed" });
+
+  let reservation = null;
+  try {
+    // ---- 1) Auth (dev bypass in the emulator) ----
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+    const { uid } = auth;
+
+    // ---- 2) Parse files + pair them (before quota: we need the pair count) ----
+    // formidable stops at the file limit while parsing, so an oversized batch surfaces here
+    let form;
+    try {
+      form = await parseForm(req, {
+        maxFiles: MAX_BATCH_PAIRS * 2,
+        maxTotalFileSize: 200 * 1024 * 1024,
+      });
+    } catch (parseErr) {
+      if (parseErr?.code !== TOO_MANY_FILES) throw parseErr;
+      return res.status(400).json({
+        error: `A batch can hold at most ${MAX_BATCH_PAIRS} pairs (${MAX_BATCH_PAIRS * 2} files).`,
+        error_code: "TOO_MANY_PAIRS",
+      });
+    }
+    const { fields, files } = form;
+    const images = collectImages(files);
+
+    let explicit = null;
+    const rawPairs = fieldValue(fields, "pairs");
+    if (rawPairs) {
+      try {
+        explicit = JSON.parse(rawPairs);
+      } catch {
+        return res.status(400).json({ error: "pairs must be a JSON array", error_code: "INVALID_PAIRS" });
+      }
+    }
+
+    const { pairs, unmatched } = pairFiles(images.map((f) => f.originalFilename || ""), explicit);
+    if (!pairs.length) {
+      return res.status(400).json({
+        error: "No design/build pairs found. Name files like home.design.png / home.build.png.",
+        error_code: "NO_PAIRS",
+        unmatched,
+      });
+    }
+    if (pairs.length > MAX_BATCH_PAIRS) {
+      return res.status(400).json({
+        error: `A batch can hold at most ${MAX_BATCH_PAIRS} pairs (got ${pairs.length}).`,
+        error_code: "TOO_MANY_PAIRS",
+      });
+    }
+
+    let options;
+    try {
+      options = readCompareOptions(fields);
+      options.prompt = await resolveComparePrompt(uid, options);
+      if (options.projectId) options.project = await loadProject(uid, options.projectId);
+    } catch (optErr) {
+      const status = OPTION_ERROR_STATUS[optErr?.code];
+      if (!status) throw optErr;
+      return res.status(status).json({ error: optErr.message, error_code: optErr.code });
+    }
+
+    // every comparison would fail while the AI provider is down (circuit open)
+    const ai = aiServiceStatus();
+    if (ai.degraded) {
+      res.setHeader("Retry-After", String(Math.ceil(ai.retryAfterMs / 1000)));
+      return res.status(503).json({
+        error: "The AI service is degraded right now. Please try again shortly.",
+        error_code: "AI_DEGRADED",
+        retryAfter: Math.ceil(ai.retryAfterMs / 1000),
+      });
+    }
+
+    // ---- 3) Quota: reserve one unit per pair, all-or-nothing; only successful ones are charged (skip in emulator) ----
+    if (!isEmu) {
+      try {
+        reservation = await reserveQuota({ uid, units: pairs.length, reason: "batch" });
+      } catch (err) {
+        const code = err?.code || "";
+        const msg = err?.message || "Access denied.";
+        if (code === "NO_PLAN") return res.status(403).json({ error: msg, error_code: "NO_PLAN" });
+        if (code === "LIMIT_EXCEEDED") {
+          return res.status(429).json({
+            error: msg,
+            error_code: "LIMIT_EXCEEDED",
+            requested: pairs.length,
+            remaining: err.remaining ?? null,
+          });
+        }
+        return res.status(403).json({ error: msg });
+      }
+    }
+
+    // ---- 4) Plan entitlements apply to every comparison in the run (every feature in the emulator) ----
+    const plan = applyEntitlements(options, isEmu ? "elite" : reservation.plan);
+    options = plan.options;
+
+    // ---- 5) Queue the batch and answer right away; progress streams from /api/jobs/[id]/events ----
+    const jobId = await createJob({
+      uid,
+      kind: "batch",
+      reservation,
+      input: {
+        pairs: pairs.map((p) => ({
+          name: p.name,
+          designFile: images[p.design].originalFilename || null,
+          buildFile: images[p.build].originalFilename || null,
+        })),
+        unmatched,
+        templateId: options.prompt.template.id,
+        projectId: options.projectId,
+        plan: plan.entitlements.plan,
+      },
+    });
+    res.status(202).json({ ok: true, jobId, status: JOB_STATUS.QUEUED, total: pairs.length });
+
+    // ---- 6) One comparison per pair (sequential: keeps memory and AI rate limits in check) ----
+    // AI spend is logged per call and every AI attempt is recorded on the job.
+    let succeeded = 0;
+    const status = await runJob(jobId, async (report, { addAttempt }) => {
+      const screens = [];
+      const span = 98 / pairs.length;
+      for (let i = 0; i < pairs.length; i++) {
+        const pair = pairs[i];
+        const design = images[pair.design];
+        const build = images[pair.build];
+        const screen = {
+          name: pair.name,
+          designFile: design.originalFilename,
+          buildFile: build.originalFilename,
+        };
+        const base = 1 + i * span;
+        await report({
+          stage: "comparing",
+          pct: Math.round(base),
+          partial: { done: i, total: pairs.length, current: pair.name, screens: screens.map(summaryRow) },
+        });
+        try {
+          const [buf1, buf2] = await Promise.all([fs.readFile(design.filepath), fs.readFile(build.filepath)]);
+          const out = await runComparison(
+            { buf: buf1, mimetype: uploadType(design) },
+            { buf: buf2, mimetype: uploadType(build) },
+            {
+              ...options,
+              // the comparison's own stages fill this pair's share of the bar
+              onProgress: ({ stage, pct }) => report({ stage, pct: Math.round(base + (pct * span) / 100) }),
+              onAIAttempt: (attempt) => addAttempt({ item: i, screen: pair.name, ...attempt }),
+              onAICall: (call) => recordAICall({ uid, plan: reservation?.plan || null, jobId, kind: "batch" }, call),
+            }
+          );
+          out.diff = await storeHeatmap(uid, jobId, i, out.diff);
+          screens.push({
+            ...screen,
+            status: "succeeded",
+            changedPercent: out.diff.changedPercent,
+            issueCount: out.report.issues.filter((it) => !it.aiOnly).length,
+            severity: severityCounts(out.report.issues),
+            ...out,
+          });
+        } catch (err) {
+          screens.push({
+            ...screen,
+            status: "failed",
+            error: err?.message || "Comparison failed",
+            error_code: err?.code || null,
+          });
+        }
+      }
+
+      succeeded = screens.filter((s) => s.status === "succeeded").length;
+      return {
+        total: screens.length,
+        succeeded,
+        failed: screens.length - succeeded,
+        quotaUsed: isEmu ? 0 : succeeded,
+        unmatched,
+        screens,
+        entitlements: plan.entitlements,
+      };
+    });
+    // only pairs that completed are charged
+    if (status === JOB_STATUS.SUCCEEDED) await commitQuota(reservation, { units: succeeded, jobId });
+    else await releaseQuota(reservation, "batch failed");
+  } catch (error) {
+    await releaseQuota(reservation, "server error");
+    if (res.headersSent) return console.error("[compare-batch] error after response:", error);
+    const msg = error?.message || "Unknown error";
+    const isQuota = /quota|resource-exhausted/i.test(msg);
+    return res.status(isQuota ? 429 : 500).json({
+      error: isQuota ? "Quota exceeded" : "Server error",
+      detail: msg,
+    });
+  }
+}
@@ -0,0 +1,225 @@
+// pages/api/compare-breakpoints.js
+export const config = { api: { bodyParser: false } };
+export const runtime = "nodejs";
+
+import fs from "fs/promises";
+import sharp from "sharp";
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { reserveQuota, commitQuota, releaseQuota } from "@/lib/billing/quota";
+import { applyEntitlements } from "@/lib/billing/entitlements";
+import { recordAICall } from "@/lib/billing/aiLedger";
+import {
+  parseForm,
+  fieldValue,
+  collectImages,
+  uploadType,
+  readCompareOptions,
+  OPTION_ERROR_STATUS,
+} from "@/lib/compare/upload";
+import { parseBreakpoints, breakpointVerdict, MAX_BREAKPOINTS } from "@/lib/compare/breakpoints";
+import { rasterizeInput } from "@/lib/compare/rasterize";
+import { captureUrl } from "@/lib/compare/capture";
+import { runComparison } from "@/lib/compare/pipeline";
+import { aiServiceStatus } from "@/lib/ai/provider";
+import { resolveComparePrompt } from "@/lib/compare/templates";
+import { loadProject } from "@/lib/compare/projects";
+import { storeHeatmap } from "@/lib/compare/heatmaps";
+import { createJob, runJob, JOB_STATUS } from "@/lib/jobs/compareJobs";
+
+const isEmu = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+// AI-only findings (no pixel evidence) are not counted
+function severityCounts(issues = []) {
+  const counts = { critical: 0, major: 0, minor: 0 };
+  for (const it of issues) if (!it.aiOnly && counts[it.severity] != null) counts[it.severity]++;
+  return counts;
+}
+
+// what progress updates carry per finished breakpoint (the full rows come with the result)
+const summaryRow = ({ name, width, status, pass, reason, score, changedPercent, issueCount, severity, error, error_code }) => ({
+  name,
+  width,
+  status,
+  pass,
+  reason: reason ?? null,
+  score: score ?? null,
+  changedPercent: changedPercent ?? null,
+  issueCount: issueCount ?? null,
+  severity: severity ?? null,
+  error: error ?? null,
+  error_code: error_code ?? null,
+});
+
+// One design frame per breakpoint + one build URL: capture the build at each width and compare.
+// Fields: images (design frames, in breakpoint order), breakpoints = JSON [{ name, width }],
+// buildUrl + capture* (see readCaptureOptions; captureWidth is ignored), plus the usual compare options.
+// Answers 202 { jobId } right away; the matrix is the job's result (progress on /api/jobs/[id]/events,
+// partial.breakpoints lists the breakpoints done so far). Heatmaps are stored, see lib/compare/heatmaps.js.
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method Not Allowed" });
+
+  let reservation = null;
+  try {
+    // ---- 1) Auth (dev bypass in the emulator) ----
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+    const { uid } = auth;
+
+    // ---- 2) Parse frames, breakpoints and options (before quota: we need the breakpoint count) ----
+    const { fields, files } = await parseForm(req, {
+      maxFiles: MAX_BREAKPOINTS,
+      maxTotalFileSize: MAX_BREAKPOINTS * 15 * 1024 * 1024,
+    });
+    const frames = collectImages(files);
+
+    let breakpoints;
+    let options;
+    try {
+      breakpoints = parseBreakpoints(fieldValue(fields, "breakpoints"), frames.length);
+      options = readCompareOptions(fields);
+      if (!options.capture) {
+        return res.status(400).json({ error: "A build URL is required", error_code: "INVALID_CAPTURE" });
+      }
+      options.prompt = await resolveComparePrompt(uid, options);
+      if (options.projectId) options.project = await loadProject(uid, options.projectId);
+    } catch (optErr) {
+      const status = optErr?.code === "INVALID_BREAKPOINTS" ? 400 : OPTION_ERROR_STATUS[optErr?.code];
+      if (!status) throw optErr;
+      return res.status(status).json({ error: optErr.message, error_code: optErr.code });
+    }
+
+    // every comparison would fail while the AI provider is down (circuit open)
+    const ai = aiServiceStatus();
+    if (ai.degraded) {
+      res.setHeader("Retry-After", String(Math.ceil(ai.retryAfterMs / 1000)));
+      return res.status(503).json({
+        error: "The AI service is degraded right now. Please try again shortly.",
+        error_code: "AI_DEGRADED",
+        retryAfter: Math.ceil(ai.retryAfterMs / 1000),
+      });
+    }
+
+    // ---- 3) Quota: reserve one unit per breakpoint, all-or-nothing; only successful ones are charged (skip in emulator) ----
+    if (!isEmu) {
+      try {
+        reservation = await reserveQuota({ uid, units: breakpoints.length, reason: "breakpoints" });
+      } catch (err) {
+        const code = err?.code || "";
+        const msg = err?.message || "Access denied.";
+        if (code === "NO_PLAN") return res.status(403).json({ error: msg, error_code: "NO_PLAN" });
+        if (code === "LIMIT_EXCEEDED") {
+          return res.status(429).json({
+            error: msg,
+            error_code: "LIMIT_EXCEEDED",
+            requested: breakpoints.length,
+            remaining: err.remaining ?? null,
+          });
+        }
+        return res.status(403).json({ error: msg });
+      }
+    }
+
+    // ---- 4) Plan entitlements apply to every comparison in the run (every feature in the emulator) ----
+    const plan = applyEntitlements(options, isEmu ? "elite" : reservation.plan);
+    options = plan.options;
+
+    // ---- 5) Queue the run and answer right away; progress streams from /api/jobs/[id]/events ----
+    const jobId = await createJob({
+      uid,
+      kind: "breakpoints",
+      reservation,
+      input: {
+        buildUrl: options.capture.url,
+        breakpoints: breakpoints.map(({ name, width }) => ({ name, width })),
+        designFiles: frames.slice(0, breakpoints.length).map((f) => f.originalFilename || null),
+        templateId: options.prompt.template.id,
+        projectId: options.projectId,
+        plan: plan.entitlements.plan,
+      },
+    });
+    res.status(202).json({ ok: true, jobId, status: JOB_STATUS.QUEUED, total: breakpoints.length });
+
+    // ---- 6) Capture + compare per breakpoint (sequential: one browser page and one AI call at a time) ----
+    // AI spend is logged per call and every AI attempt is recorded on the job.
+    let succeeded = 0;
+    const status = await runJob(jobId, async (report, { addAttempt }) => {
+      const results = [];
+      const span = 98 / breakpoints.length;
+      for (let i = 0; i < breakpoints.length; i++) {
+        const bp = breakpoints[i];
+        const frame = frames[i];
+        const row = { ...bp, designFile: frame.originalFilename };
+        const base = 1 + i * span;
+        await report({
+          stage: "capturing",
+          pct: Math.round(base),
+          partial: { done: i, total: breakpoints.length, current: bp.name, breakpoints: results.map(summaryRow) },
+        });
+        try {
+          const design = await rasterizeInput(await fs.readFile(frame.filepath), uploadType(frame), {
+            page: options.designPage,
+            scale: options.designScale,
+          });
+          // viewport height follows the frame's aspect ratio so above-the-fold content lines up
+          const { width, height } = await sharp(design.buf).metadata();
+          const shot = await captureUrl({
+            ...options.capture,
+            width: bp.width,
+            height: Math.round((bp.width * height) / width),
+          });
+          const out = await runComparison(design, shot, {
+            ...options,
+            // the comparison's own stages fill this breakpoint's share of the bar
+            onProgress: ({ stage, pct }) => report({ stage, pct: Math.round(base + (pct * span) / 100) }),
+            onAIAttempt: (attempt) => addAttempt({ item: i, breakpoint: bp.name, ...attempt }),
+            onAICall: (call) => recordAICall({ uid, plan: reservation?.plan || null, jobId, kind: "breakpoints" }, call),
+          });
+          out.diff = await storeHeatmap(uid, jobId, i, out.diff);
+          results.push({
+            ...row,
+            status: "succeeded",
+            ...breakpointVerdict(out),
+            changedPercent: out.diff.changedPercent,
+            issueCount: out.report.issues.filter((it) => !it.aiOnly).length,
+            severity: severityCounts(out.report.issues),
+            capture: shot.capture,
+            ...out,
+          });
+        } catch (err) {
+          results.push({
+            ...row,
+            status: "failed",
+            pass: false,
+            error: err?.message || "Comparison failed",
+            error_code: err?.code || null,
+          });
+        }
+      }
+
+      const passed = results.filter((r) => r.pass).length;
+      succeeded = results.filter((r) => r.status === "succeeded").length;
+      return {
+        url: options.capture.url,
+        total: results.length,
+        passed,
+        failed: succeeded - passed,
+        errored: results.length - succeeded,
+        quotaUsed: isEmu ? 0 : succeeded,
+        entitlements: plan.entitlements,
+        breakpoints: results,
+      };
+    });
+    // only breakpoints that completed are charged
+    if (status === JOB_STATUS.SUCCEEDED) await commitQuota(reservation, { units: succeeded, jobId });
+    else await releaseQuota(reservation, "breakpoint run failed");
+  } catch (error) {
+    await releaseQuota(reservation, "server error");
+    if (res.headersSent) return console.error("[compare-breakpoints] error after response:", error);
+    const msg = error?.message || "Unknown error";
+    const isQuota = /quota|resource-exhausted/i.test(msg);
+    return res.status(isQuota ? 429 : 500).json({
+      error: isQuota ? "Quota exceeded" : "Server error",
+      detail: msg,
+    });
+  }
+}
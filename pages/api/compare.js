@@ -2,57 +2,139 @@
 export const config = { api: { bodyParser: false } };
 export const runtime = "nodejs";
 
-import formidable from "formidable";
 import fs from "fs/promises";
-import { OpenAI } from "openai";
-import { authAdmin } from "@/lib/firebase/firebaseAdmin";
-import { checkAndConsumeQuota } from "@/lib/billing/quota";
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { reserveQuota, commitQuota, releaseQuota, getUserPlan } from "@/lib/billing/quota";
+import { applyEntitlements } from "@/lib/billing/entitlements";
+import { recordAICall } from "@/lib/billing/aiLedger";
+import {
+  parseForm,
+  pickTwoImages,
+  isVectorUpload,
+  uploadType,
+  readCompareOptions,
+  OPTION_ERROR_STATUS,
+} from "@/lib/compare/upload";
+import { runComparison } from "@/lib/compare/pipeline";
+import { aiServiceStatus } from "@/lib/ai/provider";
+import { captureUrl } from "@/lib/compare/capture";
+import { resolveComparePrompt } from "@/lib/compare/templates";
+import { loadProject } from "@/lib/compare/projects";
+import { loadCurrentBaseline, addBaselineVersion, BASELINE_STATUS } from "@/lib/compare/baselines";
+import { createJob, runJob, serializeJob, JOB_STATUS } from "@/lib/jobs/compareJobs";
+import { compareCacheKey, findCachedJob, rememberCachedJob } from "@/lib/compare/resultCache";
+import { saveComparisonImages } from "@/lib/compare/followups";
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const isEmu = !!process.env.FIRESTORE_EMULATOR_HOST; // ✅ emulator detect
 
-function parseForm(req) {
-  const form = formidable({ multiples: true, maxFiles: 2, maxFileSize: 15 * 1024 * 1024 });
-  return new Promise((resolve, reject) => {
-    form.parse(req, (err, fields, files) => (err ? reject(err) : resolve({ fields, files })));
-  });
-}
-
-// support both: image1/image2 OR images[] etc.
-function pickTwoImages(files) {
-  const valid = new Set(["image/png", "image/jpeg", "image/webp"]);
-  const flat = [];
-  for (const key of Object.keys(files || {})) {
-    const arr = Array.isArray(files[key]) ? files[key] : [files[key]];
-    for (const f of arr) if (f && valid.has(f.mimetype)) flat.push(f);
+// A regression run files its build as a pending baseline version, to be accepted or rejected later.
+// Storage trouble must not throw away a finished comparison, so it is reported instead.
+async function fileRegressionCandidate(uid, jobId, options, build, out) {
+  const { screenId, name, version } = options.baseline;
+  try {
+    const candidate = await addBaselineVersion(uid, {
+      projectId: options.projectId,
+      screen: name,
+      buf: build.buf,
+      status: BASELINE_STATUS.PENDING,
+      source: { buildUrl: options.capture?.url || null, comparedTo: version },
+      jobId,
+      score: { score: out.score.score, grade: out.score.grade },
+    });
+    return { screenId, name, version, candidateVersion: candidate.version };
+  } catch (err) {
+    console.error("[compare] could not file baseline candidate:", err?.message || err);
+    return { screenId, name, version, candidateVersion: null, candidateError: err?.message || "Upload failed" };
   }
-  return flat.slice(0, 2);
 }
 
 export default async function handler(req, res) {
   if (req.method !== "POST") return res.status(405).json({ error: "Method Not Allowed" });
 
+  let reservation = null;
   try {
-    // ---- 1) Auth (dev bypass) ----
-    let uid = "anonymous";
-    if (isEmu) {
-      uid = "dev-user"; // ✅ no token needed in emulator
-    } else {
-      const authHeader = req.headers.authorization || "";
-      const idToken = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : "";
-      if (!idToken) return res.status(401).json({ error: "Unauthorized. Token missing." });
-      try {
-        const decoded = await authAdmin.verifyIdToken(idToken, true);
-        uid = decoded.uid;
-      } catch {
-        return res.status(401).json({ error: "Invalid or expired token" });
+    // ---- 1) Auth (dev bypass in the emulator) ----
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+    const { uid } = auth;
+
+    // ---- 2) Parse files + options (the build may be a URL; the design may be a stored baseline) ----
+    const { fields, files } = await parseForm(req);
+
+    let options;
+    try {
+      options = readCompareOptions(fields);
+      options.prompt = await resolveComparePrompt(uid, options);
+      if (options.projectId) options.project = await loadProject(uid, options.projectId);
+      if (options.baselineScreen) {
+        if (!options.projectId) {
+          return res.status(400).json({ error: "Pick a project to compare against a baseline", error_code: "INVALID_SCREEN" });
+        }
+        options.baseline = await loadCurrentBaseline(uid, options.projectId, options.baselineScreen);
+      }
+    } catch (optErr) {
+      const status = OPTION_ERROR_STATUS[optErr?.code];
+      if (!status) throw optErr;
+      return res.status(status).json({ error: optErr.message, error_code: optErr.code });
+    }
+
+    const uploads = pickTwoImages(files);
+    const designFile = options.baseline ? null : uploads[0];
+    const buildFile = options.capture ? null : uploads[options.baseline ? 0 : 1];
+    if ((!options.baseline && !designFile) || (!options.capture && !buildFile)) {
+      return res.status(400).json({
+        error: "Upload 2 images (JPG/PNG/WEBP/AVIF/GIF; the design may also be PDF/SVG), or a design and a build URL",
+      });
+    }
+    if (buildFile && isVectorUpload(buildFile)) {
+      return res.status(400).json({
+        error: "The build must be a screenshot (JPG/PNG/WEBP/AVIF/GIF); PDF and SVG are only accepted as the design",
+        error_code: "UNSUPPORTED_TYPE",
+      });
+    }
+    const vectorDesign = !!designFile && isVectorUpload(designFile);
+
+    // ---- 3) Read images ----
+    const design = options.baseline
+      ? { buf: options.baseline.buf, mimetype: options.baseline.mimetype }
+      : { buf: await fs.readFile(designFile.filepath), mimetype: uploadType(designFile) };
+    const uploadedBuild = buildFile
+      ? { buf: await fs.readFile(buildFile.filepath), mimetype: uploadType(buildFile), targets: options.buildTargets }
+      : null;
+
+    // ---- 4) Cache: an identical upload returns the earlier result without quota (force=1 runs fresh) ----
+    // URL captures and baseline runs are never cached: the page or the baseline may have changed.
+    // The key includes the user's current plan, so a hit always has that plan's depth (no plan: no cache).
+    let userPlan;
+    let cacheKey = null;
+    if (uploadedBuild && !options.baseline) {
+      userPlan = isEmu ? "elite" : await getUserPlan(uid);
+      if (userPlan) {
+        const planned = applyEntitlements(options, userPlan);
+        cacheKey = compareCacheKey(uid, design.buf, uploadedBuild.buf, planned.options, planned.entitlements);
+      }
+    }
+    if (cacheKey && !options.force) {
+      const cached = await findCachedJob(cacheKey, uid);
+      if (cached) {
+        return res.status(200).json({ ok: true, cached: true, jobId: cached.id, job: serializeJob(cached) });
       }
     }
 
-    // ---- 2) Quota (skip in emulator) ----
+    // ---- 5) Quota: reserve one unit, charged only if the job succeeds (skip in emulator) ----
+    // While the AI provider is down (circuit open) the job could only fail, so say so up front.
+    const ai = aiServiceStatus();
+    if (ai.degraded) {
+      res.setHeader("Retry-After", String(Math.ceil(ai.retryAfterMs / 1000)));
+      return res.status(503).json({
+        error: "The AI service is degraded right now. Please try again shortly.",
+        error_code: "AI_DEGRADED",
+        retryAfter: Math.ceil(ai.retryAfterMs / 1000),
+      });
+    }
     if (!isEmu) {
       try {
-        await checkAndConsumeQuota({ uid });
+        reservation = await reserveQuota({ uid, reason: "compare", plan: userPlan });
       } catch (err) {
         const code = err?.code || "";
         const msg = err?.message || "Access denied.";
@@ -62,50 +144,65 @@ export default async function handler(req, res) {
       }
     }
 
-    // ---- 3) Parse files ----
-    const { files } = await parseForm(req);
-    const [image1, image2] = pickTwoImages(files);
-    if (!image1 || !image2) {
-      return res.status(400).json({ error: "Upload 2 images (JPG/PNG/WEBP)" });
-    }
+    // ---- 6) Plan entitlements: OCR/WCAG passes, tiling and image detail (every feature in the emulator) ----
+    const plan = applyEntitlements(options, isEmu ? "elite" : reservation.plan);
+    options = plan.options;
 
-    // ---- 4) Read images ----
-    const [img1, img2] = await Promise.all([
-      fs.readFile(image1.filepath, { encoding: "base64" }),
-      fs.readFile(image2.filepath, { encoding: "base64" }),
-    ]);
+    // ---- 7) Queue the job and answer right away; progress streams from /api/jobs/[id]/events ----
+    const jobId = await createJob({
+      uid,
+      kind: "compare",
+      reservation,
+      input: {
+        fileName1: designFile?.originalFilename || null,
+        fileName2: buildFile?.originalFilename || null,
+        buildUrl: options.capture?.url || null,
+        baselineScreen: options.baseline?.screenId || null,
+        baselineVersion: options.baseline?.version || null,
+        normalize: options.normalize,
+        maskCount: options.masks.length,
+        templateId: options.prompt.template.id,
+        templateVersion: options.prompt.template.version,
+        projectId: options.projectId,
+        designPage: vectorDesign ? options.designPage : null,
+        designScale: vectorDesign ? options.designScale : null,
+        plan: plan.entitlements.plan,
+      },
+    });
+    res.status(202).json({ ok: true, jobId, status: JOB_STATUS.QUEUED });
 
-    // ---- 5) OpenAI Vision ----
-    let completion;
-    try {
-      completion = await openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text:
-                  "Compare these two UI screenshots and generate a markdown-based QA report.\n" +
-                  "Focus on layout shifts, missing or misaligned elements, spacing, font, color, and visual consistency issues.\n" +
-                  "Organize output with bullet points under clear headings.",
-              },
-              { type: "image_url", image_url: { url: `data:${image1.mimetype};base64,${img1}` } },
-              { type: "image_url", image_url: { url: `data:${image2.mimetype};base64,${img2}` } },
-            ],
-          },
-        ],
+    // ---- 8) [Capture] -> rasterize -> normalize -> masks -> pixel diff -> AI report (after the response) ----
+    // The images are kept for follow-up questions; without them the report still stands.
+    // Every AI attempt (retries, fallback models) is recorded on the job.
+    const status = await runJob(jobId, async (report, { addAttempt }) => {
+      let build = uploadedBuild;
+      let capture = null;
+      if (options.capture) {
+        await report({ stage: "capturing", pct: 2 });
+        ({ capture, ...build } = await captureUrl(options.capture));
+      }
+      const { images, ...out } = await runComparison(design, build, {
+        ...options,
+        keepImages: true,
+        onProgress: report,
+        onAIAttempt: addAttempt,
+        onAICall: (call) => recordAICall({ uid, plan: reservation?.plan || null, jobId, kind: "compare" }, call),
       });
-    } catch (aiErr) {
-      return res.status(502).json({ error: "AI provider error", detail: String(aiErr?.message || aiErr) });
-    }
-
-    const result = completion?.choices?.[0]?.message?.content;
-    if (!result) return res.status(502).json({ error: "OpenAI did not return a result" });
-
-    return res.status(200).json({ ok: true, result });
+      if (capture) out.capture = capture;
+      out.entitlements = plan.entitlements;
+      out.assets = await saveComparisonImages(uid, jobId, images).catch((err) => {
+        console.warn("[compare] could not keep images for follow-ups:", err?.message || err);
+        return null;
+      });
+      if (options.baseline) out.baseline = await fileRegressionCandidate(uid, jobId, options, build, out);
+      if (cacheKey) await rememberCachedJob(cacheKey, uid, jobId);
+      return out;
+    });
+    if (status === JOB_STATUS.SUCCEEDED) await commitQuota(reservation, { jobId });
+    else await releaseQuota(reservation, "comparison failed");
   } catch (error) {
+    await releaseQuota(reservation, "server error");
+    if (res.headersSent) return console.error("[compare] error after response:", error);
     const msg = error?.message || "Unknown error";
     const isQuota = /quota|resource-exhausted/i.test(msg);
     return res.status(isQuota ? 429 : 500).json({
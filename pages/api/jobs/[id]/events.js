@@ -0,0 +1,89 @@
+// pages/api/jobs/[id]/events.js
+export const config = { api: { responseLimit: false } };
+
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { getJob, serializeJob, onJobUpdate, TERMINAL_STATUSES } from "@/lib/jobs/compareJobs";
+
+// Server-Sent Events stream of one job: `progress` events until a final `done` or `failed`.
+// Updates come from the in-process job emitter when the job runs on this instance,
+// and from polling Firestore otherwise (or after a reload on another instance).
+
+const POLL_MS = 1000;
+const HEARTBEAT_MS = 15000;
+// Close long streams; the client reconnects and resumes from the stored state.
+const MAX_STREAM_MS = 5 * 60 * 1000;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method Not Allowed" });
+
+  const auth = await uidFromRequest(req, { allowQueryToken: true });
+  if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+
+  let job;
+  try {
+    job = await getJob(req.query.id, auth.uid);
+  } catch (error) {
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+  if (!job) return res.status(404).json({ error: "Job not found", error_code: "JOB_NOT_FOUND" });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // keep Next's gzip from buffering the stream
+    "Content-Encoding": "none",
+    "X-Accel-Buffering": "no",
+  });
+
+  let state = serializeJob(job);
+  let lastSent = "";
+  let closed = false;
+  const timers = [];
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    timers.forEach(clearInterval);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = () => {
+    if (closed) return;
+    const terminal = TERMINAL_STATUSES.has(state.status);
+    const event = !terminal ? "progress" : state.status === "succeeded" ? "done" : "failed";
+    const payload = JSON.stringify(state);
+    if (payload === lastSent) return;
+    lastSent = payload;
+    res.write(`event: ${event}\ndata: ${payload}\n\n`);
+    if (terminal) close();
+  };
+
+  const merge = (patch) => {
+    const next = { ...state };
+    for (const key of ["status", "progress", "partial", "result", "error", "attempts"]) {
+      if (patch[key] !== undefined) next[key] = patch[key];
+    }
+    state = next;
+    send();
+  };
+
+  unsubscribe = onJobUpdate(state.id, merge);
+  timers.push(
+    setInterval(async () => {
+      try {
+        const fresh = await getJob(state.id, auth.uid);
+        // a fuller in-process result wins over the (possibly slimmed) stored one
+        if (fresh) merge({ ...serializeJob(fresh), result: state.result || serializeJob(fresh).result });
+      } catch {}
+    }, POLL_MS),
+    setInterval(() => !closed && res.write(": keep-alive\n\n"), HEARTBEAT_MS)
+  );
+  const maxTimer = setTimeout(close, MAX_STREAM_MS);
+  timers.push(maxTimer);
+  req.on("close", close);
+
+  send();
+}
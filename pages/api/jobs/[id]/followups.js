@@ -0,0 +1,72 @@
+// pages/api/jobs/[id]/followups.js
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { reserveQuota, commitQuota, releaseQuota, getUserPlan } from "@/lib/billing/quota";
+import { applyEntitlements } from "@/lib/billing/entitlements";
+import { listFollowups, askFollowup } from "@/lib/compare/followups";
+import { recordAICall } from "@/lib/billing/aiLedger";
+
+const isEmu = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+const ERROR_STATUS = {
+  INVALID_QUESTION: 400,
+  JOB_NOT_FOUND: 404,
+  FOLLOWUP_UNAVAILABLE: 409,
+  AI_PROVIDER_ERROR: 502,
+  AI_DEGRADED: 503,
+  AI_EMPTY_RESULT: 502,
+};
+
+// Follow-up chat on a finished comparison.
+// GET -> { ok, available, messages }   POST { question } -> { ok, question, answer }
+// Each answered question uses one unit of the daily follow-up quota (separate from comparisons) and is
+// answered at the AI depth of the asker's current plan (every feature in the emulator).
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "Method Not Allowed" });
+
+  let reservation = null;
+  try {
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+    const jobId = String(req.query.id);
+
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, ...(await listFollowups(auth.uid, jobId)) });
+    }
+
+    const userPlan = isEmu ? "elite" : await getUserPlan(auth.uid);
+    if (!isEmu) {
+      try {
+        reservation = await reserveQuota({ uid: auth.uid, reason: "followup", meter: "followup", plan: userPlan });
+      } catch (err) {
+        const code = err?.code || "";
+        const msg = err?.message || "Access denied.";
+        if (code === "NO_PLAN")        return res.status(403).json({ error: msg, error_code: "NO_PLAN" });
+        if (code === "LIMIT_EXCEEDED") return res.status(429).json({ error: msg, error_code: "LIMIT_EXCEEDED" });
+        return res.status(403).json({ error: msg });
+      }
+    }
+
+    const { options: depth } = applyEntitlements({}, userPlan);
+    let out;
+    try {
+      out = await askFollowup(auth.uid, jobId, req.body?.question, {
+        aiModel: depth.aiModel,
+        imageDetail: depth.imageDetail,
+        onAICall: (call) => recordAICall({ uid: auth.uid, plan: reservation?.plan || null, jobId, kind: "followup" }, call),
+      });
+    } catch (err) {
+      await releaseQuota(reservation, err?.message);
+      reservation = null;
+      const status = ERROR_STATUS[err?.code];
+      if (!status) throw err;
+      return res.status(status).json({ error: err.message, error_code: err.code, detail: err.detail || undefined });
+    }
+    await commitQuota(reservation, { jobId });
+
+    return res.status(200).json({ ok: true, question: out.question, answer: out.answer });
+  } catch (error) {
+    await releaseQuota(reservation, "server error");
+    console.error("[jobs/followups] error:", error);
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+}
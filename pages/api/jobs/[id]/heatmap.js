@@ -0,0 +1,30 @@
+// pages/api/jobs/[id]/heatmap.js
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { getJob } from "@/lib/jobs/compareJobs";
+import { loadHeatmap } from "@/lib/compare/heatmaps";
+
+// Diff heatmap of one screen of a batch or breakpoint job (stored by lib/compare/heatmaps.js).
+// GET ?item=N -> image/png
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method Not Allowed" });
+
+  try {
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+
+    const job = await getJob(req.query.id, auth.uid);
+    if (!job) return res.status(404).json({ error: "Job not found", error_code: "JOB_NOT_FOUND" });
+
+    const rows = job.result?.screens || job.result?.breakpoints || [];
+    const path = rows[Number(req.query.item)]?.diff?.heatmapPath;
+    if (!path) return res.status(404).json({ error: "No heatmap for this screen", error_code: "HEATMAP_NOT_FOUND" });
+
+    const png = await loadHeatmap(path);
+    res.setHeader("Content-Type", "image/png");
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    return res.status(200).send(png);
+  } catch (error) {
+    if (error?.code === "STORAGE_ERROR") return res.status(502).json({ error: error.message, error_code: error.code });
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+}
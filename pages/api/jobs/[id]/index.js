@@ -0,0 +1,20 @@
+// pages/api/jobs/[id]/index.js
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { getJob, serializeJob } from "@/lib/jobs/compareJobs";
+
+// Current state of a comparison job (used to resume after a page reload).
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method Not Allowed" });
+
+  try {
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+
+    const job = await getJob(req.query.id, auth.uid);
+    if (!job) return res.status(404).json({ error: "Job not found", error_code: "JOB_NOT_FOUND" });
+
+    return res.status(200).json({ ok: true, job: serializeJob(job) });
+  } catch (error) {
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+}
@@ -0,0 +1,57 @@
+// pages/api/rasterize.js
+export const config = { api: { bodyParser: false } };
+export const runtime = "nodejs";
+
+import fs from "fs/promises";
+import sharp from "sharp";
+import { uidFromRequest } from "@/lib/firebase/requestAuth";
+import { parseForm, collectImages, fieldValue, uploadType, readRasterOptions } from "@/lib/compare/upload";
+import { rasterizeInput } from "@/lib/compare/rasterize";
+
+// previews are for the upload form only; the comparison re-renders at full size
+const PREVIEW_MAX_WIDTH = 1600;
+
+const RASTER_ERROR_STATUS = { INVALID_IMAGE: 400, INVALID_PAGE: 400, UNSUPPORTED_TYPE: 415 };
+
+// Render a PDF page / SVG / AVIF / GIF the way /api/compare will, so the form can show it before the job starts.
+// Does not use quota.
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method Not Allowed" });
+
+  try {
+    const auth = await uidFromRequest(req);
+    if (!auth.uid) return res.status(auth.status).json({ error: auth.error });
+
+    const { fields, files } = await parseForm(req, { maxFiles: 1 });
+    const [file] = collectImages(files);
+    if (!file) return res.status(400).json({ error: "Upload one file (PDF/SVG/AVIF/GIF/JPG/PNG/WEBP)" });
+
+    const { page, scale } = readRasterOptions(fieldValue(fields, "page"), fieldValue(fields, "scale"));
+    const buf = await fs.readFile(file.filepath);
+
+    let out;
+    try {
+      out = await rasterizeInput(buf, uploadType(file), { page, scale });
+    } catch (err) {
+      const status = RASTER_ERROR_STATUS[err?.code];
+      if (!status) throw err;
+      return res.status(status).json({ error: err.message, error_code: err.code });
+    }
+
+    const { width, height } = await sharp(out.buf).metadata();
+    const png = await sharp(out.buf)
+      .resize({ width: Math.min(width, PREVIEW_MAX_WIDTH), withoutEnlargement: true })
+      .png()
+      .toBuffer();
+
+    return res.status(200).json({
+      ok: true,
+      preview: `data:image/png;base64,${png.toString("base64")}`,
+      width,
+      height,
+      source: out.source,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: "Server error", detail: error?.message || "Unknown error" });
+  }
+}
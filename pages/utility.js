@@ -5,12 +5,43 @@ import { onAuthStateChanged, signOut } from 'firebase/auth';
 import { getFirestore, doc, getDoc, onSnapshot, setDoc, serverTimestamp } from 'firebase/firestore';
 import { auth } from '../lib/firebase/config';
 import ExportPDF from '../components/ExportPDF';
+import IssueOverlayViewer from '../components/IssueOverlayViewer';
+import MaskEditor from '../components/MaskEditor';
+import BatchCompare from '../components/BatchCompare';
+import BreakpointMatrix from '../components/BreakpointMatrix';
+import BaselinePanel from '../components/BaselinePanel';
+import UsageLedger from '../components/UsageLedger';
+import PromptTemplatePicker from '../components/PromptTemplatePicker';
+import ProjectTokens from '../components/ProjectTokens';
+import TextDiffView from '../components/TextDiffView';
+import AccessibilityView from '../components/AccessibilityView';
+import FollowupChat from '../components/FollowupChat';
+import PlanFeatures, { LockBadge } from '../components/PlanFeatures';
+import { FEATURE_LABELS, hasFeature } from '../lib/billing/entitlements';
+import UrlCapture from '../components/UrlCapture';
+import { useMaskPresets } from '../hooks/useMaskPresets';
+import { useRasterPreview, inputFileType, VECTOR_FILE_TYPES } from '../hooks/useRasterPreview';
+import { usePromptTemplates } from '../hooks/usePromptTemplates';
+import { useProjects } from '../hooks/useProjects';
+import { DEFAULT_TEMPLATE_ID } from '../lib/compare/prompts';
 import Navbar from '../components/Navbar';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ReactMarkdown from 'react-markdown';
 
 const PLAN_LIMITS = { basic: 1, pro: 2, elite: 3 };
-const ALLOWED_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp']);
+// PDF/SVG designs and AVIF/GIF files are rasterized server-side (see /api/rasterize)
+const ALLOWED_TYPES = new Set([
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/avif',
+  'image/gif',
+  'application/pdf',
+  'image/svg+xml',
+]);
+const DESIGN_ACCEPT = 'image/jpeg,image/png,image/webp,image/avif,image/gif,application/pdf,image/svg+xml,.avif,.pdf,.svg';
+const BUILD_ACCEPT = 'image/jpeg,image/png,image/webp,image/avif,image/gif,.avif';
+const DESIGN_SCALES = [1, 1.5, 2, 3];
 const MAX_FILE_SIZE_BYTES = 15 * 1024 * 1024;
 // We still write a short-lived cache, but we DO NOT rely on it for initial render.
 // This avoids the "buy a plan" flicker after payment.
@@ -44,25 +75,60 @@ function usedKey(uid) {
 function subCacheKey(uid) {
   return `pp_sub_cache_${uid}`;
 }
-function validateFile(file) {
+// Comparison job still running for this user (resumed after a reload)
+function activeJobKey(uid) {
+  return `pp_active_job_${uid}`;
+}
+// Batch / breakpoint job still running ('batch' | 'breakpoints')
+function runJobKey(uid, kind) {
+  return `pp_${kind}_job_${uid}`;
+}
+const GRADE_STYLES = {
+  A: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  B: 'bg-lime-100 text-lime-800 dark:bg-lime-900/40 dark:text-lime-300',
+  C: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+  D: 'bg-orange-100 text-orange-800 dark:bg-orange-900/40 dark:text-orange-300',
+  F: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+};
+const PALETTE_STATUS_STYLES = {
+  match: 'text-green-700 dark:text-green-400',
+  near_miss: 'text-orange-600 font-semibold',
+  off_palette: 'text-red-600 font-semibold',
+};
+const JOB_STAGE_LABELS = {
+  uploading: 'Uploading',
+  queued: 'Queued',
+  starting: 'Starting',
+  normalizing: 'Matching scale & alignment',
+  capturing: 'Capturing build URL',
+  rasterizing: 'Rendering PDF/SVG',
+  masking: 'Applying ignore regions',
+  diffing: 'Computing pixel diff',
+  reading_text: 'Reading text (OCR)',
+  accessibility: 'Checking contrast & touch targets',
+  analyzing: 'AI analysis',
+  verifying: 'Checking AI findings against the diff',
+  finalizing: 'Building report',
+};
+// why an AI attempt failed (lib/ai/resilience.js), as shown while it is retried
+const AI_RETRY_REASONS = {
+  timeout: 'timed out',
+  rate_limited: 'is rate limiting us',
+  server_error: 'returned an error',
+  connection_error: 'could not be reached',
+};
+function validateFile(file, { allowVector = true } = {}) {
   if (!file) return { ok: false, msg: 'No file' };
-  if (!ALLOWED_TYPES.has(file.type)) return { ok: false, msg: 'Unsupported type' };
+  const type = inputFileType(file);
+  if (!ALLOWED_TYPES.has(type)) return { ok: false, msg: 'Unsupported type' };
+  if (!allowVector && VECTOR_FILE_TYPES.has(type)) return { ok: false, msg: 'Design only' };
   if (file.size > MAX_FILE_SIZE_BYTES) return { ok: false, msg: 'File too large (max 15MB)' };
   return { ok: true };
 }
-function useObjectUrl(file) {
-  const [url, setUrl] = useState(null);
-  useEffect(() => {
-    if (!file) return setUrl(null);
-    const u = URL.createObjectURL(file);
-    setUrl(u);
-    return () => {
-      try {
-        URL.revokeObjectURL(u);
-      } catch {}
-    };
-  }, [file]);
-  return url;
+function invalidFileMessage(msg) {
+  if (msg === 'Unsupported type') return 'Use JPG, PNG, WEBP, AVIF or GIF files (designs may also be PDF or SVG).';
+  if (msg === 'Design only') return 'PDF and SVG are accepted for the design only. Upload a screenshot of the build.';
+  return 'Max size is 15MB.';
 }
 
 function nextMidnightLocal() {
@@ -85,8 +151,50 @@ function formatTime(dt) {
 export default function UtilityPage() {
   const [image1, setImage1] = useState(null);
   const [image2, setImage2] = useState(null);
+  // PDF page (1-based) and render scale for PDF/SVG designs
+  const [designPage, setDesignPage] = useState(1);
+  const [designScale, setDesignScale] = useState(1);
+  // Build side: an uploaded screenshot, or a URL captured by the server's headless browser
+  const [buildSource, setBuildSource] = useState('upload');
+  const [captureOpts, setCaptureOpts] = useState({
+    url: '',
+    width: 1440,
+    dpr: 1,
+    waitUntil: 'networkidle2',
+    fullPage: false,
+    waitForSelector: '',
+  });
+  const [capturing, setCapturing] = useState(false);
+  // Regression run: compare the build against a screen's approved baseline ({ screen, url }) instead of a design
+  const [baseline, setBaseline] = useState(null);
+  const [baselineRefresh, setBaselineRefresh] = useState(0);
   const [loading, setLoading] = useState(false);
   const [comparisonResult, setComparisonResult] = useState(null);
+  const [diffResult, setDiffResult] = useState(null);
+  const [issueReport, setIssueReport] = useState(null);
+  const [matchScore, setMatchScore] = useState(null); // { score, grade, ssim }
+  const [cachedFrom, setCachedFrom] = useState(null); // { at } when the report came from the result cache
+  const [reportJobId, setReportJobId] = useState(null); // job behind the shown report (follow-up chat)
+  const [showAiOnly, setShowAiOnly] = useState(false); // also list findings the pixel and text diffs did not confirm
+  const [runEntitlements, setRunEntitlements] = useState(null); // { plan, locked, skipped } the report ran with
+  const [normalizeOpts, setNormalizeOpts] = useState({ enabled: true, cropTop: 0, trimScrollbar: true });
+  const [normalization, setNormalization] = useState(null);
+  const [tiling, setTiling] = useState(null); // { tiles, pageHeight, capped } when a tall page was analyzed in sections or capped by the plan
+  const [masks, setMasks] = useState([]);
+  const [templateChoice, setTemplateChoice] = useState({ templateId: DEFAULT_TEMPLATE_ID, vars: {} });
+  const [usedTemplate, setUsedTemplate] = useState(null); // template meta recorded on the result
+  const [projectId, setProjectId] = useState(null); // design-token set to check colors against
+  const [paletteCheck, setPaletteCheck] = useState(null);
+  const [ocrEnabled, setOcrEnabled] = useState(true);
+  const [a11yEnabled, setA11yEnabled] = useState(true);
+  const [buildDpr, setBuildDpr] = useState(1); // CSS px scale of an uploaded build screenshot
+  const [buildTargets, setBuildTargets] = useState(null); // touch targets of a URL-captured build (null for uploads)
+  const [accessibility, setAccessibility] = useState(null);
+  const [textDiff, setTextDiff] = useState(null);
+  const [compareMode, setCompareMode] = useState('single'); // 'single' | 'batch'
+  const [jobProgress, setJobProgress] = useState(null); // { stage, pct } while a job runs
+  const [partialIssues, setPartialIssues] = useState([]);
+  const [aiRetry, setAiRetry] = useState(null); // last failed AI attempt that is being retried
   const [darkMode, setDarkMode] = useState(false);
   const [fileMeta, setFileMeta] = useState({});
   const [user, setUser] = useState(null);
@@ -95,6 +203,7 @@ export default function UtilityPage() {
   const [planName, setPlanName] = useState(null);
   const [dailyLimit, setDailyLimit] = useState(null);
   const [usedTodayCount, setUsedTodayCount] = useState(null);
+  const [usageRefresh, setUsageRefresh] = useState(0); // bump to reload the quota ledger
 
   const [subActive, setSubActive] = useState(false);
   const [subStatus, setSubStatus] = useState(null);
@@ -107,8 +216,13 @@ export default function UtilityPage() {
 
   const compareInFlight = useRef(false);
   const subReqAbort = useRef(null);
+  const jobStream = useRef(null);
 
   const router = useRouter();
+  const { presets: maskPresets, savePreset: saveMaskPreset, deletePreset: deleteMaskPreset } =
+    useMaskPresets(user?.uid);
+  const { templates: promptTemplates, saveTemplate, deleteTemplate } = usePromptTemplates(user?.uid);
+  const { projects, saveProjectTokens, deleteProject } = useProjects(user?.uid);
 
   const [modal, setModal] = useState({ open: false, title: '', message: '', actions: [] });
   const openModal = useCallback(
@@ -328,6 +442,15 @@ export default function UtilityPage() {
         setUsedToLimit();
         return;
       }
+      if (code === 'AI_DEGRADED') {
+        openModal({
+          title: 'Service degraded',
+          message:
+            'Our AI provider is having trouble right now, so comparisons are paused for a moment. Nothing was charged to your daily limit. Please try again in a minute.',
+          actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
+        });
+        return;
+      }
       if (status === 429 || code === 'LIMIT_EXCEEDED' || /daily limit/.test(m)) {
         setLimitModalOpen(true);
         setUsedToLimit();
@@ -343,15 +466,72 @@ export default function UtilityPage() {
           });
           return;
         }
-        if (/only jpg|png|webp/i.test(m)) {
+        if (code === 'INVALID_MASKS') {
+          openModal({
+            title: 'Invalid ignore regions',
+            message: 'The ignore regions could not be read. Clear them and draw them again.',
+            actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
+          });
+          return;
+        }
+        if (code === 'INVALID_IMAGE' || /could not decode image/i.test(m)) {
+          openModal({
+            title: 'Unreadable image',
+            message: 'One of the files could not be read as an image. Please re-export it and try again.',
+            actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
+          });
+          return;
+        }
+        if (code === 'INVALID_PAGE') {
+          openModal({
+            title: 'Page not found',
+            message: 'The selected PDF page does not exist. Pick another page and try again.',
+            actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
+          });
+          return;
+        }
+        if (code === 'UNSUPPORTED_TYPE' || /only jpg|png|webp/i.test(m)) {
           openModal({
             title: 'Unsupported image format',
-            message: 'Use JPG, PNG, or WEBP files (minimum width 500px) for best results.',
+            message:
+              'Use JPG, PNG, WEBP, AVIF or GIF files (minimum width 500px) for best results. PDF and SVG are accepted for the design only.',
             actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
           });
           return;
         }
       }
+      if (code === 'PROJECT_NOT_FOUND' || code === 'INVALID_TOKENS') {
+        openModal({
+          title: 'Design tokens unavailable',
+          message: 'The selected project’s design tokens could not be used. Re-upload the token file or pick another project.',
+          actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
+        });
+        return;
+      }
+      if (code === 'BASELINE_NOT_FOUND' || code === 'INVALID_SCREEN' || code === 'STORAGE_ERROR') {
+        openModal({
+          title: 'Baseline unavailable',
+          message: msg || 'The approved baseline could not be loaded. Pick another screen or approve a new baseline.',
+          actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
+        });
+        return;
+      }
+      if (code === 'INVALID_BREAKPOINTS' || code === 'INVALID_CAPTURE') {
+        openModal({
+          title: code === 'INVALID_CAPTURE' ? 'Build URL not usable' : 'Check the breakpoints',
+          message: msg || 'The breakpoint settings could not be used.',
+          actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
+        });
+        return;
+      }
+      if (code === 'TEMPLATE_NOT_FOUND' || code === 'INVALID_TEMPLATE') {
+        openModal({
+          title: 'Prompt template unavailable',
+          message: 'The selected prompt template could not be used. Pick another template and try again.',
+          actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
+        });
+        return;
+      }
       if (/failed to fetch|network/.test(m)) {
         openModal({
           title: 'Network issue',
@@ -514,12 +694,10 @@ export default function UtilityPage() {
       const v = validateFile(f);
       if (!v.ok) {
         setImage1(null);
-        openModal({
-          title: 'Invalid file',
-          message: v.msg === 'Unsupported type' ? 'Use JPG, PNG, or WEBP files.' : 'Max size is 15MB.',
-        });
+        openModal({ title: 'Invalid file', message: invalidFileMessage(v.msg) });
         return;
       }
+      setDesignPage(1);
       setImage1(f);
     },
     [openModal]
@@ -527,20 +705,47 @@ export default function UtilityPage() {
   const onPickImage2 = useCallback(
     (e) => {
       const f = e.target.files?.[0];
-      const v = validateFile(f);
+      const v = validateFile(f, { allowVector: false });
       if (!v.ok) {
         setImage2(null);
-        openModal({
-          title: 'Invalid file',
-          message: v.msg === 'Unsupported type' ? 'Use JPG, PNG, or WEBP files.' : 'Max size is 15MB.',
-        });
+        setBuildTargets(null);
+        openModal({ title: 'Invalid file', message: invalidFileMessage(v.msg) });
         return;
       }
       setImage2(f);
+      setBuildTargets(null);
     },
     [openModal]
   );
 
+  // Increment USED (not remaining) by n consumed comparisons
+  const addUsed = useCallback(
+    (n) => {
+      setUsedTodayCount((prev) => {
+        const base = Number.isFinite(prev) ? prev : 0;
+        const next = base + n;
+        try {
+          if (user?.uid) localStorage.setItem(usedKey(user.uid), String(next));
+        } catch {}
+        return next;
+      });
+      setUsageRefresh((k) => k + 1);
+    },
+    [user?.uid]
+  );
+
+  // The server's ledger wins over the local tally: failed runs were refunded there
+  const syncUsage = useCallback(
+    ({ used, held }) => {
+      const next = Math.max(0, (used || 0) + (held || 0));
+      setUsedTodayCount(next);
+      try {
+        if (user?.uid) localStorage.setItem(usedKey(user.uid), String(next));
+      } catch {}
+    },
+    [user?.uid]
+  );
+
   const getFreshIdToken = useCallback(async () => {
     const u = auth.currentUser;
     if (!u) throw new Error('Please sign in first.');
@@ -551,15 +756,217 @@ export default function UtilityPage() {
     }
   }, []);
 
-  const handleCompare = useCallback(async () => {
+  // Previews show what the comparison will see: PDF/SVG/AVIF/GIF are rendered server-side,
+  // so the mask editor and the issue overlay draw on the same pixels.
+  const designIsVector = VECTOR_FILE_TYPES.has(inputFileType(image1));
+  const preview1 = useRasterPreview(image1, { page: designPage, scale: designScale }, getFreshIdToken);
+  const preview2 = useRasterPreview(image2, {}, getFreshIdToken);
+  const prev1 = baseline ? baseline.url : preview1.url;
+  const prev2 = preview2.url;
+  // options the plan does not include are shown locked and never sent (the server enforces it either way)
+  const planAllows = (feature) => !planName || hasFeature(planName, feature);
+  const ocrOn = ocrEnabled && planAllows('ocr');
+  const a11yOn = a11yEnabled && planAllows('a11y');
+  const verification = issueReport?.verification || null;
+  // memoized: the overlay viewer clears its selection whenever the issues array changes
+  const shownIssues = useMemo(
+    () => (issueReport?.issues || []).filter((it) => showAiOnly || !it.aiOnly),
+    [issueReport, showAiOnly]
+  );
+
+  // The capture becomes the build file, so preview, masks and the overlay work as for an upload.
+  // Its DOM touch targets and DPR go along with it to /api/compare, so the WCAG checks measure CSS px.
+  const captureBuild = useCallback(async () => {
+    setCapturing(true);
+    try {
+      const token = await getFreshIdToken();
+      const response = await fetch('/api/capture', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(captureOpts),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (data.error_code === 'NO_PLAN') {
+          showFriendlyError({ status: response.status, code: data.error_code, msg: data.error });
+          return;
+        }
+        openModal({
+          title:
+            data.error_code === 'CAPTURE_TIMEOUT'
+              ? 'Page took too long'
+              : data.error_code === 'LIMIT_EXCEEDED'
+                ? 'Daily capture limit reached'
+                : 'Capture failed',
+          message: data.error || 'The page could not be captured. Check the URL and that the server is running.',
+          actions: [{ label: 'Got it', onClick: () => { closeModal(); } }],
+        });
+        return;
+      }
+      const shot = await response.json();
+      const bytes = Uint8Array.from(atob(shot.image), (c) => c.charCodeAt(0));
+      const blob = new Blob([bytes], { type: shot.mimetype });
+      let host = 'page';
+      try {
+        host = new URL(captureOpts.url).host.replace(/[^a-z0-9.-]+/gi, '-');
+      } catch {}
+      const file = new File([blob], `${host}-${captureOpts.width}w@${captureOpts.dpr}x.png`, { type: 'image/png' });
+      const v = validateFile(file, { allowVector: false });
+      if (!v.ok) {
+        openModal({ title: 'Capture too large', message: 'Turn off full page or lower the DPR (max 15MB).' });
+        return;
+      }
+      setImage2(file);
+      setBuildTargets(shot.targets || []);
+      setBuildDpr(shot.capture?.dpr || captureOpts.dpr || 1);
+    } catch (err) {
+      openModal({ title: 'Capture failed', message: err?.message || 'The page could not be captured.' });
+    } finally {
+      setCapturing(false);
+      setUsageRefresh((k) => k + 1);
+    }
+  }, [captureOpts, getFreshIdToken, openModal, closeModal, showFriendlyError]);
+
+  const stopJobStream = useCallback(() => {
+    if (jobStream.current) {
+      jobStream.current.close();
+      jobStream.current = null;
+    }
+  }, []);
+
+  // Job reached succeeded/failed: show the report (or the error) and forget it
+  const finishJob = useCallback(
+    (job) => {
+      stopJobStream();
+      try {
+        if (user?.uid) localStorage.removeItem(activeJobKey(user.uid));
+      } catch {}
+      setJobProgress(null);
+      setPartialIssues([]);
+      setAiRetry(null);
+      setLoading(false);
+      compareInFlight.current = false;
+      setUsageRefresh((k) => k + 1);
+
+      if (job.status === 'succeeded') {
+        const out = job.result || {};
+        setComparisonResult(out.result || null);
+        setDiffResult(out.diff || null);
+        setIssueReport(out.report || null);
+        setNormalization(out.normalization || null);
+        setTiling(out.tiling || null);
+        setUsedTemplate(out.template || null);
+        setPaletteCheck(out.palette || null);
+        setTextDiff(out.textDiff || null);
+        setAccessibility(out.accessibility || null);
+        setMatchScore(out.score ? { ...out.score, ssim: out.similarity?.ssim } : null);
+        setReportJobId(job.id || null);
+        setRunEntitlements(out.entitlements || null);
+        // a regression run filed the build as a pending baseline version
+        if (out.baseline) setBaselineRefresh((n) => n + 1);
+        if (job.input) {
+          setFileMeta((m) => ({
+            fileName1: job.input.fileName1,
+            fileName2: job.input.fileName2,
+            timestamp: m.timestamp || new Date(job.createdAt || Date.now()).toLocaleString(),
+          }));
+        }
+        return;
+      }
+      if (job.status !== 'failed') return; // gone (expired, or started under another account)
+      const code = job.error?.code || '';
+      console.error('Comparison failed:', code, job.error?.detail || job.error?.message);
+      showFriendlyError({
+        status: code === 'INVALID_IMAGE' ? 400 : code === 'AI_DEGRADED' ? 503 : 500,
+        code,
+        msg: job.error?.message,
+      });
+    },
+    [user?.uid, stopJobStream, showFriendlyError]
+  );
+
+  // Follow a job: check its stored state, then listen on the SSE stream until it finishes.
+  // If the stream closes for good (expired token, server restart) we check again and reconnect.
+  const watchJob = useCallback(
+    (jobId) => {
+      const watch = async () => {
+        stopJobStream();
+        let token;
+        try {
+          token = await getFreshIdToken();
+          const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`, {
+            headers: { Authorization: `Bearer ${token}` },
+          });
+          const data = await res.json().catch(() => ({}));
+          if (res.status === 404 || res.status === 401) {
+            finishJob({ status: 'gone' });
+            return;
+          }
+          if (res.ok && data.job) {
+            if (data.job.status === 'succeeded' || data.job.status === 'failed') {
+              finishJob(data.job);
+              return;
+            }
+            setJobProgress(data.job.progress || null);
+            if (data.job.partial?.issues) setPartialIssues(data.job.partial.issues);
+          }
+        } catch (err) {
+          console.warn('job status check failed:', err);
+          setTimeout(watch, 3000);
+          return;
+        }
+
+        const es = new EventSource(
+          `/api/jobs/${encodeURIComponent(jobId)}/events?token=${encodeURIComponent(token)}`
+        );
+        jobStream.current = es;
+        es.addEventListener('progress', (e) => {
+          const job = JSON.parse(e.data);
+          setJobProgress(job.progress || null);
+          if (job.partial?.issues) setPartialIssues(job.partial.issues);
+          const last = job.attempts?.[job.attempts.length - 1];
+          setAiRetry(last && !last.ok && last.retryInMs != null ? last : null);
+        });
+        es.addEventListener('done', (e) => finishJob(JSON.parse(e.data)));
+        es.addEventListener('failed', (e) => finishJob(JSON.parse(e.data)));
+        es.onerror = () => {
+          // CONNECTING: the browser retries on its own
+          if (es.readyState !== EventSource.CLOSED || jobStream.current !== es) return;
+          jobStream.current = null;
+          setTimeout(watch, 2000);
+        };
+      };
+      return watch();
+    },
+    [getFreshIdToken, stopJobStream, finishJob]
+  );
+
+  // Resume a job that was still running when the page was closed or reloaded
+  useEffect(() => {
+    if (!user?.uid) return;
+    let jobId = null;
+    try {
+      jobId = localStorage.getItem(activeJobKey(user.uid));
+    } catch {}
+    if (!jobId || compareInFlight.current) return;
+    compareInFlight.current = true;
+    setLoading(true);
+    watchJob(jobId);
+  }, [user?.uid, watchJob]);
+
+  useEffect(() => stopJobStream, [stopJobStream]);
+
+  // force: skip the result cache and run (and charge) a fresh comparison
+  const handleCompare = useCallback(async (opts) => {
     if (compareInFlight.current) return;
+    const force = opts?.force === true;
 
     if (typeof remaining === 'number' && remaining <= 0) {
       setLimitModalOpen(true);
       return;
     }
 
-    if (!image1 || !image2) {
+    if ((!image1 && !baseline) || !image2) {
       openModal({
         title: 'Two images required',
         message:
@@ -568,24 +975,57 @@ export default function UtilityPage() {
       });
       return;
     }
-    const v1 = validateFile(image1);
-    const v2 = validateFile(image2);
+    const v1 = baseline ? { ok: true } : validateFile(image1);
+    const v2 = validateFile(image2, { allowVector: false });
     if (!v1.ok || !v2.ok) {
-      openModal({ title: 'Invalid file(s)', message: 'Use JPG, PNG, or WEBP (max 15MB).' });
+      openModal({ title: 'Invalid file(s)', message: invalidFileMessage(v1.ok ? v2.msg : v1.msg) });
       return;
     }
 
     compareInFlight.current = true;
     setLoading(true);
     setComparisonResult(null);
-
+    setDiffResult(null);
+    setIssueReport(null);
+    setNormalization(null);
+    setTiling(null);
+    setUsedTemplate(null);
+    setPaletteCheck(null);
+    setTextDiff(null);
+    setAccessibility(null);
+    setMatchScore(null);
+    setCachedFrom(null);
+    setReportJobId(null);
+    setRunEntitlements(null);
+    setPartialIssues([]);
+    setAiRetry(null);
+    setJobProgress({ stage: 'uploading', pct: 0 });
+
+    let queued = false;
     try {
       const token = await getFreshIdToken();
       const formData = new FormData();
-      formData.append('image1', image1);
+      if (baseline) formData.append('baselineScreen', baseline.screen);
+      else formData.append('image1', image1);
       formData.append('image2', image2);
+      formData.append('normalize', normalizeOpts.enabled ? '1' : '0');
+      formData.append('cropTop', String(normalizeOpts.cropTop || 0));
+      formData.append('trimScrollbar', normalizeOpts.trimScrollbar ? '1' : '0');
+      if (masks.length) formData.append('masks', JSON.stringify(masks));
+      formData.append('templateId', templateChoice.templateId);
+      formData.append('templateVars', JSON.stringify(templateChoice.vars));
+      if (projectId) formData.append('projectId', projectId);
+      formData.append('ocr', ocrOn ? '1' : '0');
+      formData.append('a11y', a11yOn ? '1' : '0');
+      formData.append('buildDpr', String(buildDpr));
+      if (buildTargets) formData.append('buildTargets', JSON.stringify(buildTargets));
+      if (force) formData.append('force', '1');
+      if (designIsVector && !baseline) {
+        formData.append('designPage', String(designPage));
+        formData.append('designScale', String(designScale));
+      }
       setFileMeta({
-        fileName1: image1.name,
+        fileName1: baseline ? `Baseline: ${baseline.screen}` : image1.name,
         fileName2: image2.name,
         timestamp: new Date().toLocaleString(),
       });
@@ -609,29 +1049,51 @@ export default function UtilityPage() {
         showFriendlyError({ status: response.status, code, msg });
         throw new Error(String(msg));
       }
-      if (!data.result) throw new Error('Comparison result missing in response.');
-      setComparisonResult(data.result);
+      // Identical request already compared: show that result, no quota used
+      if (data.cached && data.job) {
+        finishJob(data.job);
+        setCachedFrom({ at: data.job.updatedAt || data.job.createdAt || null });
+        return;
+      }
+      if (!data.jobId) throw new Error('Comparison job missing in response.');
 
-      // Increment USED (not remaining)
-      setUsedTodayCount((prev) => {
-        const base = Number.isFinite(prev) ? prev : 0;
-        const next = base + 1;
-        try {
-          if (user?.uid) localStorage.setItem(usedKey(user.uid), String(next));
-        } catch {}
-        return next;
-      });
+      // Quota was consumed when the job was accepted: increment USED (not remaining)
+      addUsed(1);
+      try {
+        if (user?.uid) localStorage.setItem(activeJobKey(user.uid), data.jobId);
+      } catch {}
+      queued = true;
+      watchJob(data.jobId);
     } catch (err) {
       console.error('Comparison failed:', err);
     } finally {
-      setLoading(false);
-      compareInFlight.current = false;
+      // a queued job clears these when it finishes
+      if (!queued) {
+        setLoading(false);
+        setJobProgress(null);
+        compareInFlight.current = false;
+      }
     }
   }, [
     image1,
     image2,
+    baseline,
+    normalizeOpts,
+    masks,
+    templateChoice,
+    projectId,
+    ocrOn,
+    a11yOn,
+    buildDpr,
+    buildTargets,
+    designIsVector,
+    designPage,
+    designScale,
     getFreshIdToken,
     showFriendlyError,
+    addUsed,
+    watchJob,
+    finishJob,
     user?.uid,
     openModal,
     closeModal,
@@ -661,8 +1123,6 @@ export default function UtilityPage() {
   const fileInputStyleInactive =
     'file:bg-purple-100 file:text-purple-900 hover:file:bg-purple-200 hover:file:text-white';
 
-  const prev1 = useObjectUrl(image1);
-  const prev2 = useObjectUrl(image2);
 
   // 🔄 Entry loader: block UI only until we finish the LIVE sub fetch.
   const blockingLoad = !!user && subLoading && !subChecked;
@@ -714,102 +1174,556 @@ export default function UtilityPage() {
             ? ` (${subStatus})`
             : ''}
         </p>
+        <PlanFeatures plan={planName} />
+        <UsageLedger getFreshIdToken={getFreshIdToken} refreshKey={usageRefresh} onUsage={syncUsage} />
 
         <div className="border p-4 rounded bg-gray-50 dark:bg-gray-800 prose dark:prose-invert mb-10">
           <h2 className="font-semibold">How to Use</h2>
           <ul>
             <li>Upload the design and development screenshots</li>
-            <li>Supported: JPG, PNG, WEBP – max 15MB, min width 500px</li>
-            <li>Ensure matching layout and scale</li>
+            <li>Supported: JPG, PNG, WEBP, AVIF, GIF (first frame) – max 15MB, min width 500px</li>
+            <li>Or capture the build from a URL (localhost works) at a chosen viewport width and DPR</li>
+            <li>Designs can also be PDF (pick the page) or SVG; they are rendered at the chosen scale before comparing</li>
+            <li>Scale (e.g. 2x design vs 1x capture) and small offsets are matched automatically</li>
+            <li>Tall full-page screenshots are analyzed in overlapping sections and merged into one report</li>
+            <li>Analysis depth follows your plan: Basic gets one AI pass, Pro adds OCR and sections for tall pages, Elite adds high-detail images and WCAG checks</li>
+            <li>Text contrast is checked against WCAG AA; touch targets too when the build is captured from a URL</li>
+            <li>AI findings are checked against the pixel and text diffs; ones with no change in their area are hidden as AI-only</li>
+            <li>Ask follow-up questions under a finished report; they have their own daily allowance</li>
           </ul>
         </div>
 
-        <div className="grid md:grid-cols-2 gap-6">
-          <div className="border-2 border-dashed border-purple-300 p-6 rounded-lg text-center bg-white dark:bg-gray-700 hover:border-purple-500 transition transform hover:scale-[1.01]">
-            <label className="block font-semibold text-gray-800 dark:text-white mb-2">
-              Upload Design
-            </label>
-            <input
-              type="file"
-              onChange={onPickImage1}
-              accept="image/jpeg,image/png,image/webp"
-              className={`${fileInputBase} ${
-                hasActivePlan ? fileInputStyleActive : fileInputStyleInactive
+        <div className="flex gap-2 mb-6">
+          {[
+            ['single', 'Single comparison'],
+            ['batch', 'Batch'],
+            ['breakpoints', 'Breakpoints'],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setCompareMode(key)}
+              className={`px-4 py-2 rounded-lg text-sm font-semibold transition ${
+                compareMode === key
+                  ? 'bg-purple-800 text-white shadow'
+                  : 'bg-purple-100 text-purple-900 hover:bg-purple-200 dark:bg-gray-700 dark:text-gray-200'
               }`}
-            />
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {compareMode === 'single' && (
+          <>
+            <div className="grid md:grid-cols-2 gap-6">
+              <div className="border-2 border-dashed border-purple-300 p-6 rounded-lg text-center bg-white dark:bg-gray-700 hover:border-purple-500 transition transform hover:scale-[1.01]">
+                <label className="block font-semibold text-gray-800 dark:text-white mb-2">
+                  Upload Design
+                </label>
+                {baseline && (
+                  <p className="mb-2 text-xs text-purple-800 dark:text-purple-300">
+                    Regression run: the approved baseline of “{baseline.screen}” is used as the design.
+                  </p>
+                )}
+                <input
+                  type="file"
+                  onChange={onPickImage1}
+                  accept={DESIGN_ACCEPT}
+                  className={`${fileInputBase} ${
+                    hasActivePlan ? fileInputStyleActive : fileInputStyleInactive
+                  }`}
+                />
+                {designIsVector && (
+                  <div className="mt-2 flex items-center justify-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                    {preview1.pageCount > 1 && (
+                      <label className="flex items-center gap-1">
+                        Page
+                        <select
+                          value={designPage}
+                          onChange={(e) => setDesignPage(Number(e.target.value))}
+                          className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-1 py-0.5"
+                        >
+                          {Array.from({ length: preview1.pageCount }, (_, i) => (
+                            <option key={i + 1} value={i + 1}>
+                              {i + 1} / {preview1.pageCount}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                    <label className="flex items-center gap-1">
+                      Scale
+                      <select
+                        value={designScale}
+                        onChange={(e) => setDesignScale(Number(e.target.value))}
+                        className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-1 py-0.5"
+                      >
+                        {DESIGN_SCALES.map((s) => (
+                          <option key={s} value={s}>
+                            {s}x
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                )}
+                {preview1.loading && <p className="mt-2 text-xs text-gray-500">Rendering preview…</p>}
+                {preview1.error && <p className="mt-2 text-xs text-red-600">{preview1.error.message}</p>}
+                {prev1 && (
+                  <img src={prev1} alt="Preview" className="rounded shadow h-40 object-contain w-full mt-2" />
+                )}
+              </div>
+
+              <div className="border-2 border-dashed border-purple-300 p-6 rounded-lg text-center bg-white dark:bg-gray-700 hover:border-purple-500 transition transform hover:scale-[1.01]">
+                <label className="block font-semibold text-gray-800 dark:text-white mb-2">
+                  {buildSource === 'url' ? 'Capture Development Build' : 'Upload Development Screenshot'}
+                </label>
+                <div className="flex justify-center gap-2 mb-3 text-xs">
+                  {[
+                    ['upload', 'Upload file'],
+                    ['url', 'From URL'],
+                  ].map(([key, label]) => (
+                    <button
+                      key={key}
+                      type="button"
+                      onClick={() => setBuildSource(key)}
+                      className={`px-3 py-1 rounded font-semibold ${
+                        buildSource === key
+                          ? 'bg-purple-800 text-white'
+                          : 'bg-purple-100 text-purple-900 hover:bg-purple-200 dark:bg-gray-800 dark:text-gray-200'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {buildSource === 'url' ? (
+                  <UrlCapture
+                    value={captureOpts}
+                    onChange={setCaptureOpts}
+                    onCapture={captureBuild}
+                    busy={capturing}
+                    disabled={!hasActivePlan}
+                  />
+                ) : (
+                  <input
+                    type="file"
+                    onChange={onPickImage2}
+                    accept={BUILD_ACCEPT}
+                    className={`${fileInputBase} ${
+                      hasActivePlan ? fileInputStyleActive : fileInputStyleInactive
+                    }`}
+                  />
+                )}
+                {preview2.loading && <p className="mt-2 text-xs text-gray-500">Rendering preview…</p>}
+                {preview2.error && <p className="mt-2 text-xs text-red-600">{preview2.error.message}</p>}
+                {prev2 && (
+                  <img src={prev2} alt="Preview" className="rounded shadow h-40 object-contain w-full mt-2" />
+                )}
+              </div>
+            </div>
+
             {prev1 && (
-              <img src={prev1} alt="Preview" className="rounded shadow h-40 object-contain w-full mt-2" />
+              <MaskEditor
+                src={prev1}
+                masks={masks}
+                onChange={setMasks}
+                presets={maskPresets}
+                onSavePreset={saveMaskPreset}
+                onDeletePreset={deleteMaskPreset}
+              />
             )}
-          </div>
+          </>
+        )}
 
-          <div className="border-2 border-dashed border-purple-300 p-6 rounded-lg text-center bg-white dark:bg-gray-700 hover:border-purple-500 transition transform hover:scale-[1.01]">
-            <label className="block font-semibold text-gray-800 dark:text-white mb-2">
-              Upload Development Screenshot
-            </label>
+        <div className="mt-6 flex items-center gap-6 flex-wrap text-sm text-gray-700 dark:text-gray-300">
+          <label className="flex items-center gap-2">
             <input
-              type="file"
-              onChange={onPickImage2}
-              accept="image/jpeg,image/png,image/webp"
-              className={`${fileInputBase} ${
-                hasActivePlan ? fileInputStyleActive : fileInputStyleInactive
-              }`}
+              type="checkbox"
+              checked={normalizeOpts.enabled}
+              onChange={(e) => setNormalizeOpts((o) => ({ ...o, enabled: e.target.checked }))}
             />
-            {prev2 && (
-              <img src={prev2} alt="Preview" className="rounded shadow h-40 object-contain w-full mt-2" />
-            )}
-          </div>
+            Auto-match scale &amp; alignment
+          </label>
+          <label className={`flex items-center gap-2 ${normalizeOpts.enabled ? '' : 'opacity-50'}`}>
+            <input
+              type="checkbox"
+              disabled={!normalizeOpts.enabled}
+              checked={normalizeOpts.trimScrollbar}
+              onChange={(e) => setNormalizeOpts((o) => ({ ...o, trimScrollbar: e.target.checked }))}
+            />
+            Trim scrollbar
+          </label>
+          <label className={`flex items-center gap-2 ${normalizeOpts.enabled ? '' : 'opacity-50'}`}>
+            Crop browser chrome
+            <input
+              type="number"
+              min="0"
+              disabled={!normalizeOpts.enabled}
+              value={normalizeOpts.cropTop}
+              onChange={(e) =>
+                setNormalizeOpts((o) => ({ ...o, cropTop: Math.max(0, parseInt(e.target.value, 10) || 0) }))
+              }
+              className="w-20 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-2 py-1"
+            />
+            px
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={ocrOn}
+              disabled={!planAllows('ocr')}
+              onChange={(e) => setOcrEnabled(e.target.checked)}
+            />
+            Text diff (OCR)
+            {!planAllows('ocr') && <LockBadge feature="ocr" />}
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={a11yOn}
+              disabled={!planAllows('a11y')}
+              onChange={(e) => setA11yEnabled(e.target.checked)}
+            />
+            Accessibility (WCAG AA)
+            {!planAllows('a11y') && <LockBadge feature="a11y" />}
+          </label>
+          <label className="flex items-center gap-2" title="Device pixel ratio of the build screenshot (set from the capture for URL captures)">
+            Build DPR
+            <select
+              value={buildDpr}
+              disabled={!a11yOn}
+              onChange={(e) => setBuildDpr(Number(e.target.value))}
+              className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-2 py-1"
+            >
+              {[1, 2, 3].map((n) => (
+                <option key={n} value={n}>
+                  {n}x
+                </option>
+              ))}
+            </select>
+          </label>
         </div>
 
-        <div className="mt-10 flex items-center gap-4 flex-wrap">
-          <button
-            onClick={handleCompare}
-            // IMPORTANT: plan-based disable only (plus loading/images)
-            disabled={!hasActivePlan || loading || !image1 || !image2}
-            className={`bg-purple-800 hover:bg-purple-900 text-white px-6 py-3 rounded-lg font-semibold shadow transition ${
-              !hasActivePlan || loading || !image1 || !image2 ? 'opacity-60 cursor-not-allowed' : ''
-            }`}
-          >
-            {loading ? 'Comparing...' : 'Start Comparison'}
-          </button>
+        <PromptTemplatePicker
+          templates={promptTemplates}
+          value={templateChoice}
+          onChange={setTemplateChoice}
+          onSave={saveTemplate}
+          onDelete={deleteTemplate}
+        />
+
+        <ProjectTokens
+          projects={projects}
+          projectId={projectId}
+          onChange={setProjectId}
+          onSave={saveProjectTokens}
+          onDelete={deleteProject}
+        />
+
+        {compareMode === 'single' && (
+          <BaselinePanel
+            projectId={projectId}
+            getFreshIdToken={getFreshIdToken}
+            buildFile={image2}
+            value={baseline}
+            onChange={setBaseline}
+            refreshKey={baselineRefresh}
+          />
+        )}
 
-          {showNoPlanUI && (
-            <>
-              <span className="text-sm text-red-600">
-                You don&apos;t have plan — first buy the plan.
-              </span>
+        {compareMode === 'batch' ? (
+          <div className="mt-8">
+            <BatchCompare
+              getFreshIdToken={getFreshIdToken}
+              compareOptions={{
+                normalize: normalizeOpts.enabled,
+                cropTop: normalizeOpts.cropTop,
+                trimScrollbar: normalizeOpts.trimScrollbar,
+                templateId: templateChoice.templateId,
+                templateVars: templateChoice.vars,
+                projectId,
+                ocr: ocrOn,
+                a11y: a11yOn,
+                buildDpr,
+              }}
+              onError={showFriendlyError}
+              onQuotaUsed={addUsed}
+              disabled={!hasActivePlan}
+              remaining={remaining}
+              resumeKey={user?.uid ? runJobKey(user.uid, 'batch') : null}
+            />
+          </div>
+        ) : compareMode === 'breakpoints' ? (
+          <div className="mt-8">
+            <BreakpointMatrix
+              getFreshIdToken={getFreshIdToken}
+              compareOptions={{
+                normalize: normalizeOpts.enabled,
+                cropTop: normalizeOpts.cropTop,
+                trimScrollbar: normalizeOpts.trimScrollbar,
+                templateId: templateChoice.templateId,
+                templateVars: templateChoice.vars,
+                projectId,
+                ocr: ocrOn,
+                a11y: a11yOn,
+              }}
+              onError={showFriendlyError}
+              onQuotaUsed={addUsed}
+              disabled={!hasActivePlan}
+              remaining={remaining}
+              resumeKey={user?.uid ? runJobKey(user.uid, 'breakpoints') : null}
+            />
+          </div>
+        ) : (
+          <>
+            <div className="mt-8 flex items-center gap-4 flex-wrap">
               <button
-                onClick={() => router.push('/')}
-                className="bg-purple-800 hover:bg-purple-900 text-white px-4 py-2 rounded-lg font-semibold shadow transition"
+                onClick={() => handleCompare()}
+                // IMPORTANT: plan-based disable only (plus loading/images)
+                disabled={!hasActivePlan || loading || (!image1 && !baseline) || !image2}
+                className={`bg-purple-800 hover:bg-purple-900 text-white px-6 py-3 rounded-lg font-semibold shadow transition ${
+                  !hasActivePlan || loading || (!image1 && !baseline) || !image2 ? 'opacity-60 cursor-not-allowed' : ''
+                }`}
               >
-                Plans
+                {loading ? 'Comparing...' : 'Start Comparison'}
               </button>
-            </>
-          )}
-        </div>
 
-        {loading && <LoadingSpinner />}
-
-        {comparisonResult && (
-          <div className="mt-10 bg-gray-100 dark:bg-gray-800 p-6 rounded-lg shadow-lg">
-            <h2 className="text-xl font-bold mb-4 text-purple-800 dark:text-purple-300">
-              Visual Bug Report
-            </h2>
-            <ul className="text-sm mb-4">
-              <li>
-                <strong>File 1:</strong> {fileMeta.fileName1}
-              </li>
-              <li>
-                <strong>File 2:</strong> {fileMeta.fileName2}
-              </li>
-              <li>
-                <strong>Timestamp:</strong> {fileMeta.timestamp}
-              </li>
-            </ul>
-            <div className="prose dark:prose-invert max-w-none text-sm">
-              <ReactMarkdown>{comparisonResult}</ReactMarkdown>
+              {showNoPlanUI && (
+                <>
+                  <span className="text-sm text-red-600">
+                    You don&apos;t have plan — first buy the plan.
+                  </span>
+                  <button
+                    onClick={() => router.push('/')}
+                    className="bg-purple-800 hover:bg-purple-900 text-white px-4 py-2 rounded-lg font-semibold shadow transition"
+                  >
+                    Plans
+                  </button>
+                </>
+              )}
             </div>
-            <ExportPDF result={comparisonResult} />
-          </div>
+
+            {loading && (
+              <>
+                <LoadingSpinner />
+                {jobProgress && (
+                  <div className="mt-4 max-w-xl mx-auto">
+                    <div className="flex justify-between text-xs text-gray-600 dark:text-gray-300 mb-1">
+                      <span className="capitalize">{JOB_STAGE_LABELS[jobProgress.stage] || jobProgress.stage}</span>
+                      <span>{jobProgress.pct || 0}%</span>
+                    </div>
+                    <div className="h-2 rounded bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                      <div
+                        className="h-2 bg-purple-600 transition-all duration-500"
+                        style={{ width: `${Math.max(2, jobProgress.pct || 0)}%` }}
+                      />
+                    </div>
+                    {aiRetry && (
+                      <p className="mt-2 text-xs text-amber-700 dark:text-amber-400">
+                        The AI provider {AI_RETRY_REASONS[aiRetry.reason] || 'had a hiccup'}; retrying (attempt{' '}
+                        {aiRetry.attempt + 1})…
+                      </p>
+                    )}
+                  </div>
+                )}
+                {partialIssues.length > 0 && (
+                  <div className="mt-4 max-w-xl mx-auto text-sm text-gray-700 dark:text-gray-300">
+                    <p className="font-semibold mb-1">Issues found so far ({partialIssues.length})</p>
+                    <ul className="list-disc pl-5 space-y-1">
+                      {partialIssues.map((it) => (
+                        <li key={it.id}>
+                          <span className="text-xs uppercase text-gray-500">{it.severity}</span> {it.description}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </>
+            )}
+
+            {comparisonResult && (
+              <div className="mt-10 bg-gray-100 dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+                <div className="flex items-start justify-between gap-4 flex-wrap mb-4">
+                  <div>
+                    <h2 className="text-xl font-bold text-purple-800 dark:text-purple-300">Visual Bug Report</h2>
+                    {cachedFrom && (
+                      <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+                        <span className="px-2 py-0.5 rounded bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300 font-semibold mr-2">
+                          Cached
+                        </span>
+                        Same images and settings as the run from{' '}
+                        {cachedFrom.at ? new Date(cachedFrom.at).toLocaleString() : 'earlier'} — no comparison used.{' '}
+                        <button
+                          type="button"
+                          className="underline font-semibold text-purple-700 dark:text-purple-300"
+                          disabled={loading}
+                          onClick={() => handleCompare({ force: true })}
+                        >
+                          Run fresh
+                        </button>
+                      </p>
+                    )}
+                  </div>
+                  {matchScore && (
+                    <div className="flex items-center gap-3" title="SSIM similarity minus issue severity penalties">
+                      <span
+                        className={`text-3xl font-extrabold px-3 py-1 rounded-lg ${
+                          GRADE_STYLES[matchScore.grade] || GRADE_STYLES.F
+                        }`}
+                      >
+                        {matchScore.grade}
+                      </span>
+                      <div className="text-sm leading-tight">
+                        <div className="text-2xl font-bold">
+                          {matchScore.score}
+                          <span className="text-sm font-normal text-gray-500">/100</span>
+                        </div>
+                        <div className="text-gray-600 dark:text-gray-400">
+                          match score{typeof matchScore.ssim === 'number' ? ` • SSIM ${matchScore.ssim}` : ''}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                </div>
+                <ul className="text-sm mb-4">
+                  <li>
+                    <strong>File 1:</strong> {fileMeta.fileName1}
+                  </li>
+                  <li>
+                    <strong>File 2:</strong> {fileMeta.fileName2}
+                  </li>
+                  <li>
+                    <strong>Timestamp:</strong> {fileMeta.timestamp}
+                  </li>
+                  {normalization && (
+                    <li>
+                      <strong>Normalization:</strong> build scaled ×{normalization.scale}
+                      {normalization.dprSnapped ? ' (DPR match)' : ''}, shifted {normalization.offset.x},
+                      {normalization.offset.y}px
+                      {normalization.crop.top ? `, ${normalization.crop.top}px chrome cropped` : ''}
+                      {normalization.crop.right ? `, ${normalization.crop.right}px scrollbar trimmed` : ''}
+                    </li>
+                  )}
+                  {verification?.checked > 0 && (
+                    <li>
+                      <strong>Evidence check:</strong> {verification.supported} of {verification.checked} AI findings
+                      confirmed by the pixel diff or OCR
+                      {verification.filtered ? `, ${verification.filtered} AI-only hidden` : ''}
+                      {verification.unlocated ? `, ${verification.unlocated} without a location (not checked)` : ''}
+                    </li>
+                  )}
+                  {tiling && (
+                    <li>
+                      <strong>Tall page:</strong>{' '}
+                      {tiling.tiles.length > 1
+                        ? `analyzed in ${tiling.tiles.length} overlapping sections of ${tiling.pageHeight}px, findings merged`
+                        : `analyzed in one pass (${tiling.pageHeight}px)`}
+                      {tiling.capped && <LockBadge feature="tiling" />}
+                    </li>
+                  )}
+                  {runEntitlements && (
+                    <li>
+                      <strong>Plan:</strong> <span className="capitalize">{runEntitlements.plan}</span>
+                      {runEntitlements.skipped.length > 0 &&
+                        ` (skipped, not included: ${runEntitlements.skipped
+                          .map((f) => FEATURE_LABELS[f])
+                          .join(', ')})`}
+                    </li>
+                  )}
+                  {usedTemplate && (
+                    <li>
+                      <strong>Template:</strong> {usedTemplate.name} (v{usedTemplate.version})
+                    </li>
+                  )}
+                  {masks.length > 0 && (
+                    <li>
+                      <strong>Ignored regions:</strong> {masks.length}
+                    </li>
+                  )}
+                  {issueReport?.issues && (
+                    <li>
+                      <strong>Issues:</strong> {issueReport.issues.length}
+                      {issueReport.issues.length > 0 &&
+                        ` (${['critical', 'major', 'minor']
+                          .map((sev) => `${issueReport.issues.filter((it) => it.severity === sev).length} ${sev}`)
+                          .join(', ')})`}
+                    </li>
+                  )}
+                </ul>
+                {diffResult && (
+                  <div className="mb-6">
+                    <p className="text-sm mb-2">
+                      <strong>Pixel difference:</strong> {diffResult.changedPercent}% of pixels changed
+                      {' '}({diffResult.regions?.length || 0} region
+                      {diffResult.regions?.length === 1 ? '' : 's'})
+                    </p>
+                    {diffResult.heatmap && (
+                      <img
+                        src={diffResult.heatmap}
+                        alt="Pixel diff heatmap"
+                        className="rounded shadow w-full object-contain bg-white"
+                      />
+                    )}
+                  </div>
+                )}
+                <TextDiffView textDiff={textDiff} />
+                <AccessibilityView accessibility={accessibility} />
+                {paletteCheck?.colors?.length > 0 && (
+                  <div className="mb-6 text-sm">
+                    <p className="mb-2">
+                      <strong>Palette check</strong> ({paletteCheck.project?.name}):
+                    </p>
+                    <ul className="flex flex-wrap gap-3">
+                      {paletteCheck.colors.map((c) => (
+                        <li key={c.hex} className="flex items-center gap-1">
+                          <span
+                            className="inline-block w-4 h-4 rounded border border-gray-300"
+                            style={{ background: c.hex }}
+                          />
+                          <span className={PALETTE_STATUS_STYLES[c.status]}>{c.hex.toUpperCase()}</span>
+                          <span className="text-xs text-gray-500">
+                            {c.status === 'match' ? c.token?.name : c.status.replace('_', ' ')} • {c.share}%
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                {verification?.filtered > 0 && (
+                  <label className="flex items-center gap-2 text-sm mb-3">
+                    <input type="checkbox" checked={showAiOnly} onChange={(e) => setShowAiOnly(e.target.checked)} />
+                    Show AI-only findings ({verification.filtered}) — nothing changed in their area according to the
+                    pixel diff
+                  </label>
+                )}
+                {shownIssues.length > 0 ? (
+                  <>
+                    {issueReport.summary && <p className="text-sm mb-4">{issueReport.summary}</p>}
+                    <IssueOverlayViewer designSrc={prev1} buildSrc={prev2} issues={shownIssues} />
+                  </>
+                ) : (
+                  <div className="prose dark:prose-invert max-w-none text-sm">
+                    <ReactMarkdown>{comparisonResult}</ReactMarkdown>
+                  </div>
+                )}
+                <ExportPDF
+                  result={comparisonResult}
+                  report={issueReport}
+                  score={matchScore}
+                  textDiff={textDiff}
+                  accessibility={accessibility}
+                />
+                {reportJobId && (
+                  <FollowupChat
+                    jobId={reportJobId}
+                    getFreshIdToken={getFreshIdToken}
+                    onAsked={() => setUsageRefresh((k) => k + 1)}
+                  />
+                )}
+              </div>
+            )}
+          </>
         )}
       </div>
 
@@ -0,0 +1,26 @@
+// scripts/test-resolve.mjs
+// `npm test` runs lib/**/*.test.mjs on plain Node. Next's bundler resolves the `@/` alias (jsconfig.json)
+// and extensionless imports; this resolve hook does the same for the test runner (node --import).
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+const ROOT = new URL('../', import.meta.url);
+const LOCAL = /^(\.{1,2}\/|\/|file:)/;
+
+export async function resolve(specifier, context, next) {
+  const spec = specifier.startsWith('@/') ? new URL(specifier.slice(2), ROOT).href : specifier;
+  try {
+    return await next(spec, context);
+  } catch (err) {
+    const missing = err?.code === 'ERR_MODULE_NOT_FOUND' || err?.code === 'ERR_UNSUPPORTED_DIR_IMPORT';
+    if (!missing || !LOCAL.test(spec) || /\.[cm]?js$/.test(spec)) throw err;
+    try {
+      return await next(`${spec}.js`, context);
+    } catch {
+      return next(`${spec}/index.js`, context);
+    }
+  }
+}
+
+// hooks run on their own thread; only the main thread registers them
+if (isMainThread) register(import.meta.url);